@@ -0,0 +1,48 @@
+// config/defaultWorkflow.js
+// Seeded on first start so existing reports (pending → closed) keep working.
+// Admins can replace it later through PUT /api/admin/workflow.
+const defaultWorkflow = {
+  name: "default",
+  states: [
+    {
+      key: "pending",
+      label: "Pending",
+      description: "Report received, awaiting triage",
+      initial: true,
+      resolution: "open",
+      slaHours: 48, // triage within 48h
+    },
+    {
+      key: "under review",
+      label: "Under Review",
+      description: "Report is being investigated",
+      resolution: "open",
+    },
+    {
+      key: "resolved",
+      label: "Resolved",
+      description: "Issue has been fixed",
+      resolution: "resolved",
+    },
+    {
+      key: "closed",
+      label: "Closed",
+      description: "Case closed (resolved or not)",
+      resolution: "unchanged",
+      terminal: true,
+    },
+  ],
+  transitions: [
+    { from: "pending", to: "under review", roles: ["admin", "agency"] },
+    { from: "pending", to: "resolved", roles: ["admin"] },
+    { from: "pending", to: "closed", roles: ["admin"] },
+    { from: "under review", to: "pending", roles: ["admin"] },
+    { from: "under review", to: "resolved", roles: ["admin", "agency"] },
+    { from: "under review", to: "closed", roles: ["admin"] },
+    { from: "resolved", to: "under review", roles: ["admin"] },
+    { from: "resolved", to: "closed", roles: ["admin", "agency"] },
+    { from: "closed", to: "under review", roles: ["admin"] },
+  ],
+};
+
+export default defaultWorkflow;
@@ -0,0 +1,43 @@
+// config/passphraseWords.js
+// Word list for diceware-style case passphrases (see utils/caseKeys.js).
+// Each word adds ~8 bits; keep entries unique, lowercase and unambiguous.
+const passphraseWords = [
+  "acid", "acorn", "actor", "adobe", "agent", "alarm", "album", "alley",
+  "amber", "ample", "angle", "ankle", "apple", "april", "apron", "arena",
+  "armor", "arrow", "aspen", "atlas", "attic", "audio", "autumn", "avocado",
+  "bacon", "badge", "bagel", "baker", "bamboo", "banjo", "barley", "basil",
+  "basket", "beacon", "beaver", "berry", "bicycle", "bison", "blanket",
+  "blossom", "bonus", "border", "bottle", "bracket", "breeze", "brick",
+  "bridge", "bronze", "bubble", "bucket", "buffalo", "bundle", "butter",
+  "cabin", "cactus", "camel", "candle", "canoe", "canvas", "canyon", "carbon",
+  "carpet", "castle", "cedar", "cement", "cherry", "chess", "chimney", "cider",
+  "circus", "citrus", "clover", "cobalt", "coconut", "comet", "copper",
+  "coral", "cotton", "cradle", "crayon", "cricket", "crystal", "cupcake",
+  "curtain", "cushion", "dagger", "daisy", "dancer", "delta", "denim",
+  "desert", "diesel", "dinner", "dolphin", "donkey", "dragon", "drum", "eagle",
+  "easel", "echo", "eclipse", "elbow", "ember", "engine", "equator", "falcon",
+  "feather", "fennel", "ferry", "fiddle", "fig", "flame", "flute", "forest",
+  "fossil", "fountain", "fox", "galaxy", "garden", "garlic", "gazelle",
+  "ginger", "glacier", "globe", "goblet", "gold", "gorilla", "granite",
+  "grape", "gravel", "guitar", "hammer", "harbor", "harvest", "hazel",
+  "helmet", "heron", "hickory", "honey", "horizon", "hotel", "iceberg",
+  "igloo", "indigo", "iron", "island", "ivory", "jacket", "jaguar", "jasmine",
+  "jelly", "jigsaw", "jungle", "kayak", "kernel", "kettle", "kitten", "koala",
+  "ladder", "lagoon", "lantern", "laptop", "lemon", "lentil", "lily", "linen",
+  "lizard", "lobster", "locket", "lotus", "magnet", "mango", "maple", "marble",
+  "meadow", "melon", "meteor", "mint", "mirror", "mitten", "monsoon", "mosaic",
+  "muffin", "nectar", "needle", "nickel", "noodle", "nutmeg", "oasis", "ocean",
+  "olive", "onion", "orbit", "orchid", "otter", "oyster", "paddle", "palace",
+  "panda", "papaya", "parrot", "pebble", "pencil", "pepper", "piano", "pickle",
+  "pigeon", "pillow", "pilot", "pine", "planet", "plum", "pocket", "pony",
+  "poppy", "potato", "prism", "puzzle", "quartz", "quill", "rabbit", "radar",
+  "radish", "raven", "ribbon", "river", "rocket", "saddle", "salmon", "satin",
+  "scarf", "shadow", "shovel", "silver", "sketch", "sparrow", "spider",
+  "spruce", "squash", "statue", "summit", "sunset", "swan", "tango", "teapot",
+  "thistle", "thunder", "tiger", "timber", "toast", "tomato", "trumpet",
+  "tulip", "tunnel", "turtle", "umbrella", "valley", "velvet", "violin",
+  "walnut", "wander", "whistle", "willow", "window", "winter", "yogurt",
+  "zebra", "zipper",
+];
+
+export default passphraseWords;
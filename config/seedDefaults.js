@@ -1,6 +1,8 @@
 // config/seedDefaults.js
 import Category from "../models/Category.js";
 import Agency from "../models/Agency.js";
+import Workflow from "../models/Workflow.js";
+import defaultWorkflow from "./defaultWorkflow.js";
 
 export const seedDefaults = async () => {
   try {
@@ -10,6 +12,7 @@ export const seedDefaults = async () => {
       await Category.create({
         name: "uncategorised",
         description: "Uncategorized reports",
+        resolutionHours: 30 * 24, // resolve within 30 days
       });
       console.log("✅ Default category 'uncategorised' created");
     }
@@ -24,6 +27,13 @@ export const seedDefaults = async () => {
       console.log("✅ Default agency 'unassigned' created");
     }
 
+    // 🔹 Ensure default case workflow exists
+    const workflow = await Workflow.findOne({ name: defaultWorkflow.name });
+    if (!workflow) {
+      await Workflow.create(defaultWorkflow);
+      console.log("✅ Default case workflow created");
+    }
+
     console.log("🌱 Default data verified successfully.");
   } catch (error) {
     console.error("❌ Error seeding default data:", error.message);
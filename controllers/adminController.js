@@ -5,6 +5,31 @@ import AuditLog from "../models/AuditLog.js";
 import Agency from "../models/Agency.js";
 import Category from "../models/Category.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import { transitionReport } from "../utils/workflow.js";
+import { overdueFilter, refreshCategoryDueDates } from "../utils/sla.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+import { buildMessageFields, getRecipientKeys } from "../utils/e2ee.js";
+import { blindIndexTokens } from "../utils/fieldEncryption/index.js";
+import {
+  validateFormDefinition,
+  formDataFilters,
+} from "../utils/intakeForms.js";
+import { geoFilters, lgaNames } from "../utils/geo.js";
+import { recordReassignment } from "../utils/referrals.js";
+import { addEvidenceFiles } from "../utils/evidenceRequests.js";
+import { applyTemplate } from "../utils/messageTemplates.js";
+import {
+  assertFilesWithinQuota,
+  discardStoredFiles,
+} from "../utils/resumableUploads.js";
+import { recordCustody, custodyActor } from "../utils/evidenceIntegrity.js";
+import { queueEvidenceScan } from "../utils/scanners/index.js";
+import {
+  awaitingReplyFilter,
+  markRead,
+  readUpTo,
+  unreadCount,
+} from "../utils/messageReads.js";
 
 // @desc    Get All Unassigned Reports
 // @route   GET /api/admin/unassigned
@@ -41,14 +66,27 @@ export const getUnassignedReports = asyncHandler(async (req, res) => {
 // @access  Private (Admin/Agency only)
 
 export const getAllReports = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, keyword = "", status } = req.query;
+  const {
+    page = 1,
+    limit = 10,
+    keyword = "",
+    status,
+    overdue,
+    category,
+    lga,
+    awaitingReply,
+  } = req.query;
 
   // Build search conditions dynamically
+  const descriptionTokens = blindIndexTokens(keyword);
   const searchFilter = {
     $or: [
       { caseID: { $regex: keyword, $options: "i" } },
       { title: { $regex: keyword, $options: "i" } },
-      { description: { $regex: keyword, $options: "i" } },
+      // description is encrypted; match whole words via its blind index
+      ...(descriptionTokens.length > 0
+        ? [{ descriptionIndex: { $all: descriptionTokens } }]
+        : []),
     ],
   };
 
@@ -57,6 +95,35 @@ export const getAllReports = asyncHandler(async (req, res) => {
     searchFilter.status = status;
   }
 
+  if (category) {
+    searchFilter.category = category;
+  }
+
+  if (lga) {
+    searchFilter.lga = lga;
+  }
+
+  // Optional filters on intake form answers (?form.<field>=value)
+  const conditions = formDataFilters(req.query);
+
+  // Optional location filters (?near=lat,lng&radius=, ?within=); ?lga= is
+  // part of searchFilter above
+  conditions.push(...geoFilters(req.query));
+
+  // Optional filter for reports past an SLA due date
+  if (overdue === "true") {
+    conditions.push(overdueFilter());
+  }
+
+  // Optional filter for cases whose latest message is from the reporter
+  if (awaitingReply === "true") {
+    conditions.push(awaitingReplyFilter());
+  }
+
+  if (conditions.length > 0) {
+    searchFilter.$and = conditions;
+  }
+
   // Count total reports (for pagination metadata)
   const total = await Report.countDocuments(searchFilter);
 
@@ -74,9 +141,89 @@ export const getAllReports = asyncHandler(async (req, res) => {
     totalPages: Math.ceil(total / limit),
     totalReports: total,
     count: reports.length,
-    data: reports,
+    // unreadCount: messages this admin has not read yet
+    data: reports.map((report) => ({
+      ...report.toJSON(),
+      unreadCount: unreadCount(report, {
+        role: "admin",
+        userId: req.user._id,
+      }),
+    })),
+  });
+});
+
+// @desc    Count reports per Local Government Area
+// @route   GET /api/admin/reports/lga-summary
+// @access  Private (Admin only)
+export const getLgaSummary = asyncHandler(async (req, res, next) => {
+  const { status, category } = req.query;
+
+  const match = {};
+  if (status) match.status = status;
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      return next(new ErrorResponse("Invalid category ID format.", 400));
+    }
+    match.category = new mongoose.Types.ObjectId(category);
+  }
+
+  const groups = await Report.aggregate([
+    { $match: match },
+    { $group: { _id: "$lga", count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(groups.map((group) => [group._id ?? null, group.count]));
+
+  // Every LGA in the dataset, including those without reports
+  const data = lgaNames().map((lga) => ({ lga, count: counts.get(lga) || 0 }));
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    unresolved: counts.get(null) || 0, // no coordinates, or outside every LGA
+    data,
+  });
+});
+
+// @desc    Get reports past their SLA due dates
+// @route   GET /api/admin/reports/overdue
+// @access  Private (Admin only)
+export const getOverdueReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, agency } = req.query;
+  const now = new Date();
+
+  const filter = overdueFilter(now);
+  if (agency) {
+    filter.agencyAssigned = agency;
+  }
+
+  const total = await Report.countDocuments(filter);
+
+  const reports = await Report.find(filter)
+    .populate("category", "name")
+    .populate("agencyAssigned", "name")
+    .sort({ "sla.resolutionDueAt": 1, "sla.stateDueAt": 1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  // Tell the caller which targets were missed
+  const data = reports.map((report) => ({
+    ...report.toJSON(),
+    breaches: [
+      report.sla?.stateDueAt < now && "state",
+      report.sla?.resolutionDueAt < now && "resolution",
+    ].filter(Boolean),
+  }));
+
+  res.status(200).json({
+    success: true,
+    currentPage: parseInt(page),
+    totalPages: Math.ceil(total / limit),
+    totalReports: total,
+    count: data.length,
+    data,
   });
 });
+
 /*
 // @desc    Get all reports (assigned or unassigned)
 // @route   GET /api/admin/reports
@@ -170,7 +317,7 @@ export const updateReportCategory = asyncHandler(async (req, res) => {
 // @route   PATCH /api/admin/reports/:id/assign
 export const assignReportToAgency = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { agencyId } = req.body;
+  const { agencyId, reason } = req.body;
 
   const report = await Report.findById(id);
   if (!report)
@@ -184,7 +331,8 @@ export const assignReportToAgency = asyncHandler(async (req, res) => {
       .status(404)
       .json({ success: false, message: "Agency not found" });
 
-  report.agencyAssigned = agency._id;
+  // Kept in the referral history; settles any pending transfer proposal
+  recordReassignment(report, agency, { user: req.user, reason });
   await report.save();
 
   await AuditLog.create({
@@ -194,6 +342,8 @@ export const assignReportToAgency = asyncHandler(async (req, res) => {
     ipAddress: req.ip,
   });
 
+  notify(EVENTS.REPORT_ASSIGNED, { report, agency, actor: req.user });
+
   res.status(200).json({
     success: true,
     message: "Agency assigned successfully",
@@ -214,15 +364,12 @@ export const updateReportStatus = asyncHandler(async (req, res) => {
       .json({ success: false, message: "Invalid report ID." });
   }
 
-  const allowedStatuses = ["pending", "under review", "resolved", "closed"];
-  if (!allowedStatuses.includes(status)) {
-    return res.status(400).json({
-      success: false,
-      message: `Invalid status. Allowed values: ${allowedStatuses.join(", ")}`,
-    });
+  if (!status) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Status is required." });
   }
 
-  // Fetch the report first so we can modify logic manually
   const report = await Report.findById(id);
 
   if (!report) {
@@ -230,18 +377,9 @@ export const updateReportStatus = asyncHandler(async (req, res) => {
       .status(404)
       .json({ success: false, message: "Report not found." });
   }
-  // Business Logic for isResolved flag
-  if (status === "resolved") {
-    report.isResolved = true; // mark resolved permanently
-  } else if (status === "closed") {
-    // DO NOT MODIFY isResolved
-    // If unresolved case is closed, isResolved remains false
-  } else {
-    // pending or under review → reopened
-    report.isResolved = false;
-  }
-  // Update main status
-  report.status = status;
+
+  // Validates the transition and derives isResolved from the target state
+  await transitionReport(report, status, { role: "admin", user: req.user });
 
   await report.save();
 
@@ -253,9 +391,12 @@ export const updateReportStatus = asyncHandler(async (req, res) => {
     action: "STATUS_UPDATED",
     description: `Status of report ${report.caseID} changed to '${status}'`,
     targetReport: report._id,
+    user: req.user?._id,
     ipAddress: req.ip,
   });
 
+  notify(EVENTS.STATUS_CHANGED, { report, actor: req.user });
+
   res.status(200).json({
     success: true,
     message: "Report status updated successfully.",
@@ -270,28 +411,50 @@ export const updateReportStatus = asyncHandler(async (req, res) => {
  */
 export const addAdminMessage = asyncHandler(async (req, res, next) => {
   const { reportId } = req.params;
-  const { message } = req.body;
 
   // 1️⃣ Validate report
   const report = await Report.findById(reportId);
   if (!report) {
+    await discardStoredFiles(req.files);
     return next(new ErrorResponse("Report not found.", 404));
   }
 
-  // 2️⃣ Validate message
-  if (!message) {
-    return next(new ErrorResponse("Message content is required.", 400));
+  // 2️⃣ Validate message (plaintext or a template; an envelope on E2E cases)
+  let messageFields;
+  try {
+    messageFields = await buildMessageFields(
+      report,
+      await applyTemplate(report, req.body)
+    );
+  } catch (error) {
+    await discardStoredFiles(req.files);
+    throw error;
   }
 
+  // 📎 Attached documents, within the case's evidence quota
+  await assertFilesWithinQuota(report._id, req.files);
+  const attachments = addEvidenceFiles(report, req.files, {
+    role: "admin",
+    user: req.user,
+  });
+
   // 📝 Add admin message with timestamp
   report.comments.push({
+    user: req.user?._id,
     role: "admin",
-    message,
+    ...messageFields,
+    attachments: attachments.map((file) => file._id),
     author: req.user?.name || "System Admin",
     createdAt: new Date(),
   });
+  // Replying means the thread has been read
+  markRead(report, { role: "admin", userId: req.user._id });
 
   await report.save();
+  if (attachments.length > 0) {
+    await recordCustody(report, attachments, "upload", custodyActor(req));
+    queueEvidenceScan(report._id);
+  }
 
   // 🧾 Log admin action
   await AuditLog.create({
@@ -302,6 +465,8 @@ export const addAdminMessage = asyncHandler(async (req, res, next) => {
     ipAddress: req.ip,
   });
 
+  notify(EVENTS.COMMENT_ADDED, { report, actor: req.user, authorRole: "admin" });
+
   res.status(201).json({
     success: true,
     message: "Admin message added successfully.",
@@ -309,11 +474,51 @@ export const addAdminMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Mark a report's messages as read by the admin
+// @route   POST /api/admin/reports/:id/messages/read
+// @access  Private (Admin only)
+export const markAdminMessagesRead = asyncHandler(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+
+  const viewer = { role: "admin", userId: req.user._id };
+  const readAt = markRead(
+    report,
+    viewer,
+    readUpTo(report, req.body?.messageId)
+  );
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Messages marked as read.",
+    data: { lastReadAt: readAt, unreadCount: unreadCount(report, viewer) },
+  });
+});
+
+// @desc    Get the public keys messages on a report must be encrypted to
+// @route   GET /api/admin/reports/:id/recipient-keys
+// @access  Private (Admin only)
+export const getReportRecipientKeys = asyncHandler(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    encrypted: report.encryption?.enabled || false,
+    data: await getRecipientKeys(report),
+  });
+});
+
 // @desc    Create new category
 // @route   POST /api/admin/categories
 // @access  Private (Admin only)
 export const createCategory = asyncHandler(async (req, res) => {
-  const { name, description } = req.body;
+  const { name, description, resolutionHours, stateSlaHours, form } = req.body;
 
   // Validation
   if (!name || name.trim() === "") {
@@ -322,6 +527,7 @@ export const createCategory = asyncHandler(async (req, res) => {
       message: "Category name is required.",
     });
   }
+  const definition = form ? validateFormDefinition(form) : undefined;
 
   // Check for duplicate (case-insensitive)
   const existing = await Category.findOne({
@@ -338,6 +544,9 @@ export const createCategory = asyncHandler(async (req, res) => {
   const category = await Category.create({
     name,
     description: description || "",
+    resolutionHours,
+    stateSlaHours,
+    form: definition,
   });
 
   // Log the action
@@ -400,6 +609,77 @@ export const createAgency = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Update SLA targets of a category
+// @route   PATCH /api/admin/categories/:id/sla
+// @access  Private (Admin only)
+export const updateCategorySla = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { resolutionHours, stateSlaHours } = req.body;
+
+  const category = await Category.findById(id);
+  if (!category) {
+    return next(new ErrorResponse("Category not found.", 404));
+  }
+
+  // null clears a target, undefined leaves it unchanged
+  if (resolutionHours !== undefined) {
+    category.resolutionHours = resolutionHours ?? undefined;
+  }
+  if (stateSlaHours !== undefined) {
+    category.stateSlaHours = stateSlaHours ?? undefined;
+  }
+  await category.save();
+
+  // Open reports of the category move to the new targets too
+  const reportsUpdated = await refreshCategoryDueDates(category);
+
+  await AuditLog.create({
+    action: "CATEGORY_SLA_UPDATED",
+    description: `SLA targets of category '${category.name}' updated; due dates of ${reportsUpdated} open report(s) recomputed`,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Category SLA updated successfully.",
+    data: category,
+    reportsUpdated,
+  });
+});
+
+// @desc    Set or clear the intake form of a category
+// @route   PUT /api/admin/categories/:id/form
+// @access  Private (Admin only)
+export const updateCategoryForm = asyncHandler(async (req, res, next) => {
+  const { form } = req.body;
+
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    return next(new ErrorResponse("Category not found.", 404));
+  }
+
+  // null removes the form; existing reports keep their answers
+  category.form = form ? validateFormDefinition(form) : undefined;
+  category.markModified("form");
+  await category.save();
+
+  await AuditLog.create({
+    action: "CATEGORY_FORM_UPDATED",
+    description: form
+      ? `Intake form of category '${category.name}' updated`
+      : `Intake form of category '${category.name}' removed`,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Category form updated successfully.",
+    data: category,
+  });
+});
+
 // @desc    Get all categories
 // @route   GET /api/admin/categories
 // @access  Private (Admin)
@@ -3,12 +3,48 @@ import Report from "../models/Report.js";
 import Agency from "../models/Agency.js";
 import ErrorResponse from "../utils/errorResponse.js";
 import AuditLog from "../models/AuditLog.js";
+import { transitionReport } from "../utils/workflow.js";
+import { overdueFilter } from "../utils/sla.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+import { buildMessageFields, getRecipientKeys } from "../utils/e2ee.js";
+import { blindIndexTokens } from "../utils/fieldEncryption/index.js";
+import { formDataFilters } from "../utils/intakeForms.js";
+import {
+  agencyAccess,
+  agencyCaseFilter,
+  findAgencyCase,
+} from "../utils/caseAccess.js";
+import { geoFilters } from "../utils/geo.js";
+import { addEvidenceFiles } from "../utils/evidenceRequests.js";
+import { applyTemplate } from "../utils/messageTemplates.js";
+import {
+  assertFilesWithinQuota,
+  discardStoredFiles,
+} from "../utils/resumableUploads.js";
+import { recordCustody, custodyActor } from "../utils/evidenceIntegrity.js";
+import { queueEvidenceScan } from "../utils/scanners/index.js";
+import {
+  awaitingReplyFilter,
+  markRead,
+  readUpTo,
+  unreadCount,
+} from "../utils/messageReads.js";
 
-// @desc    Get all reports assigned to a particular agency
+// @desc    Get all reports the agency leads or collaborates on
 // @route   GET /api/agency/reports
 // @access  Private (Agency only)
 export const getAgencyReports = asyncHandler(async (req, res, next) => {
-  const { page = 1, limit = 10, keyword = "", status } = req.query;
+  const {
+    page = 1,
+    limit = 10,
+    keyword = "",
+    status,
+    overdue,
+    category,
+    lga,
+    role,
+    awaitingReply,
+  } = req.query;
 
   // Ensure only agency users can access
   if (req.user.role !== "agency") {
@@ -22,12 +58,15 @@ export const getAgencyReports = asyncHandler(async (req, res, next) => {
   }
 
   // ✅ Build dynamic search filter
+  const descriptionTokens = blindIndexTokens(keyword);
   const searchFilter = {
-    agencyAssigned: agency._id,
     $or: [
       { caseID: { $regex: keyword, $options: "i" } },
       { title: { $regex: keyword, $options: "i" } },
-      { description: { $regex: keyword, $options: "i" } },
+      // description is encrypted; match whole words via its blind index
+      ...(descriptionTokens.length > 0
+        ? [{ descriptionIndex: { $all: descriptionTokens } }]
+        : []),
     ],
   };
 
@@ -35,6 +74,36 @@ export const getAgencyReports = asyncHandler(async (req, res, next) => {
     searchFilter.status = status;
   }
 
+  if (category) {
+    searchFilter.category = category;
+  }
+
+  if (lga) {
+    searchFilter.lga = lga;
+  }
+
+  // ✅ Cases the agency leads or collaborates on (?role=lead|collaborator)
+  const conditions = [agencyCaseFilter(agency._id, role)];
+
+  // ✅ Intake form answers (?form.<field>=value)
+  conditions.push(...formDataFilters(req.query));
+
+  // ✅ Location: distance from a point or inside a polygon (LGA is in
+  // searchFilter)
+  conditions.push(...geoFilters(req.query));
+
+  // ✅ Only reports past an SLA due date
+  if (overdue === "true") {
+    conditions.push(overdueFilter());
+  }
+
+  // ✅ Cases whose latest message is from the reporter
+  if (awaitingReply === "true") {
+    conditions.push(awaitingReplyFilter());
+  }
+
+  searchFilter.$and = conditions;
+
   // ✅ Pagination
   const total = await Report.countDocuments(searchFilter);
 
@@ -52,44 +121,38 @@ export const getAgencyReports = asyncHandler(async (req, res, next) => {
     totalPages: Math.ceil(total / limit),
     totalReports: total,
     count: reports.length,
-    data: reports,
+    // access: lead, contribute or view; unreadCount: messages this user
+    // has not read yet
+    data: reports.map((report) => ({
+      ...report.toJSON(),
+      access: agencyAccess(report, agency._id),
+      unreadCount: unreadCount(report, {
+        role: "agency",
+        userId: req.user._id,
+      }),
+    })),
   });
 });
 
 /**
- * @desc    Get a single report assigned to the logged-in agency
+ * @desc    Get a single report the agency leads or collaborates on
  * @route   GET /api/agency/reports/:id
  * @access  Private (Agency only)
  */
-export const getAgencyReportById = asyncHandler(async (req, res, next) => {
-  const reportId = req.params.id;
-  const agencyUserId = req.user._id; // from protect middleware
-
-  // Find the agency that this user belongs to
-  const agency = await Agency.findOne({ users: agencyUserId });
-
-  if (!agency) {
-    return next(
-      new ErrorResponse("You are not associated with any agency", 403)
-    );
-  }
+export const getAgencyReportById = asyncHandler(async (req, res) => {
+  // Any agency on the case may read it
+  const { report, access } = await findAgencyCase(req, req.params.id);
 
-  // Fetch the report and ensure it belongs to this agency
-  const report = await Report.findOne({
-    _id: reportId,
-    agencyAssigned: agency._id,
-  })
-    .populate("category", "name")
-    .populate("agencyAssigned", "name email phone");
-
-  if (!report) {
-    return next(
-      new ErrorResponse("Report not found or not assigned to your agency", 404)
-    );
-  }
+  await report.populate([
+    { path: "category", select: "name" },
+    { path: "agencyAssigned", select: "name email phone" },
+    { path: "collaborators.agency", select: "name email phone" },
+    { path: "tasks.agency", select: "name" },
+  ]);
 
   res.status(200).json({
     success: true,
+    access,
     data: report,
   });
 });
@@ -99,50 +162,48 @@ export const getAgencyReportById = asyncHandler(async (req, res, next) => {
 // @access  Private (Agency only)
 export const addAgencyMessage = asyncHandler(async (req, res, next) => {
   const { reportId } = req.params;
-  const { message } = req.body;
 
-  // 1️⃣ Validate report
-  const report = await Report.findById(reportId).populate(
-    "agencyAssigned",
-    "name"
-  );
-  if (!report) {
-    return next(new ErrorResponse("Report not found.", 404));
-  }
-
-  // 2️⃣ Validate message
-  if (!message) {
-    return next(new ErrorResponse("Message content is required.", 400));
-  }
+  let report;
+  let agency;
+  let messageFields;
+  try {
+    // The lead agency and collaborators with contribute access may post
+    ({ report, agency } = await findAgencyCase(req, reportId, "contribute"));
 
-  // 3️⃣ Find the agency associated with the logged-in user
-  const agency = await Agency.findOne({ users: req.user._id });
-  if (!agency) {
-    return next(new ErrorResponse("Agency not found for this user.", 404));
-  }
-
-  // 4️⃣ Ensure this report belongs to the agency
-  if (
-    !report.agencyAssigned ||
-    report.agencyAssigned._id.toString() !== agency._id.toString()
-  ) {
-    return next(
-      new ErrorResponse(
-        "Unauthorized: This report is not assigned to your agency.",
-        403
-      )
+    // Plaintext or a template, or an encrypted envelope on E2E cases
+    messageFields = await buildMessageFields(
+      report,
+      await applyTemplate(report, req.body, agency)
     );
+  } catch (error) {
+    await discardStoredFiles(req.files);
+    throw error;
   }
 
+  // 📎 Attached documents, within the case's evidence quota
+  await assertFilesWithinQuota(report._id, req.files);
+  const attachments = addEvidenceFiles(report, req.files, {
+    role: "agency",
+    user: req.user,
+  });
+
   // 📝 Add agency message with timestamp
   report.comments.push({
+    user: req.user?._id,
     role: "agency",
-    message,
+    ...messageFields,
+    attachments: attachments.map((file) => file._id),
     author: req.user?.username || "Agency Representative",
     createdAt: new Date(),
   });
+  // Replying means the thread has been read
+  markRead(report, { role: "agency", userId: req.user._id });
 
   await report.save();
+  if (attachments.length > 0) {
+    await recordCustody(report, attachments, "upload", custodyActor(req));
+    queueEvidenceScan(report._id);
+  }
 
   // 🧾 Log agency action
   await AuditLog.create({
@@ -153,6 +214,13 @@ export const addAgencyMessage = asyncHandler(async (req, res, next) => {
     ipAddress: req.ip,
   });
 
+  notify(EVENTS.COMMENT_ADDED, {
+    report,
+    agency,
+    actor: req.user,
+    authorRole: "agency",
+  });
+
   res.status(201).json({
     success: true,
     message: "Agency message added successfully.",
@@ -160,49 +228,69 @@ export const addAgencyMessage = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Mark a report's messages as read by the agency user
+// @route   POST /api/agency/:id/messages/read
+// @access  Private (Agency only)
+export const markAgencyMessagesRead = asyncHandler(async (req, res) => {
+  // Any agency on the case may read its messages
+  const { report } = await findAgencyCase(req, req.params.id);
+
+  const viewer = { role: "agency", userId: req.user._id };
+  const readAt = markRead(
+    report,
+    viewer,
+    readUpTo(report, req.body?.messageId)
+  );
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Messages marked as read.",
+    data: { lastReadAt: readAt, unreadCount: unreadCount(report, viewer) },
+  });
+});
+
+// @desc    Get the public keys messages on a report must be encrypted to
+// @route   GET /api/agency/:id/recipient-keys
+// @access  Private (Agency only)
+export const getAgencyRecipientKeys = asyncHandler(async (req, res) => {
+  const { report } = await findAgencyCase(req, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    encrypted: report.encryption?.enabled || false,
+    data: await getRecipientKeys(report),
+  });
+});
+
 // @desc    Update the status of a report (Agency)
-// @route   PATCH /api/agency/reports/:id/status
+// @route   PATCH /api/agency/:reportId/status
 // @access  Private (Agency only)
-export const updateAgencyReportStatus = asyncHandler(async (req, res) => {
+export const updateAgencyReportStatus = asyncHandler(async (req, res, next) => {
   const { reportId } = req.params;
   const { status } = req.body;
-  
 
   if (!status) {
-    res.status(400);
-    throw new Error("Status is required");
+    return next(new ErrorResponse("Status is required.", 400));
   }
 
-  // Find the report
-  const report = await Report.findById(reportId);
-
-  if (!report) {
-    res.status(404);
-    throw new Error("Report not found");
-  }
+  // Only the lead agency moves the case status
+  const { report, agency } = await findAgencyCase(req, reportId, "lead");
 
-  // Find the agency associated with the logged-in user
-  const agency = await Agency.findOne({ users: req.user._id });
-  if (!agency) {
-    return next(new ErrorResponse("Agency not found for this user.", 404));
-  }
+  // Only transitions the workflow grants to the agency role are accepted
+  await transitionReport(report, status, { role: "agency", user: req.user });
+  await report.save();
 
-  // 4️⃣ Ensure this report belongs to the agency
-  if (
-    !report.agencyAssigned ||
-    report.agencyAssigned._id.toString() !== agency._id.toString()
-  ) {
-    return next(
-      new ErrorResponse(
-        "Unauthorized: This report is not assigned to your agency.",
-        403
-      )
-    );
-  }
+  await AuditLog.create({
+    action: "STATUS_UPDATED",
+    description: `Agency (${agency.name}) changed status of report ${report.caseID} to '${status}'`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
 
-  // Update only status
-  report.status = status;
-  await report.save();
+  notify(EVENTS.STATUS_CHANGED, { report, agency, actor: req.user });
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,287 @@
+import asyncHandler from "express-async-handler";
+import Report from "../models/Report.js";
+import Agency from "../models/Agency.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  COLLABORATOR_ACCESS,
+  TASK_STATUSES,
+  caseAgencyIds,
+} from "../utils/caseTasks.js";
+import { findAgencyCase } from "../utils/caseAccess.js";
+
+const findReport = async (id) => {
+  const report = await Report.findById(id);
+  if (!report) {
+    throw new ErrorResponse("Report not found.", 404);
+  }
+  return report;
+};
+
+// Case with its agencies' names, as returned by every endpoint
+const populateCase = (report) =>
+  report.populate([
+    { path: "agencyAssigned", select: "name" },
+    { path: "collaborators.agency", select: "name" },
+    { path: "tasks.agency", select: "name" },
+  ]);
+
+const caseData = (report) => ({
+  agencyAssigned: report.agencyAssigned,
+  collaborators: report.collaborators,
+  tasks: report.tasks,
+  progress: report.progress,
+});
+
+// Add a sub-task for one of the agencies on the case
+const addTask = async (report, { agencyId, title, description }, user) => {
+  if (!title) {
+    throw new ErrorResponse("Task title is required.", 400);
+  }
+  if (!caseAgencyIds(report).includes(String(agencyId))) {
+    throw new ErrorResponse(
+      "Tasks can only be given to the lead agency or a collaborator on this case.",
+      400
+    );
+  }
+
+  report.tasks.push({
+    agency: agencyId,
+    title,
+    description,
+    createdBy: user._id,
+  });
+  await report.save();
+  return report.tasks[report.tasks.length - 1];
+};
+
+// Change a sub-task's status or wording
+const updateTask = async (report, taskId, body, user) => {
+  const task = report.tasks.id(taskId);
+  if (!task) {
+    throw new ErrorResponse("Task not found.", 404);
+  }
+
+  if (body.status !== undefined) {
+    if (!TASK_STATUSES.includes(body.status)) {
+      throw new ErrorResponse(
+        `Invalid task status. Must be one of: ${TASK_STATUSES.join(", ")}.`,
+        400
+      );
+    }
+    task.status = body.status;
+    task.completedAt = body.status === "done" ? new Date() : undefined;
+  }
+  if (body.title !== undefined) task.title = body.title;
+  if (body.description !== undefined) task.description = body.description;
+  task.updatedBy = user._id;
+
+  await report.save();
+  return task;
+};
+
+// @desc    Add a collaborating agency to a case, or change its access
+// @route   POST /api/admin/reports/:id/collaborators
+// @access  Private (Admin only)
+export const addCollaborator = asyncHandler(async (req, res, next) => {
+  const { agencyId, access = "contribute" } = req.body;
+
+  if (!COLLABORATOR_ACCESS.includes(access)) {
+    return next(
+      new ErrorResponse(
+        `Invalid access level. Must be one of: ${COLLABORATOR_ACCESS.join(
+          ", "
+        )}.`,
+        400
+      )
+    );
+  }
+
+  const report = await findReport(req.params.id);
+  const agency = await Agency.findById(agencyId);
+  if (!agency) {
+    return next(new ErrorResponse("Agency not found.", 404));
+  }
+  if (String(report.agencyAssigned) === String(agency._id)) {
+    return next(new ErrorResponse("This agency already leads the case.", 400));
+  }
+
+  const existing = report.collaborators.find(
+    (collaborator) => String(collaborator.agency) === String(agency._id)
+  );
+  if (existing) {
+    existing.access = access;
+  } else {
+    report.collaborators.push({
+      agency: agency._id,
+      access,
+      addedBy: req.user._id,
+    });
+  }
+  await report.save();
+
+  await AuditLog.create({
+    action: existing ? "COLLABORATOR_UPDATED" : "COLLABORATOR_ADDED",
+    description: existing
+      ? `Access of agency '${agency.name}' on report ${report.caseID} set to ${access}`
+      : `Agency '${agency.name}' added to report ${report.caseID} with ${access} access`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    message: existing
+      ? "Collaborator access updated."
+      : "Collaborating agency added.",
+    data: caseData(await populateCase(report)),
+  });
+});
+
+// @desc    Remove a collaborating agency from a case
+// @route   DELETE /api/admin/reports/:id/collaborators/:agencyId
+// @access  Private (Admin only)
+export const removeCollaborator = asyncHandler(async (req, res, next) => {
+  const report = await findReport(req.params.id);
+
+  const collaborator = report.collaborators.find(
+    (entry) => String(entry.agency) === req.params.agencyId
+  );
+  if (!collaborator) {
+    return next(
+      new ErrorResponse("This agency is not collaborating on the case.", 404)
+    );
+  }
+
+  // Its sub-tasks stay on the case as a record of the work
+  report.collaborators.pull(collaborator._id);
+  await report.save();
+
+  await AuditLog.create({
+    action: "COLLABORATOR_REMOVED",
+    description: `Agency removed from report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: req.params.agencyId,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Collaborating agency removed.",
+    data: caseData(await populateCase(report)),
+  });
+});
+
+// @desc    Add a sub-task for an agency on the case
+// @route   POST /api/admin/reports/:id/tasks
+// @access  Private (Admin only)
+export const addAdminCaseTask = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const task = await addTask(report, req.body, req.user);
+
+  await AuditLog.create({
+    action: "CASE_TASK_CREATED",
+    description: `Task '${task.title}' added to report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: task.agency,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Task added successfully.",
+    data: caseData(await populateCase(report)),
+  });
+});
+
+// @desc    Update a sub-task on a case
+// @route   PATCH /api/admin/reports/:id/tasks/:taskId
+// @access  Private (Admin only)
+export const updateAdminCaseTask = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const task = await updateTask(report, req.params.taskId, req.body, req.user);
+
+  await AuditLog.create({
+    action: "CASE_TASK_UPDATED",
+    description: `Task '${task.title}' on report ${report.caseID} is ${task.status}`,
+    targetReport: report._id,
+    targetAgency: task.agency,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task updated successfully.",
+    data: caseData(await populateCase(report)),
+  });
+});
+
+// @desc    Add a sub-task for an agency on the case (lead agency)
+// @route   POST /api/agency/:id/tasks
+// @access  Private (Agency only)
+export const addAgencyCaseTask = asyncHandler(async (req, res) => {
+  const { report, agency } = await findAgencyCase(req, req.params.id, "lead");
+  const task = await addTask(report, req.body, req.user);
+
+  await AuditLog.create({
+    action: "CASE_TASK_CREATED",
+    description: `Agency (${agency.name}) added task '${task.title}' to report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: task.agency,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Task added successfully.",
+    data: caseData(await populateCase(report)),
+  });
+});
+
+// @desc    Update a sub-task (the task's own agency or the lead agency)
+// @route   PATCH /api/agency/:id/tasks/:taskId
+// @access  Private (Agency only)
+export const updateAgencyCaseTask = asyncHandler(async (req, res, next) => {
+  const { report, agency, access } = await findAgencyCase(
+    req,
+    req.params.id,
+    "contribute"
+  );
+
+  const existing = report.tasks.id(req.params.taskId);
+  if (
+    existing &&
+    access !== "lead" &&
+    String(existing.agency) !== String(agency._id)
+  ) {
+    return next(
+      new ErrorResponse(
+        "Unauthorized: this task belongs to another agency.",
+        403
+      )
+    );
+  }
+
+  const task = await updateTask(report, req.params.taskId, req.body, req.user);
+
+  await AuditLog.create({
+    action: "CASE_TASK_UPDATED",
+    description: `Agency (${agency.name}) set task '${task.title}' on report ${report.caseID} to ${task.status}`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Task updated successfully.",
+    data: caseData(await populateCase(report)),
+  });
+});
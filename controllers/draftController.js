@@ -0,0 +1,89 @@
+import asyncHandler from "express-async-handler";
+import { toEvidenceFiles } from "../utils/storage/index.js";
+import {
+  applyDraftFields,
+  applyDraftForm,
+  createDraft,
+} from "../utils/submissionDrafts.js";
+import {
+  assertCaseQuota,
+  discardStoredFiles,
+} from "../utils/resumableUploads.js";
+
+// Draft state returned by every endpoint
+const draftStatus = (draft) => ({
+  ...draft.toJSON(),
+  challenge: draft.challenge,
+  difficulty: draft.difficulty,
+});
+
+// @desc    Save a report draft and get its proof-of-work challenge
+// @route   POST /api/reports/drafts
+// @access  Public (rate limited)
+export const createReportDraft = asyncHandler(async (req, res) => {
+  const { draft, token } = await createDraft(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: req.t(
+      "Draft saved. Solve the challenge, then submit the report with the draft id, token and nonce."
+    ),
+    data: {
+      ...draftStatus(draft),
+      draftToken: token, // only returned here
+    },
+  });
+});
+
+// @desc    Get a report draft
+// @route   GET /api/reports/drafts/:id
+// @access  Draft token
+export const getReportDraft = asyncHandler(async (req, res) => {
+  // req.draft is set by protectDraft
+  res.status(200).json({ success: true, data: draftStatus(req.draft) });
+});
+
+// @desc    Update a report draft
+// @route   PATCH /api/reports/drafts/:id
+// @access  Draft token
+export const updateReportDraft = asyncHandler(async (req, res) => {
+  const draft = req.draft;
+
+  applyDraftFields(draft, req.body);
+  await applyDraftForm(draft, req.body);
+  await draft.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Draft updated successfully."),
+    data: draftStatus(draft),
+  });
+});
+
+// @desc    Attach evidence files to a report draft
+// @route   POST /api/reports/drafts/:id/evidence
+// @access  Draft token
+export const addDraftEvidence = asyncHandler(async (req, res) => {
+  const draft = req.draft;
+
+  // Files already on the draft count towards the quota of the future case
+  const files = req.files || [];
+  const bytes = [...draft.evidenceFiles, ...files].reduce(
+    (sum, file) => sum + (file.size || 0),
+    0
+  );
+  try {
+    await assertCaseQuota(null, bytes);
+  } catch (error) {
+    await discardStoredFiles(files);
+    throw error;
+  }
+  draft.evidenceFiles.push(...toEvidenceFiles(req.files));
+  await draft.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Evidence added to the draft."),
+    data: draftStatus(draft),
+  });
+});
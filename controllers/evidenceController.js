@@ -0,0 +1,341 @@
+import asyncHandler from "express-async-handler";
+import { pipeline } from "stream/promises";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import CustodyEvent from "../models/CustodyEvent.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { findAgencyCase } from "../utils/caseAccess.js";
+import { getStorage } from "../utils/storage/index.js";
+import {
+  recordCustody,
+  custodyActor,
+  verifyEvidenceFile,
+  buildCustodyReport,
+} from "../utils/evidenceIntegrity.js";
+import {
+  resetEvidenceScan,
+  queueEvidenceScan,
+} from "../utils/scanners/index.js";
+
+// EVIDENCE_DOWNLOAD_MODE: "stream" (default) or "signed-url" when the
+// storage driver can presign; URLs live for EVIDENCE_URL_TTL_SECONDS
+const signedUrlTtl = () => Number(process.env.EVIDENCE_URL_TTL_SECONDS) || 300;
+
+const findEvidenceFile = (report, fileId) => {
+  const file = report.evidenceFiles.id(fileId);
+  if (!file) {
+    throw new ErrorResponse("Evidence file not found.", 404);
+  }
+  return file;
+};
+
+const findReport = async (id) => {
+  const report = await Report.findById(id);
+  if (!report) {
+    throw new ErrorResponse("Report not found.", 404);
+  }
+  return report;
+};
+
+// Report the signed-in agency user's agency leads or collaborates on
+const findAgencyReport = (req) => findAgencyCase(req, req.params.id);
+
+// Look up the file, audit the access, then stream it or return a signed URL.
+// ?disposition=inline displays it (logged as a view) instead of a download.
+const sendEvidenceFile = async (req, res, report, accessedBy) => {
+  const file = findEvidenceFile(report, req.params.fileId);
+
+  // New uploads stay quarantined until the malware scan clears them
+  if (file.scan?.status && file.scan.status !== "clean") {
+    throw new ErrorResponse(
+      file.scan.status === "infected"
+        ? "Evidence file failed the malware scan and is quarantined."
+        : "Evidence file is quarantined until its malware scan completes.",
+      423
+    );
+  }
+
+  // Files uploaded before private storage are served once
+  // `npm run migrate-evidence` has copied them in
+  if (!file.storageKey) {
+    throw new ErrorResponse(
+      "Evidence file has not been moved to private storage yet.",
+      404
+    );
+  }
+
+  const inline = req.query.disposition === "inline";
+
+  await AuditLog.create({
+    action: "EVIDENCE_ACCESSED",
+    description: `${accessedBy} accessed evidence '${file.fileName}' on case ${report.caseID}`,
+    user: req.user?._id,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
+
+  const storage = getStorage();
+
+  if (process.env.EVIDENCE_DOWNLOAD_MODE === "signed-url") {
+    const expiresIn = signedUrlTtl();
+    const url = await storage.getSignedUrl(file.storageKey, {
+      expiresIn,
+      fileName: file.fileName,
+    });
+    if (url) {
+      await recordCustody(
+        report,
+        [file],
+        "download",
+        custodyActor(req),
+        "signed URL issued"
+      );
+      return res.status(200).json({
+        success: true,
+        data: {
+          url,
+          fileName: file.fileName,
+          expiresAt: new Date(Date.now() + expiresIn * 1000),
+        },
+      });
+    }
+  }
+
+  let stream;
+  try {
+    stream = await storage.getStream(file.storageKey);
+  } catch {
+    throw new ErrorResponse("Evidence file is no longer available.", 404);
+  }
+
+  await recordCustody(
+    report,
+    [file],
+    inline ? "view" : "download",
+    custodyActor(req)
+  );
+
+  res.set({
+    "Content-Type": file.fileType?.includes("/")
+      ? file.fileType
+      : "application/octet-stream",
+    "Content-Disposition": `${
+      inline ? "inline" : "attachment"
+    }; filename="${encodeURIComponent(file.fileName || "evidence")}"`,
+    "Cache-Control": "no-store",
+    "X-Content-Type-Options": "nosniff",
+  });
+  if (file.size) res.set("Content-Length", String(file.size));
+
+  await pipeline(stream, res);
+};
+
+// Re-hash the stored object, record the result on the file and in custody
+const verifyFile = async (req, report) => {
+  const file = findEvidenceFile(report, req.params.fileId);
+  if (!file.sha256 || !file.storageKey) {
+    throw new ErrorResponse(
+      "No digest was recorded for this file at upload, so it cannot be verified.",
+      409
+    );
+  }
+
+  let result;
+  try {
+    result = await verifyEvidenceFile(file);
+  } catch {
+    throw new ErrorResponse("Evidence file is no longer available.", 404);
+  }
+
+  await Report.updateOne(
+    { _id: report._id, "evidenceFiles._id": file._id },
+    {
+      $set: {
+        "evidenceFiles.$.lastVerification": {
+          matched: result.matched,
+          verifiedAt: result.verifiedAt,
+        },
+      },
+    }
+  );
+
+  await CustodyEvent.create({
+    report: report._id,
+    fileId: file._id,
+    action: "verify",
+    ...custodyActor(req),
+    sha256: result.actual,
+    details: result.matched ? "digest matched" : "DIGEST MISMATCH",
+  });
+
+  if (!result.matched) {
+    await AuditLog.create({
+      action: "EVIDENCE_INTEGRITY_FAILED",
+      description: `Evidence '${file.fileName}' on case ${report.caseID} no longer matches its upload digest`,
+      user: req.user._id,
+      targetReport: report._id,
+      ipAddress: req.ip,
+    });
+  }
+
+  return { fileId: file._id, fileName: file.fileName, ...result };
+};
+
+// Signed chain-of-custody report; logs an export for every file
+const exportCustody = async (req, report, generatedBy) => {
+  await recordCustody(
+    report,
+    report.evidenceFiles,
+    "export",
+    custodyActor(req),
+    "chain-of-custody report"
+  );
+
+  await AuditLog.create({
+    action: "CUSTODY_REPORT_EXPORTED",
+    description: `${generatedBy} exported the chain-of-custody report for case ${report.caseID}`,
+    user: req.user._id,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
+
+  return buildCustodyReport(report, generatedBy);
+};
+
+// @desc    Download an evidence file
+// @route   GET /api/admin/reports/:id/evidence/:fileId
+// @access  Private (Admin only)
+export const getAdminEvidenceFile = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  await sendEvidenceFile(req, res, report, `Admin ${req.user.username}`);
+});
+
+// @desc    Download an evidence file on a report assigned to my agency
+// @route   GET /api/agency/:id/evidence/:fileId
+// @access  Private (Agency only)
+export const getAgencyEvidenceFile = asyncHandler(async (req, res) => {
+  const { report, agency } = await findAgencyReport(req);
+  await sendEvidenceFile(
+    req,
+    res,
+    report,
+    `Agency user ${req.user.username} (${agency.name})`
+  );
+});
+
+// @desc    Whistle-blower downloads evidence on their own case
+// @route   GET /api/reports/evidence/:fileId
+// @access  Public (session token)
+export const getReporterEvidenceFile = asyncHandler(async (req, res) => {
+  // Authenticated by protectReporter
+  await sendEvidenceFile(req, res, req.report, "Whistle-blower");
+});
+
+// @desc    Verify a stored evidence file against its upload digest
+// @route   POST /api/admin/reports/:id/evidence/:fileId/verify
+// @access  Private (Admin only)
+export const verifyAdminEvidenceFile = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const result = await verifyFile(req, report);
+
+  res.status(200).json({
+    success: true,
+    message: result.matched
+      ? "Evidence file matches its upload digest."
+      : "Evidence file does NOT match its upload digest.",
+    data: result,
+  });
+});
+
+// @desc    Scan an evidence file again after its malware scan gave up
+// @route   POST /api/admin/reports/:id/evidence/:fileId/rescan
+// @access  Private (Admin only)
+export const rescanAdminEvidenceFile = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const file = findEvidenceFile(report, req.params.fileId);
+
+  // Clean and infected verdicts are final; only unfinished scans are retried
+  if (!file.storageKey || !["failed", "pending"].includes(file.scan?.status)) {
+    throw new ErrorResponse(
+      "Only evidence files whose malware scan failed or is still pending can be rescanned.",
+      409
+    );
+  }
+
+  await resetEvidenceScan(report, file);
+  await AuditLog.create({
+    action: "EVIDENCE_RESCAN_QUEUED",
+    description: `Admin ${req.user.username} queued evidence '${file.fileName}' on case ${report.caseID} for another malware scan`,
+    user: req.user._id,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
+  queueEvidenceScan(report._id);
+
+  res.status(202).json({
+    success: true,
+    message: "Evidence file queued for another malware scan.",
+    data: { _id: file._id, scan: { status: "pending", attempts: 0 } },
+  });
+});
+
+// @desc    Verify a stored evidence file on a report assigned to my agency
+// @route   POST /api/agency/:id/evidence/:fileId/verify
+// @access  Private (Agency only)
+export const verifyAgencyEvidenceFile = asyncHandler(async (req, res) => {
+  const { report } = await findAgencyReport(req);
+  const result = await verifyFile(req, report);
+
+  res.status(200).json({
+    success: true,
+    message: result.matched
+      ? "Evidence file matches its upload digest."
+      : "Evidence file does NOT match its upload digest.",
+    data: result,
+  });
+});
+
+// @desc    Get the custody log of an evidence file
+// @route   GET /api/admin/reports/:id/evidence/:fileId/custody
+// @access  Private (Admin only)
+export const getEvidenceCustodyLog = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const file = findEvidenceFile(report, req.params.fileId);
+
+  const events = await CustodyEvent.find({
+    report: report._id,
+    fileId: file._id,
+  })
+    .populate("user", "username role")
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    data: events,
+  });
+});
+
+// @desc    Export the signed chain-of-custody report for a case
+// @route   GET /api/admin/reports/:id/custody-report
+// @access  Private (Admin only)
+export const exportAdminCustodyReport = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const data = await exportCustody(req, report, `Admin ${req.user.username}`);
+
+  res.status(200).json({ success: true, data });
+});
+
+// @desc    Export the signed chain-of-custody report for a case assigned to my agency
+// @route   GET /api/agency/:id/custody-report
+// @access  Private (Agency only)
+export const exportAgencyCustodyReport = asyncHandler(async (req, res) => {
+  const { report, agency } = await findAgencyReport(req);
+  const data = await exportCustody(
+    req,
+    report,
+    `Agency user ${req.user.username} (${agency.name})`
+  );
+
+  res.status(200).json({ success: true, data });
+});
@@ -0,0 +1,240 @@
+import asyncHandler from "express-async-handler";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { findAgencyCase } from "../utils/caseAccess.js";
+import {
+  addEvidenceFiles,
+  findOpenRequest,
+  findReporterFiles,
+} from "../utils/evidenceRequests.js";
+import {
+  assertFilesWithinQuota,
+  discardStoredFiles,
+} from "../utils/resumableUploads.js";
+import { recordCustody, custodyActor } from "../utils/evidenceIntegrity.js";
+import { queueEvidenceScan } from "../utils/scanners/index.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+
+// Add an open evidence request from a staff member
+const addRequest = async (
+  report,
+  { message, dueAt },
+  { user, role, agency }
+) => {
+  if (!message || !String(message).trim()) {
+    throw new ErrorResponse("Describe the evidence you are asking for.", 400);
+  }
+  const due = dueAt ? new Date(dueAt) : undefined;
+  if (due && (Number.isNaN(due.getTime()) || due <= new Date())) {
+    throw new ErrorResponse("dueAt must be a date in the future.", 400);
+  }
+
+  report.evidenceRequests.push({
+    message,
+    role,
+    requestedBy: user._id,
+    agency: agency?._id,
+    dueAt: due,
+  });
+  await report.save();
+  return report.evidenceRequests[report.evidenceRequests.length - 1];
+};
+
+// What the reporter sees of a request, taken from the case's public view
+// (no staff member or agency), with the public entries of its files
+const forReporter = (report, request) => {
+  const { evidenceRequests, evidenceFiles } = report.getPublicData();
+  const data = evidenceRequests.find((r) => r._id.equals(request._id));
+  const files = data.files.map(String);
+  return {
+    ...data,
+    evidenceFiles: evidenceFiles.filter((file) =>
+      files.includes(String(file._id))
+    ),
+  };
+};
+
+// fileIds may arrive as a JSON string in multipart requests
+const parseFileIds = (fileIds) => {
+  if (!fileIds) return [];
+  if (typeof fileIds === "string") {
+    try {
+      fileIds = JSON.parse(fileIds);
+    } catch {
+      fileIds = [fileIds];
+    }
+  }
+  if (!Array.isArray(fileIds)) {
+    throw new ErrorResponse(
+      "fileIds must be a list of evidence file IDs.",
+      400
+    );
+  }
+  return fileIds.map(String);
+};
+
+// @desc    Ask the reporter for more evidence
+// @route   POST /api/admin/reports/:id/evidence-requests
+// @access  Private (Admin only)
+export const createAdminEvidenceRequest = asyncHandler(
+  async (req, res, next) => {
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return next(new ErrorResponse("Report not found.", 404));
+    }
+
+    const request = await addRequest(report, req.body, {
+      user: req.user,
+      role: "admin",
+    });
+
+    await AuditLog.create({
+      action: "EVIDENCE_REQUESTED",
+      description: `Admin asked the reporter of ${report.caseID} for more evidence`,
+      targetReport: report._id,
+      user: req.user._id,
+      ipAddress: req.ip,
+    });
+
+    notify(EVENTS.EVIDENCE_REQUESTED, { report, actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: "Evidence request sent to the reporter.",
+      data: request,
+    });
+  }
+);
+
+// @desc    Ask the reporter for more evidence
+// @route   POST /api/agency/:id/evidence-requests
+// @access  Private (Agency only)
+export const createAgencyEvidenceRequest = asyncHandler(async (req, res) => {
+  // The lead agency and collaborators with contribute access may ask
+  const { report, agency } = await findAgencyCase(
+    req,
+    req.params.id,
+    "contribute"
+  );
+
+  const request = await addRequest(report, req.body, {
+    user: req.user,
+    role: "agency",
+    agency,
+  });
+
+  await AuditLog.create({
+    action: "EVIDENCE_REQUESTED",
+    description: `Agency (${agency.name}) asked the reporter of ${report.caseID} for more evidence`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.EVIDENCE_REQUESTED, { report, agency, actor: req.user });
+
+  res.status(201).json({
+    success: true,
+    message: "Evidence request sent to the reporter.",
+    data: request,
+  });
+});
+
+// @desc    Answer an evidence request with files
+// @route   POST /api/reports/evidence-requests/:requestId/fulfil
+// @access  Public (session token or caseID + password)
+export const fulfilEvidenceRequest = asyncHandler(async (req, res) => {
+  // Authenticated by protectReporter
+  const report = req.report;
+
+  let request;
+  let existing;
+  try {
+    request = findOpenRequest(report, req.params.requestId);
+    // Evidence already on the case, e.g. a finished resumable upload
+    existing = findReporterFiles(report, parseFileIds(req.body?.fileIds));
+    if (existing.length === 0 && !req.files?.length) {
+      throw new ErrorResponse(
+        "Attach at least one file, or list fileIds of evidence already uploaded.",
+        400
+      );
+    }
+  } catch (error) {
+    await discardStoredFiles(req.files);
+    throw error;
+  }
+
+  await assertFilesWithinQuota(report._id, req.files);
+  const added = addEvidenceFiles(report, req.files, {
+    role: "reporter",
+    evidenceRequest: request._id,
+  });
+  existing.forEach((file) => {
+    file.evidenceRequest = request._id;
+  });
+
+  request.files.push(...[...existing, ...added].map((file) => file._id));
+  request.status = "fulfilled";
+  request.reporterNote = req.body?.note;
+  request.respondedAt = new Date();
+
+  await report.save();
+  if (added.length > 0) {
+    await recordCustody(report, added, "upload", custodyActor(req));
+    queueEvidenceScan(report._id);
+  }
+
+  await AuditLog.create({
+    action: "EVIDENCE_REQUEST_FULFILLED",
+    description: `Whistle-blower answered an evidence request on ${report.caseID} with ${request.files.length} file(s)`,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.EVIDENCE_REQUEST_ANSWERED, {
+    report,
+    evidenceRequest: request,
+    authorRole: "reporter",
+  });
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Thank you. Your evidence has been added to the case."),
+    data: forReporter(report, request),
+  });
+});
+
+// @desc    Decline an evidence request
+// @route   POST /api/reports/evidence-requests/:requestId/decline
+// @access  Public (session token or caseID + password)
+export const declineEvidenceRequest = asyncHandler(async (req, res) => {
+  // Authenticated by protectReporter
+  const report = req.report;
+  const request = findOpenRequest(report, req.params.requestId);
+
+  request.status = "declined";
+  request.reporterNote = req.body?.note;
+  request.respondedAt = new Date();
+  await report.save();
+
+  await AuditLog.create({
+    action: "EVIDENCE_REQUEST_DECLINED",
+    description: `Whistle-blower declined an evidence request on ${report.caseID}`,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.EVIDENCE_REQUEST_ANSWERED, {
+    report,
+    evidenceRequest: request,
+    authorRole: "reporter",
+  });
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Evidence request declined."),
+    data: forReporter(report, request),
+  });
+});
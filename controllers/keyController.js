@@ -0,0 +1,89 @@
+import asyncHandler from "express-async-handler";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { parsePublicKey } from "../utils/e2ee.js";
+
+// @desc    Register a public key for encrypted case messages
+// @route   POST /api/admin/keys, POST /api/agency/keys
+// @access  Private (Admin/Agency)
+export const registerPublicKey = asyncHandler(async (req, res, next) => {
+  const { publicKey, algorithm } = req.body;
+  const parsed = parsePublicKey(publicKey, algorithm);
+
+  const existing = await User.exists({
+    _id: req.user._id,
+    publicKeys: {
+      $elemMatch: { fingerprint: parsed.fingerprint, revokedAt: null },
+    },
+  });
+  if (existing) {
+    return next(
+      new ErrorResponse("This public key is already registered.", 400)
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $push: { publicKeys: parsed } },
+    { new: true, runValidators: true }
+  ).select("username publicKeys");
+
+  await AuditLog.create({
+    action: "PUBLIC_KEY_REGISTERED",
+    description: `${user.username} registered public key ${parsed.fingerprint}`,
+    user: user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Public key registered successfully.",
+    data: user.publicKeys[user.publicKeys.length - 1],
+  });
+});
+
+// @desc    List my public keys
+// @route   GET /api/admin/keys, GET /api/agency/keys
+// @access  Private (Admin/Agency)
+export const getMyPublicKeys = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("publicKeys");
+
+  res.status(200).json({
+    success: true,
+    count: user.publicKeys.length,
+    data: user.publicKeys,
+  });
+});
+
+// @desc    Revoke one of my public keys
+// @route   DELETE /api/admin/keys/:keyId, DELETE /api/agency/keys/:keyId
+// @access  Private (Admin/Agency)
+export const revokePublicKey = asyncHandler(async (req, res, next) => {
+  const user = await User.findOneAndUpdate(
+    {
+      _id: req.user._id,
+      publicKeys: { $elemMatch: { _id: req.params.keyId, revokedAt: null } },
+    },
+    { $set: { "publicKeys.$.revokedAt": new Date() } },
+    { new: true }
+  ).select("username publicKeys");
+
+  if (!user) {
+    return next(new ErrorResponse("Public key not found.", 404));
+  }
+
+  const key = user.publicKeys.id(req.params.keyId);
+
+  await AuditLog.create({
+    action: "PUBLIC_KEY_REVOKED",
+    description: `${user.username} revoked public key ${key.fingerprint}`,
+    user: user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Public key revoked successfully.",
+  });
+});
@@ -0,0 +1,169 @@
+import asyncHandler from "express-async-handler";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { findAgencyCase } from "../utils/caseAccess.js";
+import { readableScopes, visibleNotes } from "../utils/caseNotes.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+
+const SCOPE_LABELS = {
+  admin: "an admin-only",
+  agency: "an agency-shared",
+  reporter: "a reporter-visible",
+};
+
+const findReport = async (id) => {
+  const report = await Report.findById(id);
+  if (!report) {
+    throw new ErrorResponse("Report not found.", 404);
+  }
+  return report;
+};
+
+// Notes the role may read, oldest first, with author and agency names
+const notesFor = async (report, role, scope) => {
+  await report.populate([
+    { path: "notes.author", select: "username firstname lastname" },
+    { path: "notes.agency", select: "name" },
+  ]);
+  const notes = visibleNotes(report.notes, role);
+  return scope ? notes.filter((note) => note.scope === scope) : notes;
+};
+
+// Add a note in one of the scopes the author's role can read
+const addNote = async (report, { body, scope }, { user, role, agency }) => {
+  if (!readableScopes(role).includes(scope)) {
+    throw new ErrorResponse(
+      `Invalid note scope. Must be one of: ${readableScopes(role).join(", ")}.`,
+      400
+    );
+  }
+  if (!body || !String(body).trim()) {
+    throw new ErrorResponse("Note content is required.", 400);
+  }
+  // Plaintext would bypass end-to-end encryption on the reporter's side
+  if (scope === "reporter" && report.encryption?.enabled) {
+    throw new ErrorResponse(
+      "This case uses encrypted messaging; send an encrypted message to the reporter instead.",
+      400
+    );
+  }
+
+  report.notes.push({
+    author: user._id,
+    role,
+    agency: agency?._id,
+    scope,
+    body,
+  });
+  await report.save();
+  return report.notes[report.notes.length - 1];
+};
+
+// @desc    Get the notes thread of a case
+// @route   GET /api/admin/reports/:id/notes
+// @access  Private (Admin only)
+export const getAdminCaseNotes = asyncHandler(async (req, res) => {
+  const report = await findReport(req.params.id);
+  const notes = await notesFor(report, "admin", req.query.scope);
+
+  res.status(200).json({
+    success: true,
+    count: notes.length,
+    // The single internal note kept before the thread existed, if any
+    legacyNote: report.internalNotes || undefined,
+    data: notes,
+  });
+});
+
+// @desc    Add a note to a case (admin-only by default)
+// @route   POST /api/admin/reports/:id/notes
+// @access  Private (Admin only)
+export const addAdminCaseNote = asyncHandler(async (req, res) => {
+  const { body, scope = "admin" } = req.body;
+  const report = await findReport(req.params.id);
+
+  const note = await addNote(
+    report,
+    { body, scope },
+    { user: req.user, role: "admin" }
+  );
+
+  await AuditLog.create({
+    action: "CASE_NOTE_ADDED",
+    description: `Admin added ${SCOPE_LABELS[scope]} note to report ${report.caseID}`,
+    targetReport: report._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  if (scope === "reporter") {
+    notify(EVENTS.COMMENT_ADDED, {
+      report,
+      actor: req.user,
+      authorRole: "admin",
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Note added successfully.",
+    data: note,
+  });
+});
+
+// @desc    Get the agency-shared and reporter-visible notes of a case
+// @route   GET /api/agency/:id/notes
+// @access  Private (Agency only)
+export const getAgencyCaseNotes = asyncHandler(async (req, res) => {
+  const { report } = await findAgencyCase(req, req.params.id);
+  const notes = await notesFor(report, "agency", req.query.scope);
+
+  res.status(200).json({
+    success: true,
+    count: notes.length,
+    data: notes,
+  });
+});
+
+// @desc    Add a note to a case (agency-shared by default)
+// @route   POST /api/agency/:id/notes
+// @access  Private (Agency only)
+export const addAgencyCaseNote = asyncHandler(async (req, res) => {
+  const { body, scope = "agency" } = req.body;
+  const { report, agency } = await findAgencyCase(
+    req,
+    req.params.id,
+    "contribute"
+  );
+
+  const note = await addNote(
+    report,
+    { body, scope },
+    { user: req.user, role: "agency", agency }
+  );
+
+  await AuditLog.create({
+    action: "CASE_NOTE_ADDED",
+    description: `Agency (${agency.name}) added ${SCOPE_LABELS[scope]} note to report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  if (scope === "reporter") {
+    notify(EVENTS.COMMENT_ADDED, {
+      report,
+      agency,
+      actor: req.user,
+      authorRole: "agency",
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Note added successfully.",
+    data: note,
+  });
+});
@@ -0,0 +1,369 @@
+import asyncHandler from "express-async-handler";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { REFERRAL_STATUSES } from "../utils/caseTasks.js";
+import { findAgencyCase, findUserAgency } from "../utils/caseAccess.js";
+import {
+  acceptReferral,
+  closeReferral,
+  findPendingReferral,
+  findReceivingAgency,
+  proposeTransfer,
+} from "../utils/referrals.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+
+const idOf = (value) => String(value?._id ?? value);
+
+const CASE_SUMMARY =
+  "caseID title status category location lga agencyAssigned referrals createdAt";
+
+const populateReferrals = (query) =>
+  query.populate([
+    { path: "category", select: "name" },
+    { path: "agencyAssigned", select: "name" },
+    { path: "referrals.fromAgency", select: "name" },
+    { path: "referrals.toAgency", select: "name" },
+  ]);
+
+const statusFilter = (status = "pending") => {
+  if (!REFERRAL_STATUSES.includes(status)) {
+    throw new ErrorResponse(
+      `Invalid referral status. Must be one of: ${REFERRAL_STATUSES.join(
+        ", "
+      )}.`,
+      400
+    );
+  }
+  return status;
+};
+
+// One entry per matching referral, with a summary of its case
+const referralQueue = (reports, matches) =>
+  reports.flatMap((report) =>
+    report.referrals.filter(matches).map((referral) => ({
+      ...referral.toJSON(),
+      report: {
+        _id: report._id,
+        caseID: report.caseID,
+        title: report.title,
+        status: report.status,
+        category: report.category,
+        location: report.location,
+        lga: report.lga,
+        agencyAssigned: report.agencyAssigned,
+        createdAt: report.createdAt,
+      },
+    }))
+  );
+
+// Case with a pending referral addressed to the signed-in user's agency
+const findIncomingReferral = async (req) => {
+  const agency = await findUserAgency(req.user);
+  const report = await Report.findOne({
+    _id: req.params.id,
+    referrals: {
+      $elemMatch: { _id: req.params.referralId, toAgency: agency._id },
+    },
+  }).catch(() => null);
+  if (!report) {
+    throw new ErrorResponse("Referral not found.", 404);
+  }
+  const referral = findPendingReferral(report, req.params.referralId);
+  return { report, referral, agency };
+};
+
+// @desc    Propose transferring a case to another agency or back to the admin
+// @route   POST /api/agency/:id/referrals
+// @access  Private (Agency only)
+export const proposeAgencyTransfer = asyncHandler(async (req, res) => {
+  const { toAgencyId, reason } = req.body;
+  const { report, agency } = await findAgencyCase(req, req.params.id, "lead");
+
+  const toAgency = toAgencyId
+    ? await findReceivingAgency(report, toAgencyId)
+    : null;
+  const referral = proposeTransfer(report, {
+    fromAgency: agency,
+    toAgency,
+    reason,
+    user: req.user,
+  });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_PROPOSED",
+    description: `Agency (${agency.name}) proposed transferring report ${
+      report.caseID
+    } ${toAgency ? `to '${toAgency.name}'` : "back to the admin"}: ${reason}`,
+    targetReport: report._id,
+    targetAgency: toAgency?._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.TRANSFER_PROPOSED, {
+    report,
+    agency: toAgency,
+    referral,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Transfer proposed successfully.",
+    data: referral,
+  });
+});
+
+// @desc    Get transfers proposed to or by the agency
+// @route   GET /api/agency/referrals
+// @access  Private (Agency only)
+export const getAgencyReferrals = asyncHandler(async (req, res, next) => {
+  const { direction = "incoming" } = req.query;
+  const status = statusFilter(req.query.status);
+
+  if (!["incoming", "outgoing"].includes(direction)) {
+    return next(
+      new ErrorResponse(
+        "Invalid direction. Must be one of: incoming, outgoing.",
+        400
+      )
+    );
+  }
+
+  const agency = await findUserAgency(req.user);
+  const field = direction === "incoming" ? "toAgency" : "fromAgency";
+
+  const reports = await populateReferrals(
+    Report.find({
+      referrals: { $elemMatch: { [field]: agency._id, status } },
+    })
+      .select(CASE_SUMMARY)
+      .sort({ updatedAt: -1 })
+  );
+
+  const data = referralQueue(
+    reports,
+    (referral) =>
+      referral.status === status && idOf(referral[field]) === idOf(agency)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Accept a transfer proposed to the agency
+// @route   POST /api/agency/:id/referrals/:referralId/accept
+// @access  Private (Agency only)
+export const acceptAgencyReferral = asyncHandler(async (req, res) => {
+  const { report, referral, agency } = await findIncomingReferral(req);
+
+  acceptReferral(report, referral, agency, {
+    user: req.user,
+    note: req.body?.note,
+  });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_ACCEPTED",
+    description: `Agency (${agency.name}) accepted the transfer of report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.REPORT_ASSIGNED, { report, agency, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: "Transfer accepted. Your agency now leads the case.",
+    data: referral,
+  });
+});
+
+// @desc    Reject a transfer proposed to the agency
+// @route   POST /api/agency/:id/referrals/:referralId/reject
+// @access  Private (Agency only)
+export const rejectAgencyReferral = asyncHandler(async (req, res) => {
+  const { report, referral, agency } = await findIncomingReferral(req);
+
+  closeReferral(referral, "rejected", { user: req.user, note: req.body?.note });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_REJECTED",
+    description: `Agency (${agency.name}) rejected the transfer of report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.TRANSFER_REJECTED, { report, referral, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: "Transfer rejected.",
+    data: referral,
+  });
+});
+
+// @desc    Withdraw a transfer the agency proposed
+// @route   POST /api/agency/:id/referrals/:referralId/cancel
+// @access  Private (Agency only)
+export const cancelAgencyReferral = asyncHandler(async (req, res, next) => {
+  const { report, agency } = await findAgencyCase(req, req.params.id, "lead");
+  const referral = findPendingReferral(report, req.params.referralId);
+
+  if (idOf(referral.fromAgency) !== idOf(agency)) {
+    return next(
+      new ErrorResponse(
+        "Unauthorized: this transfer was proposed by another agency.",
+        403
+      )
+    );
+  }
+
+  closeReferral(referral, "cancelled", {
+    user: req.user,
+    note: req.body?.note,
+  });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_CANCELLED",
+    description: `Agency (${agency.name}) withdrew the proposed transfer of report ${report.caseID}`,
+    targetReport: report._id,
+    targetAgency: referral.toAgency,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Transfer withdrawn.",
+    data: referral,
+  });
+});
+
+// @desc    Get transfer proposals across all cases
+// @route   GET /api/admin/referrals
+// @access  Private (Admin only)
+export const getReferrals = asyncHandler(async (req, res) => {
+  const status = statusFilter(req.query.status);
+
+  const reports = await populateReferrals(
+    Report.find({ "referrals.status": status })
+      .select(CASE_SUMMARY)
+      .sort({ updatedAt: -1 })
+  );
+
+  const data = referralQueue(reports, (referral) => referral.status === status);
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Get the referral history of a case
+// @route   GET /api/admin/reports/:id/referrals
+// @access  Private (Admin only)
+export const getReportReferrals = asyncHandler(async (req, res, next) => {
+  const report = await populateReferrals(
+    Report.findById(req.params.id).select(CASE_SUMMARY)
+  );
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: report.referrals.length,
+    data: report.referrals,
+  });
+});
+
+// @desc    Accept a transfer proposal, choosing the agency if none was named
+// @route   POST /api/admin/reports/:id/referrals/:referralId/accept
+// @access  Private (Admin only)
+export const acceptAdminReferral = asyncHandler(async (req, res, next) => {
+  // Accept and reject may be sent without a body
+  const { agencyId, note } = req.body ?? {};
+
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+  const referral = findPendingReferral(report, req.params.referralId);
+
+  if (!agencyId && !referral.toAgency) {
+    return next(
+      new ErrorResponse(
+        "This case was handed back without a receiving agency; agencyId is required.",
+        400
+      )
+    );
+  }
+  const agency = await findReceivingAgency(
+    report,
+    agencyId || referral.toAgency
+  );
+
+  acceptReferral(report, referral, agency, { user: req.user, note });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_ACCEPTED",
+    description: `Transfer of report ${report.caseID} to agency '${agency.name}' accepted by the admin`,
+    targetReport: report._id,
+    targetAgency: agency._id,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.REPORT_ASSIGNED, { report, agency, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: "Transfer accepted.",
+    data: referral,
+  });
+});
+
+// @desc    Reject a transfer proposal
+// @route   POST /api/admin/reports/:id/referrals/:referralId/reject
+// @access  Private (Admin only)
+export const rejectAdminReferral = asyncHandler(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+  const referral = findPendingReferral(report, req.params.referralId);
+
+  closeReferral(referral, "rejected", { user: req.user, note: req.body?.note });
+  await report.save();
+
+  await AuditLog.create({
+    action: "REFERRAL_REJECTED",
+    description: `Transfer of report ${report.caseID} rejected by the admin`,
+    targetReport: report._id,
+    targetAgency: referral.toAgency,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  notify(EVENTS.TRANSFER_REJECTED, { report, referral, actor: req.user });
+
+  res.status(200).json({
+    success: true,
+    message: "Transfer rejected.",
+    data: referral,
+  });
+});
@@ -1,91 +1,94 @@
 // controllers/reportController.js
 import asyncHandler from "express-async-handler";
-import crypto from "crypto";
 import Report from "../models/Report.js";
 import AuditLog from "../models/AuditLog.js";
 import Category from "../models/Category.js";
-import Agency from "../models/Agency.js";
-
-// @desc    Create new report
+import ErrorResponse from "../utils/errorResponse.js";
+import { getInitialStatus } from "../utils/workflow.js";
+import {
+  authenticateCase,
+  issueReporterToken,
+} from "../utils/caseCredentials.js";
+import { CASE_KEY_FORMATS, generateCaseKey } from "../utils/caseKeys.js";
+import {
+  buildMessageFields,
+  getRecipientKeys,
+} from "../utils/e2ee.js";
+import { notify, EVENTS } from "../utils/notifications/index.js";
+import { toEvidenceFiles } from "../utils/storage/index.js";
+import { queueEvidenceScan } from "../utils/scanners/index.js";
+import {
+  claimUploads,
+  linkUploads,
+  releaseUploads,
+  assertFilesWithinQuota,
+} from "../utils/resumableUploads.js";
+import {
+  claimDraft,
+  finishDraft,
+  releaseDraft,
+} from "../utils/submissionDrafts.js";
+import { recordCustody, custodyActor } from "../utils/evidenceIntegrity.js";
+import { routeReport } from "../utils/routing.js";
+import { markRead, readUpTo, unreadCount } from "../utils/messageReads.js";
+import {
+  LOCALES,
+  requestLocale,
+  supportedLocale,
+} from "../utils/i18n/index.js";
+
+// @desc    Submit a completed report draft
 // @route   POST /api/reports
-// @access  Public (anonymous/confidential whistleblowers)
+// @access  Public (draft token + proof-of-work, rate limited)
 export const createReport = asyncHandler(async (req, res) => {
-  const {
-    title,
-    description,
-    location,
-    reporterType,
-    reporterName,
-    reporterEmail,
-    reporterPhone,
-  } = req.body;
-
-  // ✅ Basic validation
-  if (!title || !description) {
-    return res.status(400).json({
-      success: false,
-      message: "Title and description are required fields.",
-    });
-  }
-
-  if (!["anonymous", "confidential"].includes(reporterType)) {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid reporter type. Must be 'anonymous' or 'confidential'.",
-    });
-  }
-
-  // ✅ Anonymous → reject personal info
-  if (
-    reporterType === "anonymous" &&
-    (reporterName || reporterEmail || reporterPhone)
-  ) {
-    return res.status(400).json({
-      success: false,
-      message:
-        "Anonymous reports cannot include name, email, or phone information.",
-    });
-  }
-
-  // ✅ Confidential → must include name + email
-  if (reporterType === "confidential") {
-    if (!reporterName || !reporterEmail) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Confidential reports must include reporter name and email address.",
-      });
-    }
-  }
+  // ✅ Completed draft with a solved challenge, taken so it can't be replayed
+  // with its intake form answers checked against the chosen category
+  const { draft, category, formData } = await claimDraft(req.body);
+
+  const caseFields = {
+    title: draft.title,
+    description: draft.description,
+    location: draft.location,
+    geoLocation: draft.geoLocation?.coordinates ? draft.geoLocation : undefined,
+    category: category ? category._id : null,
+    formData,
+  };
+
+  let routing;
+  let uploads;
+  try {
+    // ✅ Agency from the routing rules, otherwise "unassigned"
+    routing = await routeReport(caseFields);
 
-  // ✅ Default category & agency
-  const defaultCategory = await Category.findOne({ name: "uncategorised" });
-  const defaultAgency = await Agency.findOne({ name: "unassigned" });
-
-  // ✅ Handle uploaded files (from S3)
-  let evidenceFiles = [];
-  if (req.files && req.files.length > 0) {
-    evidenceFiles = req.files.map((file) => ({
-      filePath: file.location, // URL from S3
-      fileType: file.mimetype,
-      fileName: file.originalname,
-      uploadedAt: new Date(),
-    }));
+    // ✅ Evidence attached to the draft and finished resumable uploads,
+    // sent as uploads: [{ id, token }]
+    uploads = await claimUploads(req.body.uploads, draft.evidenceFiles);
+  } catch (error) {
+    await releaseDraft(draft);
+    throw error;
   }
+  const evidenceFiles = [...draft.evidenceFiles, ...uploads.evidence];
 
   // ✅ Create report
   const report = await Report.create({
-    title,
-    description,
-    location,
-    reporterType,
-    reporterName,
-    reporterEmail,
-    reporterPhone,
-    category: defaultCategory ? defaultCategory._id : null,
-    agencyAssigned: defaultAgency ? defaultAgency._id : null,
+    ...caseFields,
+    reporterType: draft.reporterType,
+    reporterName: draft.reporterName,
+    reporterEmail: draft.reporterEmail,
+    reporterPhone: draft.reporterPhone,
+    status: await getInitialStatus(),
+    agencyAssigned: routing.agency ? routing.agency._id : null,
     evidenceFiles,
+    encryption: draft.encryption?.enabled ? draft.encryption : undefined,
+    preferredLanguage: requestLocale(req),
+  }).catch(async (error) => {
+    await releaseUploads(uploads.ids);
+    await releaseDraft(draft);
+    throw error;
   });
+  await linkUploads(uploads.ids, report._id);
+  await finishDraft(draft);
+  await recordCustody(report, report.evidenceFiles, "upload", custodyActor(req));
 
   // ✅ Log action
   await AuditLog.create({
@@ -95,157 +98,133 @@ export const createReport = asyncHandler(async (req, res) => {
     ipAddress: req.ip,
   });
 
+  if (routing.rule) {
+    await AuditLog.create({
+      action: "AGENCY_AUTO_ASSIGNED",
+      description: `Report ${report.caseID} assigned to agency '${routing.agency.name}' by routing rule '${routing.rule.name}'`,
+      targetReport: report._id,
+      targetAgency: routing.agency._id,
+      ipAddress: req.ip,
+    });
+  }
+
+  notify(EVENTS.REPORT_CREATED, { report });
+  if (routing.rule) {
+    notify(EVENTS.REPORT_ASSIGNED, { report, agency: routing.agency });
+  }
+  queueEvidenceScan(report._id);
+
   res.status(201).json({
     success: true,
-    message: "Report submitted successfully",
+    message: req.t("Report submitted successfully"),
     data: report.getPublicData(),
     casePassword: report._plainPassword, // temporary plain password
   });
 });
 
-// @desc    Retrieve report using password
-// @route   GET /api/report/:password/follow-up
-// @access  Public (with password)
-export const getReportByPassword = asyncHandler(async (req, res) => {
-  const { password } = req.body;
+// @desc    Start a reporter session (exchange caseID + password for a token)
+// @route   POST /api/reports/session
+// @access  Public (with case credentials)
+export const createReporterSession = asyncHandler(async (req, res) => {
+  const { caseID, password } = req.body;
 
-  if (!password) {
-    return res.status(400).json({
-      success: false,
-      message: "Password is required.",
-    });
-  }
-
-  // Step 1: Generate lookup key
-  const passwordKey = crypto
-    .createHash("sha256")
-    .update(password)
-    .digest("hex");
-
-  // Step 2: Find report and populate category & agency names
-  const report = await Report.findOne({ passwordKey })
-    .select("+password") // include hidden password for comparison
-    .populate("category", "name description") // only include these fields
-    .populate("agencyAssigned", "name description");
-
-  if (!report) {
-    return res.status(404).json({
-      success: false,
-      message: "No report found for this password.",
-    });
-  }
-
-  // Step 3: Compare bcrypt password for validation
-  const isMatch = await report.matchPassword(password);
-  if (!isMatch) {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid password.",
-    });
-  }
+  const report = await authenticateCase({ caseID, password, ip: req.ip });
 
-  // Step 4: Return cleaned report data
   res.status(200).json({
     success: true,
-    message: "Report retrieved successfully.",
-    data: report.getPublicData(), // this already removes sensitive info
+    message: req.t("Session started successfully."),
+    token: issueReporterToken(report),
+    caseID: report.caseID,
   });
 });
 
-//Loops through all reports to find a match
-//This is inefficient and should be optimized in the future
-/*export const getReportByPassword = asyncHandler(async (req, res) => {
-  const { password } = req.body;
+// @desc    Rotate the case key (optionally switching to a passphrase)
+// @route   POST /api/reports/credentials/rotate
+// @access  Public (caseID + current password)
+export const rotateCaseKey = asyncHandler(async (req, res) => {
+  const { caseID, password, format } = req.body;
 
-  if (!password) {
+  if (format && !CASE_KEY_FORMATS.includes(format)) {
     return res.status(400).json({
       success: false,
-      message: "Password is required.",
+      message: req.t("Invalid key format. Must be one of: {formats}.", {
+        formats: CASE_KEY_FORMATS.join(", "),
+      }),
     });
   }
 
-  // Retrieve all reports (can be optimized later)
-  const reports = await Report.find();
+  // Always require the current key, a session token is not enough
+  const report = await authenticateCase({ caseID, password, ip: req.ip });
 
-  let matchedReport = null;
+  const newKey = generateCaseKey(format);
+  await report.setCaseKey(newKey);
+  report.keyRotatedAt = new Date();
+  await report.save();
 
-  for (const report of reports) {
-    const isMatch = await report.matchPassword(password);
-    if (isMatch) {
-      matchedReport = report;
-      break;
-    }
-  }
+  await AuditLog.create({
+    action: "REPORTER_KEY_ROTATED",
+    description: `Reporter rotated the case key of ${report.caseID}`,
+    targetReport: report._id,
+    ipAddress: req.ip,
+  });
 
-  if (!matchedReport) {
-    return res.status(404).json({
-      success: false,
-      message: "No report found for this password.",
-    });
-  }
+  res.status(200).json({
+    success: true,
+    message: req.t(
+      "Case key changed. Keep the new key safe; the old one no longer works."
+    ),
+    casePassword: newKey,
+    token: issueReporterToken(report),
+  });
+});
+
+// @desc    Retrieve report for the authenticated reporter
+// @route   POST /api/reports/follow-up
+// @access  Public (session token or caseID + password)
+export const getReportByPassword = asyncHandler(async (req, res) => {
+  // req.report is set by protectReporter
+  const report = await Report.findById(req.report._id)
+    .populate("category", "name description") // only include these fields
+    .populate("agencyAssigned", "name description");
 
   res.status(200).json({
     success: true,
-    message: "Report retrieved successfully.",
-    data: matchedReport.getPublicData(),
+    message: req.t("Report retrieved successfully."),
+    data: {
+      ...report.getPublicData(), // this already removes sensitive info
+      unreadCount: unreadCount(report, { role: "reporter" }),
+    },
   });
 });
-*/
 
-// @desc    Whistle-blower adds a message/update using password
+// @desc    Whistle-blower adds a message/update
 // @route   POST /api/reports/message
-// @access  Public (via password)
+// @access  Public (session token or caseID + password)
 export const addWhistleblowerMessage = asyncHandler(async (req, res) => {
-  const { password, message } = req.body;
+  // Authenticated by protectReporter
+  const matchedReport = req.report;
 
-  if (!password || !message) {
-    return res.status(400).json({
-      success: false,
-      message: "Password and message are required.",
-    });
-  }
+  // Plain message, or an encrypted envelope on E2E cases
+  const messageFields = await buildMessageFields(matchedReport, req.body);
 
-  // 🔍 Find report by password
-  const reports = await Report.find().select("+password");
-
-  // Loop to find the one that matches password
-  let matchedReport = null;
-  for (const report of reports) {
-    const isMatch = await report.matchPassword(password);
-    if (isMatch) {
-      matchedReport = report;
-      break;
-    }
-  }
-
-  if (!matchedReport) {
-    return res.status(401).json({
-      success: false,
-      message: "Invalid password. Report not found.",
-    });
-  }
-
-  // ✅ Handle uploaded files (if any)
-  let evidenceFiles = [];
-  if (req.files && req.files.length > 0) {
-    evidenceFiles = req.files.map((file) => ({
-      filePath: file.location,
-      fileType: file.mimetype.split("/")[0], // e.g. image, video, application
-      fileName: file.originalname,
-      uploadedAt: new Date(),
-    }));
-    // Push to evidenceFiles array
-    matchedReport.evidenceFiles.push(...evidenceFiles);
-  }
+  // ✅ Handle uploaded files (if any), within the case's evidence quota
+  await assertFilesWithinQuota(matchedReport._id, req.files);
+  matchedReport.evidenceFiles.push(...toEvidenceFiles(req.files));
+  const addedFiles = matchedReport.evidenceFiles.slice(
+    matchedReport.evidenceFiles.length - (req.files?.length || 0)
+  );
 
   // 📝 Add message to comments thread
   matchedReport.comments.push({
     role: "reporter",
-    message,
+    ...messageFields,
     createdAt: new Date(),
   });
+  // Replying means the thread has been read
+  markRead(matchedReport, { role: "reporter" });
 
   await matchedReport.save();
+  await recordCustody(matchedReport, addedFiles, "upload", custodyActor(req));
 
   // 🧾 Log action
   await AuditLog.create({
@@ -255,13 +234,92 @@ export const addWhistleblowerMessage = asyncHandler(async (req, res) => {
     ipAddress: req.ip,
   });
 
+  notify(EVENTS.COMMENT_ADDED, { report: matchedReport, authorRole: "reporter" });
+  queueEvidenceScan(matchedReport._id);
+
+  // Public view, so staff identities on comments and files stay internal
+  const { comments, evidenceFiles } = matchedReport.getPublicData();
+
   res.status(201).json({
     success: true,
-    message: "Message added successfully.",
-    data: {
-      comments: matchedReport.comments,
-      evidenceFiles: matchedReport.evidenceFiles,
-    },
+    message: req.t("Message added successfully."),
+    data: { comments, evidenceFiles },
+  });
+});
+
+// @desc    Mark the report's messages as read by the reporter
+// @route   POST /api/reports/messages/read
+// @access  Public (session token or caseID + password)
+export const markReporterMessagesRead = asyncHandler(async (req, res) => {
+  // Authenticated by protectReporter
+  const report = req.report;
+
+  const viewer = { role: "reporter" };
+  const readAt = markRead(
+    report,
+    viewer,
+    readUpTo(report, req.body?.messageId)
+  );
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Messages marked as read."),
+    data: { lastReadAt: readAt, unreadCount: unreadCount(report, viewer) },
+  });
+});
+
+// @desc    Set the language of the reporter's responses and notifications
+// @route   POST /api/reports/language
+// @access  Public (session token or caseID + password)
+export const updateReporterLanguage = asyncHandler(async (req, res) => {
+  // Authenticated by protectReporter
+  const report = req.report;
+
+  const locale = supportedLocale(req.body?.locale);
+  if (!locale) {
+    throw new ErrorResponse(
+      "Unsupported language. Choose one of: {locales}.",
+      400,
+      { locales: LOCALES.join(", ") }
+    );
+  }
+
+  report.preferredLanguage = locale;
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: req.t("Preferred language updated."),
+    data: { preferredLanguage: locale },
+  });
+});
+
+// @desc    Get the public keys reporter messages must be encrypted to
+// @route   GET /api/reports/recipient-keys
+// @access  Public (reporter session token)
+export const getReporterRecipientKeys = asyncHandler(async (req, res) => {
+  const report = req.report;
+
+  res.status(200).json({
+    success: true,
+    encrypted: report.encryption?.enabled || false,
+    data: await getRecipientKeys(report),
+  });
+});
+
+// @desc    List report categories with their intake forms
+// @route   GET /api/reports/categories
+// @access  Public
+export const getReportCategories = asyncHandler(async (req, res) => {
+  const categories = await Category.find({ deleted: { $ne: true } })
+    .select("name description form")
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: categories.length,
+    data: categories,
   });
 });
 
@@ -0,0 +1,199 @@
+import asyncHandler from "express-async-handler";
+import RoutingRule from "../models/RoutingRule.js";
+import Report from "../models/Report.js";
+import Agency from "../models/Agency.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { findRoutingRule, getRoutingRules } from "../utils/routing.js";
+
+const RULE_FIELDS = [
+  "name",
+  "description",
+  "enabled",
+  "priority",
+  "conditions",
+  "agency",
+];
+
+const assertAgencyExists = async (agencyId) => {
+  const agency = await Agency.findById(agencyId);
+  if (!agency) {
+    throw new ErrorResponse("Agency not found.", 404);
+  }
+  return agency;
+};
+
+// @desc    List routing rules in the order they are tried
+// @route   GET /api/admin/routing-rules
+// @access  Private (Admin only)
+export const getRoutingRuleList = asyncHandler(async (req, res) => {
+  const rules = await RoutingRule.find()
+    .sort({ priority: 1, createdAt: 1 })
+    .populate("agency", "name")
+    .populate("conditions.categories", "name");
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules,
+  });
+});
+
+// @desc    Get a routing rule
+// @route   GET /api/admin/routing-rules/:id
+// @access  Private (Admin only)
+export const getRoutingRule = asyncHandler(async (req, res, next) => {
+  const rule = await RoutingRule.findById(req.params.id)
+    .populate("agency", "name")
+    .populate("conditions.categories", "name");
+
+  if (!rule) {
+    return next(new ErrorResponse("Routing rule not found.", 404));
+  }
+
+  res.status(200).json({ success: true, data: rule });
+});
+
+// @desc    Create a routing rule
+// @route   POST /api/admin/routing-rules
+// @access  Private (Admin only)
+export const createRoutingRule = asyncHandler(async (req, res) => {
+  const agency = await assertAgencyExists(req.body.agency);
+
+  const fields = {};
+  RULE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+
+  const rule = await RoutingRule.create({ ...fields, createdBy: req.user._id });
+
+  await AuditLog.create({
+    action: "ROUTING_RULE_CREATED",
+    description: `Routing rule '${rule.name}' created (assigns to '${agency.name}')`,
+    user: req.user._id,
+    targetAgency: agency._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Routing rule created successfully.",
+    data: rule,
+  });
+});
+
+// @desc    Update a routing rule
+// @route   PUT /api/admin/routing-rules/:id
+// @access  Private (Admin only)
+export const updateRoutingRule = asyncHandler(async (req, res, next) => {
+  const rule = await RoutingRule.findById(req.params.id);
+  if (!rule) {
+    return next(new ErrorResponse("Routing rule not found.", 404));
+  }
+
+  if (req.body.agency !== undefined) {
+    await assertAgencyExists(req.body.agency);
+  }
+
+  RULE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) rule[field] = req.body[field];
+  });
+  await rule.save();
+
+  await AuditLog.create({
+    action: "ROUTING_RULE_UPDATED",
+    description: `Routing rule '${rule.name}' updated`,
+    user: req.user._id,
+    targetAgency: rule.agency,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Routing rule updated successfully.",
+    data: rule,
+  });
+});
+
+// @desc    Delete a routing rule
+// @route   DELETE /api/admin/routing-rules/:id
+// @access  Private (Admin only)
+export const deleteRoutingRule = asyncHandler(async (req, res, next) => {
+  const rule = await RoutingRule.findByIdAndDelete(req.params.id);
+  if (!rule) {
+    return next(new ErrorResponse("Routing rule not found.", 404));
+  }
+
+  await AuditLog.create({
+    action: "ROUTING_RULE_DELETED",
+    description: `Routing rule '${rule.name}' deleted`,
+    user: req.user._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Routing rule deleted successfully.",
+  });
+});
+
+// @desc    Try routing rules against past reports without assigning anything
+// @route   POST /api/admin/routing-rules/dry-run
+// @access  Private (Admin only)
+export const dryRunRoutingRules = asyncHandler(async (req, res) => {
+  const { rule: draftRule, from, to } = req.body;
+  const limit = Math.min(parseInt(req.body.limit) || 100, 1000);
+
+  // Either one unsaved rule, or the enabled rules as they stand
+  let rules;
+  if (draftRule) {
+    const candidate = new RoutingRule(draftRule);
+    await candidate.validate();
+    await candidate.populate("agency", "name active");
+    if (!candidate.agency) {
+      throw new ErrorResponse("Agency not found.", 404);
+    }
+    rules = [candidate];
+  } else {
+    rules = await getRoutingRules();
+  }
+
+  const filter = {};
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const reports = await Report.find(filter)
+    .select(
+      "caseID title description location lga geoLocation category formData agencyAssigned createdAt"
+    )
+    .populate("agencyAssigned", "name")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  const data = reports.map((report) => {
+    const matched = findRoutingRule(report, rules);
+    return {
+      report: report._id,
+      caseID: report.caseID,
+      createdAt: report.createdAt,
+      currentAgency: report.agencyAssigned?.name ?? null,
+      rule: matched ? { _id: matched._id, name: matched.name } : null,
+      agency: matched ? matched.agency.name : null,
+      changed: Boolean(
+        matched &&
+          String(matched.agency._id) !== String(report.agencyAssigned?._id)
+      ),
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    matched: data.filter((entry) => entry.rule).length,
+    changed: data.filter((entry) => entry.changed).length,
+    data,
+  });
+});
@@ -0,0 +1,313 @@
+import asyncHandler from "express-async-handler";
+import MessageTemplate from "../models/MessageTemplate.js";
+import Report from "../models/Report.js";
+import Agency from "../models/Agency.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { findAgencyCase, findUserAgency } from "../utils/caseAccess.js";
+import {
+  CASE_VARIABLES,
+  templatePlaceholders,
+  findUsableTemplate,
+  renderForCase,
+} from "../utils/messageTemplates.js";
+
+const TEMPLATE_FIELDS = ["name", "description", "body", "translations"];
+
+const pickFields = (body = {}) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Template with the placeholders a sender must supply variables for
+const withPlaceholders = (template) => ({
+  ...template.toObject(),
+  placeholders: templatePlaceholders(
+    [template.body, ...template.translations.map((t) => t.body)].join("\n")
+  ),
+});
+
+const scopeLabel = (agency) => (agency ? `agency '${agency.name}'` : "global");
+
+// Agencies may only change their own templates, not the global ones
+const findOwnTemplate = async (templateId, agency) => {
+  const template = await MessageTemplate.findById(templateId);
+  if (!template) {
+    throw new ErrorResponse("Message template not found.", 404);
+  }
+  if (String(template.agency) !== String(agency._id)) {
+    throw new ErrorResponse(
+      "Only the admin can change global or other agencies' templates.",
+      403
+    );
+  }
+  return template;
+};
+
+const logTemplateAction = (req, action, template, verb, agency) =>
+  AuditLog.create({
+    action,
+    description: `Message template '${template.name}' (${scopeLabel(
+      agency
+    )}) ${verb}`,
+    user: req.user._id,
+    targetAgency: agency?._id,
+    ipAddress: req.ip,
+  });
+
+// @desc    List message templates (?agency=<id> or ?agency=global)
+// @route   GET /api/admin/message-templates
+// @access  Private (Admin only)
+export const getAdminTemplates = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.agency) {
+    filter.agency = req.query.agency === "global" ? null : req.query.agency;
+  }
+
+  const templates = await MessageTemplate.find(filter)
+    .sort({ name: 1 })
+    .populate("agency", "name");
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    variables: CASE_VARIABLES,
+    data: templates.map(withPlaceholders),
+  });
+});
+
+// @desc    Get a message template
+// @route   GET /api/admin/message-templates/:id
+// @access  Private (Admin only)
+export const getAdminTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MessageTemplate.findById(req.params.id).populate(
+    "agency",
+    "name"
+  );
+  if (!template) {
+    return next(new ErrorResponse("Message template not found.", 404));
+  }
+
+  res.status(200).json({ success: true, data: withPlaceholders(template) });
+});
+
+// @desc    Create a global or agency message template
+// @route   POST /api/admin/message-templates
+// @access  Private (Admin only)
+export const createAdminTemplate = asyncHandler(async (req, res) => {
+  let agency;
+  if (req.body.agency) {
+    agency = await Agency.findById(req.body.agency);
+    if (!agency) {
+      throw new ErrorResponse("Agency not found.", 404);
+    }
+  }
+
+  const template = await MessageTemplate.create({
+    ...pickFields(req.body),
+    agency: agency?._id,
+    createdBy: req.user._id,
+  });
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_CREATED",
+    template,
+    "created",
+    agency
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Message template created successfully.",
+    data: withPlaceholders(template),
+  });
+});
+
+// @desc    Update a message template
+// @route   PUT /api/admin/message-templates/:id
+// @access  Private (Admin only)
+export const updateAdminTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MessageTemplate.findById(req.params.id).populate(
+    "agency",
+    "name"
+  );
+  if (!template) {
+    return next(new ErrorResponse("Message template not found.", 404));
+  }
+
+  Object.assign(template, pickFields(req.body));
+  await template.save();
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_UPDATED",
+    template,
+    "updated",
+    template.agency
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Message template updated successfully.",
+    data: withPlaceholders(template),
+  });
+});
+
+// @desc    Delete a message template
+// @route   DELETE /api/admin/message-templates/:id
+// @access  Private (Admin only)
+export const deleteAdminTemplate = asyncHandler(async (req, res, next) => {
+  const template = await MessageTemplate.findByIdAndDelete(
+    req.params.id
+  ).populate("agency", "name");
+  if (!template) {
+    return next(new ErrorResponse("Message template not found.", 404));
+  }
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_DELETED",
+    template,
+    "deleted",
+    template.agency
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Message template deleted successfully.",
+  });
+});
+
+// @desc    Preview a template filled in for a case
+// @route   POST /api/admin/message-templates/:id/render
+// @access  Private (Admin only)
+export const renderAdminTemplate = asyncHandler(async (req, res, next) => {
+  const { reportId, variables } = req.body ?? {};
+  const template = await findUsableTemplate(req.params.id);
+
+  const report = await Report.findById(reportId);
+  if (!report) {
+    return next(new ErrorResponse("Report not found.", 404));
+  }
+
+  const message = await renderForCase(template, report, { variables });
+  res.status(200).json({ success: true, data: { message } });
+});
+
+// @desc    List the global templates and the agency's own
+// @route   GET /api/agency/message-templates
+// @access  Private (Agency only)
+export const getAgencyTemplates = asyncHandler(async (req, res) => {
+  const agency = await findUserAgency(req.user);
+
+  const templates = await MessageTemplate.find({
+    $or: [{ agency: null }, { agency: agency._id }],
+  }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    variables: CASE_VARIABLES,
+    data: templates.map(withPlaceholders),
+  });
+});
+
+// @desc    Get a global or own message template
+// @route   GET /api/agency/message-templates/:id
+// @access  Private (Agency only)
+export const getAgencyTemplate = asyncHandler(async (req, res) => {
+  const agency = await findUserAgency(req.user);
+  const template = await findUsableTemplate(req.params.id, agency);
+
+  res.status(200).json({ success: true, data: withPlaceholders(template) });
+});
+
+// @desc    Create a message template for the agency
+// @route   POST /api/agency/message-templates
+// @access  Private (Agency only)
+export const createAgencyTemplate = asyncHandler(async (req, res) => {
+  const agency = await findUserAgency(req.user);
+
+  const template = await MessageTemplate.create({
+    ...pickFields(req.body),
+    agency: agency._id,
+    createdBy: req.user._id,
+  });
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_CREATED",
+    template,
+    "created",
+    agency
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Message template created successfully.",
+    data: withPlaceholders(template),
+  });
+});
+
+// @desc    Update one of the agency's message templates
+// @route   PUT /api/agency/message-templates/:id
+// @access  Private (Agency only)
+export const updateAgencyTemplate = asyncHandler(async (req, res) => {
+  const agency = await findUserAgency(req.user);
+  const template = await findOwnTemplate(req.params.id, agency);
+
+  Object.assign(template, pickFields(req.body));
+  await template.save();
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_UPDATED",
+    template,
+    "updated",
+    agency
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Message template updated successfully.",
+    data: withPlaceholders(template),
+  });
+});
+
+// @desc    Delete one of the agency's message templates
+// @route   DELETE /api/agency/message-templates/:id
+// @access  Private (Agency only)
+export const deleteAgencyTemplate = asyncHandler(async (req, res) => {
+  const agency = await findUserAgency(req.user);
+  const template = await findOwnTemplate(req.params.id, agency);
+  await template.deleteOne();
+
+  await logTemplateAction(
+    req,
+    "MESSAGE_TEMPLATE_DELETED",
+    template,
+    "deleted",
+    agency
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Message template deleted successfully.",
+  });
+});
+
+// @desc    Preview a template filled in for one of the agency's cases
+// @route   POST /api/agency/message-templates/:id/render
+// @access  Private (Agency only)
+export const renderAgencyTemplate = asyncHandler(async (req, res) => {
+  const { reportId, variables } = req.body ?? {};
+  const { report, agency } = await findAgencyCase(req, reportId);
+  const template = await findUsableTemplate(req.params.id, agency);
+
+  const message = await renderForCase(template, report, { agency, variables });
+  res.status(200).json({ success: true, data: { message } });
+});
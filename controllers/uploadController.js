@@ -0,0 +1,104 @@
+import asyncHandler from "express-async-handler";
+import {
+  uploadLimits,
+  createUpload,
+  authorizeUpload,
+  appendChunk,
+  abortUpload,
+} from "../utils/resumableUploads.js";
+import { custodyActor } from "../utils/evidenceIntegrity.js";
+
+// Upload state returned by every endpoint
+const uploadStatus = (req, upload) => ({
+  id: upload._id,
+  fileName: upload.fileName,
+  fileType: upload.fileType,
+  totalSize: upload.totalSize,
+  offset: upload.receivedSize,
+  status: upload.status,
+  error: upload.error && req.t(upload.error, upload.errorParams),
+  evidence: upload.status === "attached" ? upload.evidence : undefined,
+  expiresAt: upload.expiresAt,
+});
+
+// @desc    Start a resumable evidence upload
+// @route   POST /api/reports/uploads
+// @access  Public (new submission) or reporter session token (existing case)
+export const startUpload = asyncHandler(async (req, res) => {
+  const { fileName, fileType, size } = req.body;
+
+  const { upload, token } = await createUpload({
+    reportId: req.report?._id, // set by optionalReporter
+    fileName,
+    fileType,
+    size,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: req.t(
+      req.report
+        ? "Upload started. Send the file in chunks with the upload token."
+        : "Upload started. Send the file in chunks, then submit the report with this upload's id and token."
+    ),
+    data: {
+      ...uploadStatus(req, upload),
+      uploadToken: token, // only returned here
+      maxChunkSize: uploadLimits().maxChunkSize,
+    },
+  });
+});
+
+// @desc    Get the current offset of an upload (to resume it)
+// @route   GET /api/reports/uploads/:id
+// @access  Upload token
+export const getUploadStatus = asyncHandler(async (req, res) => {
+  const upload = await authorizeUpload(
+    req.params.id,
+    req.get("Upload-Token")
+  );
+
+  res.set("Upload-Offset", String(upload.receivedSize));
+  res.status(200).json({ success: true, data: uploadStatus(req, upload) });
+});
+
+// @desc    Send the next chunk of an upload
+// @route   PATCH /api/reports/uploads/:id
+// @access  Upload token
+export const uploadChunk = asyncHandler(async (req, res) => {
+  const upload = await authorizeUpload(
+    req.params.id,
+    req.get("Upload-Token")
+  );
+
+  const updated = await appendChunk(
+    upload,
+    Number(req.get("Upload-Offset")),
+    req.body,
+    custodyActor(req)
+  );
+
+  res.set("Upload-Offset", String(updated.receivedSize));
+  res.status(200).json({
+    success: true,
+    message: req.t(
+      updated.status === "uploading"
+        ? "Chunk received."
+        : "Upload received. The file is being checked; poll the upload status until it is completed."
+    ),
+    data: uploadStatus(req, updated),
+  });
+});
+
+// @desc    Cancel an unfinished upload
+// @route   DELETE /api/reports/uploads/:id
+// @access  Upload token
+export const cancelUpload = asyncHandler(async (req, res) => {
+  const upload = await authorizeUpload(
+    req.params.id,
+    req.get("Upload-Token")
+  );
+  await abortUpload(upload);
+
+  res.status(200).json({ success: true, message: req.t("Upload cancelled.") });
+});
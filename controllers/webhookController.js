@@ -0,0 +1,162 @@
+import asyncHandler from "express-async-handler";
+import Agency from "../models/Agency.js";
+import AuditLog from "../models/AuditLog.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  replayWebhookDelivery,
+} from "../utils/webhooks.js";
+
+// @desc    Add a webhook subscription to an agency
+// @route   POST /api/admin/agencies/:id/webhooks
+// @access  Private (Admin only)
+export const addAgencyWebhook = asyncHandler(async (req, res, next) => {
+  const { url, events, secret } = req.body;
+
+  const agency = await Agency.findById(req.params.id);
+  if (!agency) {
+    return next(new ErrorResponse("Agency not found.", 404));
+  }
+
+  if (!url) {
+    return next(new ErrorResponse("Webhook URL is required.", 400));
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((e) => !WEBHOOK_EVENTS.includes(e))
+  ) {
+    return next(
+      new ErrorResponse(
+        `Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const signingSecret = secret || generateWebhookSecret();
+  agency.webhooks.push({ url, events, secret: signingSecret });
+  await agency.save();
+
+  const webhook = agency.webhooks[agency.webhooks.length - 1];
+
+  await AuditLog.create({
+    action: "WEBHOOK_CREATED",
+    description: `Webhook ${url} added to agency '${agency.name}'`,
+    targetAgency: agency._id,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  // The secret is only ever returned here
+  res.status(201).json({
+    success: true,
+    message: "Webhook created successfully.",
+    data: { ...webhook.toJSON(), secret: signingSecret },
+  });
+});
+
+// @desc    List an agency's webhook subscriptions
+// @route   GET /api/admin/agencies/:id/webhooks
+// @access  Private (Admin only)
+export const getAgencyWebhooks = asyncHandler(async (req, res, next) => {
+  const agency = await Agency.findById(req.params.id);
+  if (!agency) {
+    return next(new ErrorResponse("Agency not found.", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: agency.webhooks.length,
+    data: agency.webhooks,
+  });
+});
+
+// @desc    Remove a webhook subscription
+// @route   DELETE /api/admin/agencies/:id/webhooks/:webhookId
+// @access  Private (Admin only)
+export const deleteAgencyWebhook = asyncHandler(async (req, res, next) => {
+  const agency = await Agency.findById(req.params.id);
+  if (!agency) {
+    return next(new ErrorResponse("Agency not found.", 404));
+  }
+
+  const webhook = agency.webhooks.id(req.params.webhookId);
+  if (!webhook) {
+    return next(new ErrorResponse("Webhook not found.", 404));
+  }
+
+  webhook.deleteOne();
+  await agency.save();
+
+  await AuditLog.create({
+    action: "WEBHOOK_DELETED",
+    description: `Webhook ${webhook.url} removed from agency '${agency.name}'`,
+    targetAgency: agency._id,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook deleted successfully.",
+  });
+});
+
+// @desc    Get the webhook delivery log
+// @route   GET /api/admin/webhooks/deliveries
+// @access  Private (Admin only)
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, agency, status, event } = req.query;
+
+  const filter = {};
+  if (agency) filter.agency = agency;
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const total = await WebhookDelivery.countDocuments(filter);
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .populate("agency", "name")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    currentPage: parseInt(page),
+    totalPages: Math.ceil(total / limit),
+    totalDeliveries: total,
+    count: deliveries.length,
+    data: deliveries,
+  });
+});
+
+// @desc    Replay a webhook delivery
+// @route   POST /api/admin/webhooks/deliveries/:id/replay
+// @access  Private (Admin only)
+export const replayWebhook = asyncHandler(async (req, res, next) => {
+  const original = await WebhookDelivery.findById(req.params.id);
+  if (!original) {
+    return next(new ErrorResponse("Webhook delivery not found.", 404));
+  }
+
+  const delivery = await replayWebhookDelivery(original);
+
+  await AuditLog.create({
+    action: "WEBHOOK_REPLAYED",
+    description: `Webhook delivery ${original._id} replayed as ${delivery._id}`,
+    targetAgency: original.agency,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Webhook delivery replayed.",
+    data: delivery,
+  });
+});
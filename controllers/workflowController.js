@@ -0,0 +1,69 @@
+import asyncHandler from "express-async-handler";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { getWorkflow } from "../utils/workflow.js";
+
+// @desc    Get the case workflow (states and transitions)
+// @route   GET /api/admin/workflow
+// @access  Private (Admin only)
+export const getCaseWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await getWorkflow();
+
+  res.status(200).json({
+    success: true,
+    data: workflow,
+  });
+});
+
+// @desc    Replace the case workflow definition
+// @route   PUT /api/admin/workflow
+// @access  Private (Admin only)
+export const updateCaseWorkflow = asyncHandler(async (req, res, next) => {
+  const { states, transitions } = req.body;
+
+  if (!Array.isArray(states) || !Array.isArray(transitions)) {
+    return next(
+      new ErrorResponse("States and transitions must both be arrays.", 400)
+    );
+  }
+
+  const workflow = await getWorkflow();
+
+  // Refuse to drop a state that reports are still sitting in
+  const newKeys = states.map((s) => s.key);
+  const removedKeys = workflow.states
+    .map((s) => s.key)
+    .filter((key) => !newKeys.includes(key));
+
+  if (removedKeys.length > 0) {
+    const inUse = await Report.distinct("status", {
+      status: { $in: removedKeys },
+    });
+    if (inUse.length > 0) {
+      return next(
+        new ErrorResponse(
+          `Cannot remove states still used by reports: ${inUse.join(", ")}`,
+          400
+        )
+      );
+    }
+  }
+
+  workflow.states = states;
+  workflow.transitions = transitions;
+  await workflow.save();
+
+  await AuditLog.create({
+    action: "WORKFLOW_UPDATED",
+    description: `Case workflow updated (${states.length} states, ${transitions.length} transitions)`,
+    user: req.user?._id,
+    ipAddress: req.ip,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Workflow updated successfully.",
+    data: workflow,
+  });
+});
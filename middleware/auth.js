@@ -1,7 +1,14 @@
 import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
 import User from "../models/User.js";
+import Report from "../models/Report.js";
 import ErrorResponse from "../utils/errorResponse.js";
+import {
+  authenticateCase,
+  verifyReporterToken,
+} from "../utils/caseCredentials.js";
+import { authorizeDraft } from "../utils/submissionDrafts.js";
+import { discardStoredFiles } from "../utils/resumableUploads.js";
 
 // 🔒 Protect routes
 export const protect = asyncHandler(async (req, res, next) => {
@@ -39,6 +46,87 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// 📝 Protect report draft routes (Draft-Token header). Sets req.draft.
+export const protectDraft = asyncHandler(async (req, res, next) => {
+  req.draft = await authorizeDraft(req.params.id, req.get("Draft-Token"));
+  next();
+});
+
+// 🕵️ Reporter authentication when credentials are supplied, otherwise
+// continue without a case (e.g. uploads for a report not yet submitted)
+export const optionalReporter = (req, res, next) => {
+  const authHeader = req.headers.authorization || req.headers.Authorization;
+  if (authHeader?.startsWith("Bearer ") || req.body?.caseID) {
+    return protectReporter(req, res, next);
+  }
+  next();
+};
+
+// 🕵️ Protect reporter follow-up routes
+// Accepts a reporter session token (Bearer) or caseID + password in the body.
+// Sets req.report to the authenticated case.
+export const protectReporter = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization || req.headers.Authorization;
+
+  if (authHeader?.startsWith("Bearer ")) {
+    const decoded = verifyReporterToken(authHeader.split(" ")[1]);
+
+    const report = await Report.findById(decoded.reportId);
+    if (!report) {
+      return next(new ErrorResponse("Report no longer exists", 404));
+    }
+
+    // Rotating the case key ends every earlier session
+    if (
+      report.keyRotatedAt &&
+      decoded.iat < Math.floor(report.keyRotatedAt.getTime() / 1000)
+    ) {
+      return next(
+        new ErrorResponse("Case key was changed, please sign in again", 401)
+      );
+    }
+
+    req.report = report;
+    return next();
+  }
+
+  req.report = await authenticateCase({
+    caseID: req.body?.caseID,
+    password: req.body?.password,
+    ip: req.ip,
+  });
+  next();
+});
+
+// 🕵️ Reporter routes that accept files (multer middleware `receiveFiles`).
+// A session token is checked before any file is read. caseID + password
+// come in the multipart form, so they are checked once it is parsed, and
+// the stored files are removed when they are wrong.
+export const protectReporterWithFiles = (receiveFiles) => [
+  (req, res, next) => {
+    const authHeader = req.headers.authorization || req.headers.Authorization;
+    if (authHeader?.startsWith("Bearer ")) {
+      return protectReporter(req, res, next);
+    }
+    next();
+  },
+  receiveFiles,
+  asyncHandler(async (req, res, next) => {
+    if (req.report) return next();
+    try {
+      req.report = await authenticateCase({
+        caseID: req.body?.caseID,
+        password: req.body?.password,
+        ip: req.ip,
+      });
+    } catch (error) {
+      await discardStoredFiles(req.files);
+      throw error;
+    }
+    next();
+  }),
+];
+
 // 🧩 Role-based access
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -32,9 +32,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  const message = error.message || "Server Error";
+
   res.status(error.statusCode || 500).json({
     success: false,
-    message: error.message || "Server Error",
+    // Reporter routes answer in the reporter's language (middleware/locale.js)
+    message: req.t ? req.t(error.messageKey || message, error.params) : message,
   });
 };
 
@@ -0,0 +1,14 @@
+import { requestLocale, translate } from "../utils/i18n/index.js";
+
+// 🌍 Reporter routes: req.t(text, params) translates a response text into
+// the request's language. The language is worked out on each call, since
+// multipart bodies and req.report are only set by later middleware.
+export const localize = (req, res, next) => {
+  req.t = (text, params) => {
+    const locale = requestLocale(req);
+    res.set("Content-Language", locale);
+    return translate(locale, text, params);
+  };
+  res.vary("Accept-Language");
+  next();
+};
@@ -1,34 +1,18 @@
 import multer from "multer";
-import { s3Storage } from "../utils/fileUploadS3.js";
+import { evidenceStorage } from "../utils/storage/index.js";
+import { processEvidence } from "../utils/evidenceSanitizer/index.js";
+import { ALLOWED_TYPES } from "../utils/fileType.js";
+import ErrorResponse from "../utils/errorResponse.js";
 
+// Declared type only; the content is checked in processEvidence
 const sanitizeFile = (file, cb) => {
-  const allowedTypes = [
-    // Images
-    "image/png",
-    "image/jpg",
-    "image/jpeg",
-    "image/gif",
-    "image/webp",
-    // Documents
-    "application/pdf",
-    "application/msword",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    // Videos
-    "video/mp4",
-    "video/mpeg",
-    "video/ogg",
-    "video/webm",
-    "video/quicktime", // for .mov
-    "video/x-msvideo", // for .avi
-    "video/x-matroska", // for .mkv
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) cb(null, true);
-  else cb("Error: File type not allowed!");
+  if (ALLOWED_TYPES.includes(file.mimetype)) cb(null, true);
+  else cb(new ErrorResponse("Error: File type not allowed!", 415));
 };
 
 export const upload = multer({
-  storage: s3Storage,
+  // Content type is verified and identifying metadata stripped before storage
+  storage: evidenceStorage({ process: processEvidence }),
   fileFilter: (req, file, callback) => sanitizeFile(file, callback),
   limits: { fileSize: 1024 * 1024 * 10 }, // 10MB limit
 });
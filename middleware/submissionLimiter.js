@@ -0,0 +1,55 @@
+import rateLimit from "express-rate-limit";
+import { logEvents } from "./logger.js";
+
+// Report submission rate limits, per IP and across all clients:
+// SUBMISSION_RATE_LIMIT_PER_IP (default 10) and SUBMISSION_RATE_LIMIT_GLOBAL
+// (default 500) per SUBMISSION_RATE_WINDOW_MINUTES (default 60).
+// Counters live in memory only, so no IP address is stored.
+const createLimiters = () => {
+  const windowMs =
+    (Number(process.env.SUBMISSION_RATE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+  const handler = (scope) => (req, res, next, options) => {
+    logEvents(
+      `Too Many Requests: ${scope} submission limit\t${req.method}\t${req.url}`,
+      "errLog.log"
+    );
+    res.status(options.statusCode).json({
+      success: false,
+      message: req.t(
+        scope === "global"
+          ? "The service is receiving too many reports right now, please try again later."
+          : "Too many reports from this network, please try again later."
+      ),
+    });
+  };
+
+  return [
+    rateLimit({
+      windowMs,
+      validate: { creationStack: false }, // created lazily, see below
+      limit: Number(process.env.SUBMISSION_RATE_LIMIT_PER_IP) || 10,
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler: handler("ip"),
+    }),
+    rateLimit({
+      windowMs,
+      limit: Number(process.env.SUBMISSION_RATE_LIMIT_GLOBAL) || 500,
+      validate: { creationStack: false },
+      keyGenerator: () => "global",
+      standardHeaders: false,
+      legacyHeaders: false,
+      handler: handler("global"),
+    }),
+  ];
+};
+
+// Built on first use so the limits are read after .env is loaded
+let limiters = null;
+
+export const submissionLimiter = (req, res, next) => {
+  if (!limiters) limiters = createLimiters();
+  const [perIp, global] = limiters;
+  perIp(req, res, (err) => (err ? next(err) : global(req, res, next)));
+};
@@ -1,5 +1,28 @@
 import mongoose from "mongoose";
 
+// Outbound webhook subscription for the agency's case-management system
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      match: [/^https?:\/\/\S+$/, "Please add a valid webhook URL"],
+    },
+    secret: { type: String, required: true }, // HMAC signing key
+    events: [{ type: String }], // e.g. "report.assigned", "report.status_changed"
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+// Never expose signing secrets in API responses
+webhookSchema.set("toJSON", {
+  transform: function (doc, ret) {
+    delete ret.secret;
+    return ret;
+  },
+});
+
 const agencySchema = new mongoose.Schema(
   {
     name: {
@@ -35,6 +58,8 @@ const agencySchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    webhooks: [webhookSchema],
   },
   { timestamps: true }
 );
@@ -3,7 +3,16 @@ import mongoose from "mongoose";
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true },
   description: String,
-  deleted: { type: Boolean, default: false }
+  deleted: { type: Boolean, default: false },
+
+  // SLA targets (hours). resolutionHours runs from report creation;
+  // stateSlaHours overrides the workflow state's slaHours for this category.
+  resolutionHours: { type: Number, min: 0 },
+  stateSlaHours: { type: Map, of: Number },
+
+  // Intake form reporters fill in for this category, as returned by
+  // validateFormDefinition (utils/intakeForms.js): { properties, required }
+  form: { type: mongoose.Schema.Types.Mixed },
 });
 
 
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Chain-of-custody log: one entry per handling of an evidence file
+const custodyEventSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    fileId: { type: mongoose.Schema.Types.ObjectId, required: true }, // evidenceFiles entry
+
+    action: {
+      type: String,
+      enum: ["upload", "view", "download", "verify", "export"],
+      required: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: { type: String }, // reporter, admin, agency
+    ipAddress: { type: String },
+
+    sha256: { type: String }, // digest recorded or computed at the time
+    details: { type: String }, // e.g. "digest matched", "signed URL issued"
+  },
+  { timestamps: true }
+);
+
+custodyEventSchema.index({ report: 1, fileId: 1, createdAt: 1 });
+
+export default mongoose.model("CustodyEvent", custodyEventSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { LOCALES } from "../utils/i18n/index.js";
+
+// Canned staff message (see utils/messageTemplates.js). The body may use
+// {{caseID}}, {{status}}, {{agencyName}} and other {{placeholders}} that are
+// filled in when the message is sent. Templates without an agency are global.
+const messageTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    body: {
+      type: String,
+      required: [true, "A message template must have a body"],
+    },
+    // The body in other languages, sent on cases with that preferred language
+    translations: [
+      {
+        _id: false,
+        locale: { type: String, enum: LOCALES, required: true },
+        body: { type: String, required: true },
+      },
+    ],
+
+    // Owning agency; only its users (and the admin) may use or edit it
+    agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Names are unique among the global templates and within each agency
+messageTemplateSchema.index({ agency: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("MessageTemplate", messageTemplateSchema);
@@ -1,6 +1,94 @@
 import mongoose from "mongoose";
-import bcrypt from "bcryptjs";
-import crypto from "crypto";
+import { applySlaDueDates } from "../utils/sla.js";
+import { resolveLga } from "../utils/geo.js";
+import {
+  COLLABORATOR_ACCESS,
+  REFERRAL_STATUSES,
+  TASK_STATUSES,
+  rollUpTasks,
+} from "../utils/caseTasks.js";
+import {
+  generateCaseKey,
+  hashCaseKey,
+  matchCaseKey,
+} from "../utils/caseKeys.js";
+import { fieldEncryptionPlugin } from "../utils/fieldEncryption/index.js";
+import { NOTE_SCOPES, reporterNote, visibleNotes } from "../utils/caseNotes.js";
+import { partyReceipts } from "../utils/messageReads.js";
+import { LOCALES } from "../utils/i18n/index.js";
+
+// Sub-task of a multi-agency case, owned by one agency
+const caseTaskSchema = new mongoose.Schema(
+  {
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+    title: { type: String, required: true, trim: true },
+    description: { type: String },
+    status: { type: String, enum: TASK_STATUSES, default: "open" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Proposed hand-over of the lead role to another agency (utils/referrals.js).
+// Without toAgency the case goes back to the admin, who picks the agency.
+const referralSchema = new mongoose.Schema(
+  {
+    fromAgency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+    toAgency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+    reason: { type: String, required: true, trim: true },
+    status: {
+      type: String,
+      enum: REFERRAL_STATUSES,
+      default: "pending",
+    },
+    proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// Entry in the case notes thread; the scope decides who can read it
+const caseNoteSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    role: { type: String, enum: ["admin", "agency"], required: true },
+    agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+    scope: { type: String, enum: NOTE_SCOPES, required: true },
+    body: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+caseNoteSchema.plugin(fieldEncryptionPlugin, { fields: ["body"] });
+caseNoteSchema.set("toJSON", { getters: true, virtuals: false }); // decrypt body
+
+// Structured request to the reporter for more evidence, with its own upload slot
+const evidenceRequestSchema = new mongoose.Schema(
+  {
+    message: { type: String, required: true, trim: true }, // what is asked for
+    role: { type: String, enum: ["admin", "agency"], required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+    dueAt: { type: Date },
+    status: {
+      type: String,
+      enum: ["open", "fulfilled", "declined"],
+      default: "open",
+    },
+    files: [{ type: mongoose.Schema.Types.ObjectId }], // evidenceFiles entries
+    reporterNote: { type: String, trim: true },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
 
 const reportSchema = new mongoose.Schema(
   {
@@ -15,26 +103,82 @@ const reportSchema = new mongoose.Schema(
       required: true,
     },
 
-    // For confidential reporters
+    // For confidential reporters (encrypted at rest, see plugin below)
     reporterName: { type: String },
     reporterEmail: { type: String },
     reporterPhone: { type: String },
 
+    // Language of reporter responses and notifications (see utils/i18n),
+    // chosen when the report is submitted
+    preferredLanguage: { type: String, enum: LOCALES },
+
     title: { type: String, required: true },
     description: { type: String, required: true },
 
+    // Workflow state key. Not validated here: change it through
+    // transitionReport (utils/workflow.js), which checks the active Workflow
     status: {
       type: String,
-      enum: ["pending", "under review", "resolved", "closed"],
       default: "pending",
     },
 
+    // Lead agency, responsible for the case status
     agencyAssigned: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Agency",
     },
 
+    // Other agencies working the case (see utils/caseAccess.js): "view"
+    // reads the case and its evidence, "contribute" also posts messages and
+    // updates its own sub-tasks
+    collaborators: [
+      {
+        agency: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Agency",
+          required: true,
+        },
+        access: {
+          type: String,
+          enum: COLLABORATOR_ACCESS,
+          default: "contribute",
+        },
+        addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Per-agency sub-tasks; their statuses roll up into progress
+    tasks: [caseTaskSchema],
+
+    // Transfer proposals and admin reassignments, oldest first
+    referrals: [referralSchema],
+
+    // Roll-up of the sub-task statuses, overall and per agency
+    progress: {
+      status: { type: String, enum: ["none", ...TASK_STATUSES] },
+      total: { type: Number },
+      done: { type: Number },
+      byAgency: [
+        {
+          _id: false,
+          agency: { type: mongoose.Schema.Types.ObjectId, ref: "Agency" },
+          status: { type: String },
+          total: { type: Number },
+          done: { type: Number },
+        },
+      ],
+    },
+
     location: { type: String },
+
+    // Optional coordinates ([lng, lat]) and the Local Government Area they
+    // fall in, resolved from the LGA boundary dataset (utils/geo.js)
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    lga: { type: String },
     password: { type: String, unique: true, select: false }, // system-generated password for follow-up access
     passwordKey: {
       type: String,
@@ -42,22 +186,94 @@ const reportSchema = new mongoose.Schema(
       index: true, // for faster lookup
     },
 
+    // Case key scheme (unset = legacy unbound 6-hex key) and last rotation;
+    // reporter session tokens issued before keyRotatedAt are rejected
+    keyVersion: { type: Number },
+    keyRotatedAt: { type: Date },
+
+    // Follow-up login throttling (see utils/caseCredentials.js)
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false },
+
     category: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
     },
 
+    // Answers to the category's intake form, typed by its definition
+    // (utils/intakeForms.js). Plain values so list filters can match them.
+    formData: { type: mongoose.Schema.Types.Mixed },
+
     isResolved: { type: Boolean, default: false },
 
-    // Internal notes by admin/agency
+    // SLA due dates, computed from the workflow state and category targets
+    sla: {
+      stateEnteredAt: { type: Date },
+      stateDueAt: { type: Date },
+      stateBreachedAt: { type: Date },
+      resolutionDueAt: { type: Date },
+      resolutionBreachedAt: { type: Date },
+    },
+
+    // Legacy single internal note (encrypted at rest, admin only);
+    // superseded by the notes thread
     internalNotes: { type: String },
 
-    // Evidence files
+    // Case notes thread by admin/agency, scoped per note (utils/caseNotes.js)
+    notes: [caseNoteSchema],
+
+    // Optional end-to-end encrypted messaging; the reporter's browser
+    // generates the keypair and only the public key is stored
+    encryption: {
+      enabled: { type: Boolean, default: false },
+      reporterKey: {
+        algorithm: { type: String },
+        key: { type: String },
+        fingerprint: { type: String },
+      },
+    },
+
+    // Evidence files (private objects, see utils/storage)
     evidenceFiles: [
       {
-        filePath: { type: String, required: true }, // e.g. S3 URL
+        storageKey: { type: String }, // object key in evidence storage
+        storageDriver: { type: String }, // local, s3 or minio
+        filePath: { type: String }, // legacy public S3 URL
         fileType: { type: String }, // e.g. image/png, video/mp4, etc.
         fileName: { type: String }, // original filename
+        size: { type: Number }, // bytes
+        // SHA-256 of the stored object, and of the upload before scrubbing
+        sha256: { type: String },
+        originalSha256: { type: String },
+        lastVerification: {
+          matched: { type: Boolean },
+          verifiedAt: { type: Date },
+        },
+        // Metadata scrubbing applied before storage (utils/evidenceSanitizer)
+        sanitization: {
+          method: { type: String }, // e.g. stripJpeg
+          removed: [{ type: String }], // e.g. exif, xmp, core-properties
+          sanitizedAt: { type: Date },
+        },
+        // Malware scan; files stay quarantined until "clean" (utils/scanners)
+        scan: {
+          status: {
+            type: String,
+            enum: ["pending", "clean", "infected", "failed"],
+          },
+          scanner: { type: String },
+          signature: { type: String }, // detected malware name
+          attempts: { type: Number, default: 0 },
+          lastError: { type: String },
+          scannedAt: { type: Date },
+        },
+        // Reporter evidence, or a document attached to a staff message
+        uploadedBy: {
+          role: { type: String, enum: ["reporter", "admin", "agency"] },
+          user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        },
+        // Evidence request this file answers
+        evidenceRequest: { type: mongoose.Schema.Types.ObjectId },
         uploadedAt: { type: Date, default: Date.now },
       },
     ],
@@ -67,11 +283,49 @@ const reportSchema = new mongoose.Schema(
       {
         user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // who made the comment
         role: { type: String }, // reporter, admin, agency
-        message: { type: String, required: true },
+        message: {
+          type: String,
+          required: function () {
+            return !this.encrypted;
+          },
+        },
+        // End-to-end encrypted messages carry an opaque envelope instead of message
+        encrypted: { type: Boolean, default: false },
+        // Documents attached by staff (evidenceFiles entries)
+        attachments: [{ type: mongoose.Schema.Types.ObjectId }],
+        envelope: {
+          algorithm: { type: String },
+          ciphertext: { type: String },
+          iv: { type: String },
+          recipients: [
+            {
+              _id: false,
+              fingerprint: { type: String }, // recipient public key fingerprint
+              wrappedKey: { type: String }, // content key encrypted to that key
+            },
+          ],
+        },
         createdAt: { type: Date, default: Date.now },
       },
     ],
 
+    // Requests to the reporter for more evidence (utils/evidenceRequests.js)
+    evidenceRequests: [evidenceRequestSchema],
+
+    // How far each participant has read the comments (utils/messageReads.js)
+    readMarkers: [
+      {
+        _id: false,
+        role: {
+          type: String,
+          enum: ["reporter", "admin", "agency"],
+          required: true,
+        },
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // staff only
+        lastReadAt: { type: Date, required: true },
+      },
+    ],
+
     // Status change history / audit trail
     history: [
       {
@@ -84,6 +338,19 @@ const reportSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Encrypt reporter PII and case narratives at rest. Reads decrypt through
+// getters; descriptionIndex holds keyword blind indexes for search.
+reportSchema.plugin(fieldEncryptionPlugin, {
+  fields: [
+    "reporterName",
+    "reporterEmail",
+    "reporterPhone",
+    "description",
+    "internalNotes",
+  ],
+  tokenIndexes: { description: "descriptionIndex" },
+});
+
 // Auto-generate caseID before saving
 reportSchema.pre("save", async function (next) {
   if (this.caseID) return next(); // already set
@@ -103,26 +370,29 @@ reportSchema.pre("save", async function (next) {
   next();
 });
 
-// 🔹 Auto-generate and hash unique password
-// Hashing the plain password with a non-reversible hash (SHA256) — purely for lookup
+// 🔹 Auto-generate and hash the case key (runs after caseID is set)
+// The key is bound to the caseID; SHA256 of "caseID:key" is kept purely for lookup
 reportSchema.pre("save", async function (next) {
   // only run when creating a new report
   if (!this.isNew) return next();
 
-  const plainPassword = crypto.randomBytes(3).toString("hex").toUpperCase();
-  this._plainPassword = plainPassword;
-
-  this.passwordKey = crypto
-    .createHash("sha256")
-    .update(plainPassword)
-    .digest("hex");
-
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(plainPassword, salt);
+  this._plainPassword = generateCaseKey();
+  await this.setCaseKey(this._plainPassword);
 
   next();
 });
 
+// 🔹 Replace the case key hashes (used on creation and rotation)
+reportSchema.methods.setCaseKey = async function (plainKey) {
+  const { password, passwordKey, keyVersion } = await hashCaseKey(
+    this.caseID,
+    plainKey
+  );
+  this.password = password;
+  this.passwordKey = passwordKey;
+  this.keyVersion = keyVersion;
+};
+
 /* this was the initial method of generating passwords
 reportSchema.pre("save", async function (next) {
   // Skip if password already exists
@@ -147,19 +417,55 @@ reportSchema.pre("save", async function (next) {
 */
 // 🔹 Compare password method
 reportSchema.methods.matchPassword = async function (enteredPassword) {
-  return await bcrypt.compare(enteredPassword, this.password);
+  return await matchCaseKey(this, enteredPassword);
 };
 
 //  Removes private fields like password, passwordKey, and __v.
 //  Return plain password once (for response only)
 reportSchema.methods.getPublicData = function () {
-  const obj = this.toObject();
+  const obj = this.toObject({ getters: true, virtuals: false });
 
   // Remove sensitive data
   delete obj.password;
   delete obj.passwordKey;
+  delete obj.failedAttempts;
+  delete obj.lockedUntil;
+  delete obj.keyVersion;
+  delete obj.descriptionIndex;
   delete obj.__v;
 
+  // Only notes meant for the reporter, without staff identities
+  delete obj.internalNotes;
+  obj.notes = visibleNotes(obj.notes, "reporter").map(reporterNote);
+
+  // Sub-tasks and collaborating agencies are internal case management
+  delete obj.tasks;
+  delete obj.collaborators;
+  delete obj.progress;
+  // Transfer reasons stay internal; reporters hear of the outcome as an assignment
+  delete obj.referrals;
+
+  // Which staff members wrote, attached or asked for something stays internal
+  obj.history = (obj.history || []).map(({ status, updatedAt }) => ({
+    status,
+    updatedAt,
+  }));
+  obj.comments = (obj.comments || []).map(({ user, ...comment }) => comment);
+  // Files are downloaded by ID, so where they are stored stays internal too
+  obj.evidenceFiles = (obj.evidenceFiles || []).map(
+    ({ uploadedBy, storageKey, storageDriver, ...file }) => ({
+      ...file,
+      uploadedBy: uploadedBy && { role: uploadedBy.role },
+    })
+  );
+  obj.evidenceRequests = (obj.evidenceRequests || []).map(
+    ({ requestedBy, agency, ...request }) => request
+  );
+
+  // When the admin and the agencies last read the thread, not who
+  obj.readReceipts = partyReceipts(obj.readMarkers);
+  delete obj.readMarkers;
+
   // Include the generated password only once
   if (this._plainPassword) {
     obj.generatedPassword = this._plainPassword;
@@ -173,18 +479,52 @@ reportSchema.pre("save", function (next) {
   if (this.isModified("status")) {
     this.history.push({
       status: this.status,
+      updatedBy: this.$locals.updatedBy,
       updatedAt: new Date(),
     });
   }
   next();
 });
 
+// Keep the sub-task roll-up in step with the tasks
+reportSchema.pre("save", function (next) {
+  if (this.isModified("tasks")) {
+    this.progress = rollUpTasks(this.tasks);
+  }
+  next();
+});
+
+// Resolve the LGA whenever the coordinates change
+reportSchema.pre("save", function (next) {
+  if (this.isModified("geoLocation")) {
+    this.lga = resolveLga(this.geoLocation) || undefined;
+  }
+  next();
+});
+
+// Recompute SLA due dates when the report is created or moves state/category
+reportSchema.pre("save", async function (next) {
+  if (this.isNew || this.isModified("status") || this.isModified("category")) {
+    await applySlaDueDates(this);
+  }
+  next();
+});
+
 // Auto-remove sensitive fields in API responses
 reportSchema.set("toJSON", {
+  getters: true, // decrypt encrypted fields
+  virtuals: false,
   transform: function (doc, ret) {
     delete ret.password;
     delete ret.passwordKey;
+    delete ret.failedAttempts;
+    delete ret.lockedUntil;
+    delete ret.keyVersion;
+    delete ret.descriptionIndex;
     delete ret.__v;
+    // Internal notes are served only by the notes endpoints, per role
+    delete ret.internalNotes;
+    if (ret.notes) ret.notes = visibleNotes(ret.notes, "reporter");
     if (ret.reporterType === "anonymous") {
       delete ret.reporterName;
       delete ret.reporterEmail;
@@ -197,5 +537,12 @@ reportSchema.set("toJSON", {
 // Indexes for performance
 // reportSchema.index({ caseID: 1 });
 reportSchema.index({ status: 1 });
+reportSchema.index({ "sla.stateDueAt": 1 });
+reportSchema.index({ "sla.resolutionDueAt": 1 });
+reportSchema.index({ "formData.$**": 1 });
+reportSchema.index({ geoLocation: "2dsphere" });
+reportSchema.index({ lga: 1 });
+reportSchema.index({ "collaborators.agency": 1 });
+reportSchema.index({ "referrals.status": 1, "referrals.toAgency": 1 });
 
 export default mongoose.model("Report", reportSchema);
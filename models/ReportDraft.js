@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+import { fieldEncryptionPlugin } from "../utils/fieldEncryption/index.js";
+
+// Report being prepared before submission (see utils/submissionDrafts.js).
+// Becomes a Report once its proof-of-work challenge is solved.
+const reportDraftSchema = new mongoose.Schema(
+  {
+    // SHA256 of the draft token that authorises every draft request
+    tokenHash: { type: String, required: true, select: false },
+
+    reporterType: { type: String, enum: ["anonymous", "confidential"] },
+    reporterName: { type: String },
+    reporterEmail: { type: String },
+    reporterPhone: { type: String },
+
+    title: { type: String },
+    description: { type: String },
+    location: { type: String },
+    geoLocation: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+
+    // Category picked by the reporter and its intake form answers as sent
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    formData: { type: mongoose.Schema.Types.Mixed },
+
+    // Optional end-to-end encrypted messaging key, as on Report
+    encryption: {
+      enabled: { type: Boolean, default: false },
+      reporterKey: {
+        algorithm: { type: String },
+        key: { type: String },
+        fingerprint: { type: String },
+      },
+    },
+
+    // evidenceFiles entries already stored (see utils/storage)
+    evidenceFiles: [{ type: mongoose.Schema.Types.Mixed }],
+
+    // Proof-of-work: sha256(`${challenge}:${nonce}`) needs `difficulty` leading zero bits
+    challenge: { type: String, required: true },
+    difficulty: { type: Number, required: true },
+
+    expiresAt: { type: Date, required: true },
+    submittedAt: { type: Date }, // set while the draft is being turned into a Report
+  },
+  { timestamps: true }
+);
+
+// Reporter PII and the narrative are encrypted at rest like on Report
+reportDraftSchema.plugin(fieldEncryptionPlugin, {
+  fields: ["reporterName", "reporterEmail", "reporterPhone", "description"],
+});
+
+reportDraftSchema.set("toJSON", {
+  getters: true,
+  virtuals: false,
+  transform: function (doc, ret) {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+reportDraftSchema.index({ expiresAt: 1 });
+
+export default mongoose.model("ReportDraft", reportDraftSchema);
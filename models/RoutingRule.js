@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+export const FIELD_OPERATORS = [
+  "eq",
+  "ne",
+  "in",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "exists",
+];
+
+// Condition on an intake form answer (Report.formData.<field>)
+const fieldConditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      match: [/^[A-Za-z][A-Za-z0-9_]{0,39}$/, "Invalid form field name"],
+    },
+    operator: { type: String, enum: FIELD_OPERATORS, default: "eq" },
+    value: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Assigns new reports to an agency (see utils/routing.js). Every condition
+// that is set must match; a list matches when any of its entries does.
+// Enabled rules are tried by ascending priority and the first match wins.
+const routingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    enabled: { type: Boolean, default: true },
+    priority: { type: Number, default: 100 },
+
+    conditions: {
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      // Whole words or phrases in the title or description
+      keywords: [{ type: String, trim: true, lowercase: true }],
+      // Words or phrases in the free-text location
+      locationKeywords: [{ type: String, trim: true, lowercase: true }],
+      lgas: [{ type: String, trim: true }],
+      fields: [fieldConditionSchema],
+    },
+
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: [true, "A routing rule must name the agency to assign"],
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+routingRuleSchema.index({ enabled: 1, priority: 1 });
+
+export default mongoose.model("RoutingRule", routingRuleSchema);
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// Resumable (chunked) evidence upload, see utils/resumableUploads.js
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    // Set when started with a case credential, or once attached to a new report
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+
+    // SHA256 of the upload token that authorises chunk requests
+    tokenHash: { type: String, required: true, select: false },
+
+    fileName: { type: String, required: true },
+    fileType: { type: String, required: true },
+    totalSize: { type: Number, required: true }, // bytes
+    receivedSize: { type: Number, default: 0 }, // current offset
+
+    // Chunks written to evidence storage so far, in offset order
+    parts: [
+      {
+        _id: false,
+        key: { type: String },
+        offset: { type: Number },
+        size: { type: Number },
+      },
+    ],
+
+    // uploading → processing → completed (awaiting a report) / attached, or failed
+    status: {
+      type: String,
+      enum: ["uploading", "processing", "completed", "attached", "failed"],
+      default: "uploading",
+    },
+    error: { type: String },
+    errorParams: { type: Object }, // {name} values of the error text
+
+    // evidenceFiles entry produced once the file is assembled and sanitized
+    evidence: { type: Object },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ report: 1, status: 1 });
+
+export default mongoose.model("UploadSession", uploadSessionSchema);
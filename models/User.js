@@ -45,6 +45,16 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Public keys for end-to-end encrypted case messages (see utils/e2ee.js)
+  publicKeys: [
+    {
+      algorithm: { type: String, required: true },
+      key: { type: String, required: true },
+      fingerprint: { type: String, required: true },
+      createdAt: { type: Date, default: Date.now },
+      revokedAt: { type: Date },
+    },
+  ],
   otp: { type: String, select: false },
   otpExpiresAt: { type: Date, select: false },
   resetPasswordToken: { type: String, select: false },
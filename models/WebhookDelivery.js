@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// Persistent log of outbound agency webhook deliveries
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agency",
+      required: true,
+    },
+    webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    url: { type: String, required: true },
+    event: { type: String, required: true }, // e.g. "report.assigned"
+    payload: { type: Object, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastError: { type: String },
+    responseStatus: { type: Number },
+    deliveredAt: { type: Date },
+
+    // Set when an admin replays an earlier delivery
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ agency: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+
+const ROLES = ["admin", "agency"];
+
+const workflowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true, // e.g. "default"
+    },
+
+    // Case states, e.g. "pending", "under review"
+    states: [
+      {
+        key: { type: String, required: true, trim: true },
+        label: { type: String },
+        description: { type: String },
+        initial: { type: Boolean, default: false }, // state given to new reports
+        terminal: { type: Boolean, default: false }, // no further SLA clocks run
+        slaHours: { type: Number, min: 0 }, // target time in this state, e.g. 48 for triage
+        // How entering this state affects Report.isResolved:
+        // open → false, resolved → true, unchanged → keep current value
+        resolution: {
+          type: String,
+          enum: ["open", "resolved", "unchanged"],
+          default: "open",
+        },
+      },
+    ],
+
+    // Allowed moves between states and who may perform them
+    transitions: [
+      {
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        roles: [{ type: String, enum: ROLES }],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Check the definition is consistent before saving
+workflowSchema.pre("validate", function (next) {
+  const keys = this.states.map((s) => s.key);
+
+  if (keys.length === 0) {
+    this.invalidate("states", "Workflow must define at least one state");
+    return next();
+  }
+
+  const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+  if (duplicate) {
+    this.invalidate("states", `Duplicate workflow state '${duplicate}'`);
+  }
+
+  if (this.states.filter((s) => s.initial).length !== 1) {
+    this.invalidate("states", "Workflow must have exactly one initial state");
+  }
+
+  this.transitions.forEach((t) => {
+    if (!keys.includes(t.from) || !keys.includes(t.to)) {
+      this.invalidate(
+        "transitions",
+        `Transition '${t.from}' → '${t.to}' references an unknown state`
+      );
+    }
+  });
+
+  next();
+});
+
+workflowSchema.methods.getState = function (key) {
+  return this.states.find((s) => s.key === key) || null;
+};
+
+workflowSchema.methods.getInitialState = function () {
+  return this.states.find((s) => s.initial) || null;
+};
+
+// Transitions out of a state, optionally narrowed to a role
+workflowSchema.methods.getTransitionsFrom = function (from, role) {
+  return this.transitions.filter(
+    (t) => t.from === from && (!role || t.roles.includes(role))
+  );
+};
+
+workflowSchema.methods.canTransition = function (from, to, role) {
+  return this.getTransitionsFrom(from, role).some((t) => t.to === to);
+};
+
+export default mongoose.model("Workflow", workflowSchema);
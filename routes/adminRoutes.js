@@ -1,8 +1,11 @@
 import express from "express";
 import { protect, authorize } from "../middleware/auth.js";
+import { upload } from "../middleware/multer.js";
 import {
   getUnassignedReports,
   getAllReports,
+  getOverdueReports,
+  getLgaSummary,
   getReportById,
   updateReportCategory,
   assignReportToAgency,
@@ -14,7 +17,11 @@ import {
   deleteCategory,
   deleteAgency,
   addAdminMessage,
+  getReportRecipientKeys,
   restoreCategory,
+  updateCategorySla,
+  updateCategoryForm,
+  markAdminMessagesRead,
 } from "../controllers/adminController.js";
 import {
   createUser,
@@ -23,6 +30,62 @@ import {
   updateUser,
   deleteUser,
 } from "../controllers/userController.js";
+import {
+  registerPublicKey,
+  getMyPublicKeys,
+  revokePublicKey,
+} from "../controllers/keyController.js";
+import {
+  addAgencyWebhook,
+  getAgencyWebhooks,
+  deleteAgencyWebhook,
+  getWebhookDeliveries,
+  replayWebhook,
+} from "../controllers/webhookController.js";
+import {
+  getAdminEvidenceFile,
+  verifyAdminEvidenceFile,
+  rescanAdminEvidenceFile,
+  getEvidenceCustodyLog,
+  exportAdminCustodyReport,
+} from "../controllers/evidenceController.js";
+import {
+  getCaseWorkflow,
+  updateCaseWorkflow,
+} from "../controllers/workflowController.js";
+import {
+  addCollaborator,
+  removeCollaborator,
+  addAdminCaseTask,
+  updateAdminCaseTask,
+} from "../controllers/collaborationController.js";
+import {
+  getRoutingRuleList,
+  getRoutingRule,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  dryRunRoutingRules,
+} from "../controllers/routingController.js";
+import {
+  getReferrals,
+  getReportReferrals,
+  acceptAdminReferral,
+  rejectAdminReferral,
+} from "../controllers/referralController.js";
+import {
+  getAdminCaseNotes,
+  addAdminCaseNote,
+} from "../controllers/noteController.js";
+import { createAdminEvidenceRequest } from "../controllers/evidenceRequestController.js";
+import {
+  getAdminTemplates,
+  getAdminTemplate,
+  createAdminTemplate,
+  updateAdminTemplate,
+  deleteAdminTemplate,
+  renderAdminTemplate,
+} from "../controllers/templateController.js";
 
 const router = express.Router();
 
@@ -52,8 +115,52 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in_progress, resolved, closed]
- *         description: Filter reports by status (e.g. ?status=pending)
+ *         description: Filter reports by workflow state (e.g. ?status=pending)
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only return reports past an SLA due date (e.g. ?overdue=true)
+ *       - in: query
+ *         name: awaitingReply
+ *         schema:
+ *           type: boolean
+ *         description: Only cases whose latest message is from the reporter (e.g. ?awaitingReply=true)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter reports by category ID
+ *       - in: query
+ *         name: form.{field}
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Filter on an intake form answer, e.g. ?form.damageType=knocked%20down. Append .gte,
+ *           .lte, .gt or .lt for number and date ranges, e.g. ?form.dateObserved.gte=2025-10-01
+ *       - in: query
+ *         name: lga
+ *         schema:
+ *           type: string
+ *         description: Filter reports by Local Government Area (e.g. ?lga=Ikeja)
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Reports within `radius` metres of latitude,longitude (e.g. ?near=6.6018,3.3515)
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Radius in metres for `near` (at most 50000)
+ *       - in: query
+ *         name: within
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Reports inside a polygon given as latitude,longitude points separated by ";"
+ *           (e.g. ?within=6.60,3.33;6.60,3.37;6.63,3.37;6.63,3.33)
  *       - in: query
  *         name: page
  *         schema:
@@ -112,7 +219,6 @@ const router = express.Router();
  *                         type: string
  *                       status:
  *                         type: string
- *                         enum: [pending, in_progress, resolved, closed]
  *                       createdAt:
  *                         type: string
  *                         format: date-time
@@ -123,6 +229,9 @@ const router = express.Router();
  *                             type: string
  *                           name:
  *                             type: string
+ *                       unreadCount:
+ *                         type: integer
+ *                         description: Messages the signed-in admin has not read yet
  *       401:
  *         description: Unauthorized - Missing or invalid token
  */
@@ -144,6 +253,74 @@ router
   .route("/reports/unassigned")
   .get(protect, authorize("admin"), getUnassignedReports);
 
+/**
+ * @swagger
+ * /admin/reports/overdue:
+ *   get:
+ *     summary: Get reports past their SLA due dates
+ *     description: >
+ *       Lists reports that missed the target time of their current state (e.g. triage within 48h)
+ *       or their category resolution target. Each report lists the missed targets in `breaches`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agency
+ *         schema:
+ *           type: string
+ *         description: Only reports assigned to this agency ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Successfully fetched overdue reports
+ */
+router
+  .route("/reports/overdue")
+  .get(protect, authorize("admin"), getOverdueReports);
+
+/**
+ * @swagger
+ * /admin/reports/lga-summary:
+ *   get:
+ *     summary: Count reports per Local Government Area
+ *     description: >
+ *       The LGA is resolved from a report's coordinates using the boundary dataset at
+ *       LGA_BOUNDARIES_PATH. Reports without coordinates or outside every LGA are counted as
+ *       unresolved; without a dataset the list is empty and every report is unresolved.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only count reports in this workflow state
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only count reports in this category
+ *     responses:
+ *       200:
+ *         description: "{ unresolved, data: [{ lga, count }] }"
+ *       400:
+ *         description: Invalid category ID
+ */
+router
+  .route("/reports/lga-summary")
+  .get(protect, authorize("admin"), getLgaSummary);
+
 /**
  * @swagger
  * /admin/categories:
@@ -160,9 +337,23 @@ router
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               form:
+ *                 $ref: '#/components/schemas/IntakeForm'
  *     responses:
  *       201:
  *         description: Category created successfully
+ *       400:
+ *         description: Missing or duplicate name, or invalid form definition
  */
 router
   .route("/categories")
@@ -199,6 +390,9 @@ router
  * /admin/reports/{id}:
  *   get:
  *     summary: Get report by ID
+ *     description: >
+ *       Each evidence file carries its malware scan status (scan.status: pending, clean,
+ *       infected or failed); only clean files can be downloaded.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -239,6 +433,9 @@ router
  * /admin/reports/{id}/assign:
  *   patch:
  *     summary: Assign report to agency
+ *     description: >
+ *       The reassignment is recorded in the case's referral history and settles any pending
+ *       transfer proposal.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -247,6 +444,19 @@ router
  *         name: id
  *         required: true
  *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *             properties:
+ *               agencyId:
+ *                 type: string
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Report assigned successfully
@@ -257,30 +467,34 @@ router
 
 /**
  * @swagger
- * /admin/reports/{id}/status:
- *   patch:
- *     summary: Update report status
+ * /admin/referrals:
+ *   get:
+ *     summary: List transfer proposals across all cases
+ *     description: Each entry carries a summary of its case. Defaults to pending proposals.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         description: Report ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, cancelled]
+ *           default: pending
  *     responses:
  *       200:
- *         description: Report status updated successfully
+ *         description: Referrals fetched successfully
+ *       400:
+ *         description: Invalid status
  */
-router
-  .route("/reports/:id/status")
-  .patch(protect, authorize("admin"), updateReportStatus);
+router.route("/referrals").get(protect, authorize("admin"), getReferrals);
 
 /**
  * @swagger
- * /admin/reports/{id}/messages:
- *   post:
- *     summary: Add admin message to a report
+ * /admin/reports/{id}/referrals:
+ *   get:
+ *     summary: Get the referral history of a case
+ *     description: Transfer proposals and admin reassignments, oldest first.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -291,18 +505,22 @@ router
  *         description: Report ID
  *     responses:
  *       200:
- *         description: Message added successfully
+ *         description: Referral history fetched successfully
+ *       404:
+ *         description: Report not found
  */
 router
-  .route("/reports/:reportId/messages")
-  .post(protect, authorize("admin"), addAdminMessage);
+  .route("/reports/:id/referrals")
+  .get(protect, authorize("admin"), getReportReferrals);
 
 /**
  * @swagger
- * /admin/categories/{id}:
- *   delete:
- *     summary: Delete a category
- *     description: Deletes a category by its ID.
+ * /admin/reports/{id}/referrals/{referralId}/accept:
+ *   post:
+ *     summary: Accept a transfer proposal
+ *     description: >
+ *       Makes the receiving agency the lead agency. agencyId is required when the case was
+ *       handed back without one, and otherwise overrides the proposed agency.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -310,66 +528,50 @@ router
  *       - in: path
  *         name: id
  *         required: true
- *         description: Category ID (MongoDB ObjectId)
- *         schema:
- *           type: string
- *           example: "65f129c12a4bd9d3d8e6c123"
+ *         description: Report ID
+ *       - in: path
+ *         name: referralId
+ *         required: true
+ *         description: Referral ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ReferralDecision'
+ *               - type: object
+ *                 properties:
+ *                   agencyId:
+ *                     type: string
  *     responses:
  *       200:
- *         description: Category deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Category deleted successfully.
- *
+ *         description: Transfer accepted
  *       400:
- *         description: Invalid category ID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Invalid category ID format.
- *
+ *         description: No receiving agency, or it is inactive or already leads the case
  *       404:
- *         description: Category not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Category not found.
+ *         description: Report, referral or agency not found
+ *       409:
+ *         description: The referral was already decided
  *
- *       500:
- *         description: Server error
+ * components:
+ *   schemas:
+ *     ReferralDecision:
+ *       type: object
+ *       properties:
+ *         note:
+ *           type: string
+ *           description: Optional note kept with the decision
  */
 router
-  .route("/categories/:id")
-  .delete(protect, authorize("admin"), deleteCategory);
+  .route("/reports/:id/referrals/:referralId/accept")
+  .post(protect, authorize("admin"), acceptAdminReferral);
 
 /**
  * @swagger
- * /admin/categories/{id}/restore:
- *   put:
- *     summary: Restore a soft-deleted category
- *     description: Restores a previously soft-deleted category by its ID.
+ * /admin/reports/{id}/referrals/{referralId}/reject:
+ *   post:
+ *     summary: Reject a transfer proposal
+ *     description: The proposing agency keeps leading the case.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -377,68 +579,37 @@ router
  *       - in: path
  *         name: id
  *         required: true
- *         description: Category ID (MongoDB ObjectId)
- *         schema:
- *           type: string
- *           example: "65f129c12a4bd9d3d8e6c123"
+ *         description: Report ID
+ *       - in: path
+ *         name: referralId
+ *         required: true
+ *         description: Referral ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReferralDecision'
  *     responses:
  *       200:
- *         description: Category restored successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: Category restored successfully.
- *                 category:
- *                   type: object
- *                   description: Restored category data
- *
- *       400:
- *         description: Invalid category ID format
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Invalid category ID format.
- *
+ *         description: Transfer rejected
  *       404:
- *         description: Category not found or not soft-deleted
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: Category not found or not deleted.
- *
- *       500:
- *         description: Server error
+ *         description: Report or referral not found
+ *       409:
+ *         description: The referral was already decided
  */
 router
-  .route("/categories/:id/restore")
-  .put(protect, authorize("admin"), restoreCategory);
+  .route("/reports/:id/referrals/:referralId/reject")
+  .post(protect, authorize("admin"), rejectAdminReferral);
 
 /**
  * @swagger
- * /admin/agencies/{id}:
- *   delete:
- *     summary: Delete an agency
+ * /admin/reports/{id}/collaborators:
+ *   post:
+ *     summary: Add a collaborating agency to a case, or change its access
+ *     description: >
+ *       The assigned (lead) agency keeps full control of the case status. Collaborators with
+ *       "view" access can read the case and its evidence; "contribute" also lets them post
+ *       messages and update their own sub-tasks.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -446,13 +617,1554 @@ router
  *       - in: path
  *         name: id
  *         required: true
- *         description: Agency ID
- *     responses:
- *       200:
- *         description: Agency deleted successfully
- */
-
-router.route("/agencies/:id").delete(protect, authorize("admin"), deleteAgency);
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agencyId
+ *             properties:
+ *               agencyId:
+ *                 type: string
+ *               access:
+ *                 type: string
+ *                 enum: [view, contribute]
+ *                 default: contribute
+ *     responses:
+ *       201:
+ *         description: Collaborating agency added
+ *       200:
+ *         description: Collaborator access updated
+ *       400:
+ *         description: Invalid access level, or the agency already leads the case
+ *       404:
+ *         description: Report or agency not found
+ */
+router
+  .route("/reports/:id/collaborators")
+  .post(protect, authorize("admin"), addCollaborator);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/collaborators/{agencyId}:
+ *   delete:
+ *     summary: Remove a collaborating agency from a case
+ *     description: Its sub-tasks stay on the case as a record of the work.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: agencyId
+ *         required: true
+ *         description: Agency ID
+ *     responses:
+ *       200:
+ *         description: Collaborating agency removed
+ *       404:
+ *         description: Report not found or agency not collaborating
+ */
+router
+  .route("/reports/:id/collaborators/:agencyId")
+  .delete(protect, authorize("admin"), removeCollaborator);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/tasks:
+ *   post:
+ *     summary: Add a sub-task for an agency on the case
+ *     description: >
+ *       Sub-task statuses (open, in_progress, blocked, done) roll up into the report's
+ *       progress, overall and per agency. Agencies cannot resolve or close a case while
+ *       any sub-task is unfinished.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseTask'
+ *     responses:
+ *       201:
+ *         description: Task added successfully
+ *       400:
+ *         description: Missing title, or the agency is not on the case
+ *
+ * components:
+ *   schemas:
+ *     CaseTask:
+ *       type: object
+ *       required:
+ *         - agencyId
+ *         - title
+ *       properties:
+ *         agencyId:
+ *           type: string
+ *           description: Lead or collaborating agency responsible for the task
+ *         title:
+ *           type: string
+ *           example: Isolate the damaged feeder
+ *         description:
+ *           type: string
+ *     CaseTaskUpdate:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [open, in_progress, blocked, done]
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ */
+router
+  .route("/reports/:id/tasks")
+  .post(protect, authorize("admin"), addAdminCaseTask);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/tasks/{taskId}:
+ *   patch:
+ *     summary: Update a sub-task on a case
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseTaskUpdate'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *       404:
+ *         description: Report or task not found
+ */
+router
+  .route("/reports/:id/tasks/:taskId")
+  .patch(protect, authorize("admin"), updateAdminCaseTask);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/status:
+ *   patch:
+ *     summary: Update report status
+ *     description: Moves the report to another workflow state. Only transitions allowed for the admin role are accepted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: under review
+ *     responses:
+ *       200:
+ *         description: Report status updated successfully
+ *       400:
+ *         description: Unknown status or transition not allowed
+ *       403:
+ *         description: Transition not permitted for the admin role
+ */
+router
+  .route("/reports/:id/status")
+  .patch(protect, authorize("admin"), updateReportStatus);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/messages:
+ *   post:
+ *     summary: Add admin message to a report
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: Thank you, an inspection team has been dispatched.
+ *               envelope:
+ *                 type: object
+ *                 description: >
+ *                   Encrypted cases only, instead of message: { algorithm, ciphertext, iv,
+ *                   recipients: [{ fingerprint, wrappedKey }] } covering every recipient key.
+ *               templateId:
+ *                 type: string
+ *                 description: >
+ *                   Message template to send instead of message (plaintext cases only).
+ *                   {{caseID}}, {{status}} and {{agencyName}} are filled in from the case.
+ *               variables:
+ *                 type: object
+ *                 description: Values for the template's other placeholders
+ *                 example: { inspectionDate: "12 March" }
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               envelope:
+ *                 type: string
+ *                 description: JSON envelope, encrypted cases only
+ *               templateId:
+ *                 type: string
+ *               variables:
+ *                 type: string
+ *                 description: JSON object of template variables
+ *               attachments:
+ *                 type: array
+ *                 description: >
+ *                   Up to 5 documents (10MB each) shown to the reporter with the message. They are
+ *                   scanned, count towards the case's evidence quota and are logged in the custody
+ *                   record.
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Message added successfully
+ */
+router
+  .route("/reports/:reportId/messages")
+  .post(
+    protect,
+    authorize("admin"),
+    upload.array("attachments", 5),
+    addAdminMessage
+  );
+
+/**
+ * @swagger
+ * /admin/reports/{id}/evidence-requests:
+ *   post:
+ *     summary: Ask the reporter for more evidence
+ *     description: >
+ *       The reporter sees open requests on follow-up and either uploads files into the request
+ *       or declines it. Its status moves from open to fulfilled or declined.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvidenceRequest'
+ *     responses:
+ *       201:
+ *         description: Evidence request sent to the reporter
+ *       400:
+ *         description: Missing message or a due date in the past
+ *       404:
+ *         description: Report not found
+ *
+ * components:
+ *   schemas:
+ *     EvidenceRequest:
+ *       type: object
+ *       required:
+ *         - message
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Could you share a photo of the pole number plate?
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ */
+router
+  .route("/reports/:id/evidence-requests")
+  .post(protect, authorize("admin"), createAdminEvidenceRequest);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/messages/read:
+ *   post:
+ *     summary: Mark a report's messages as read
+ *     description: >
+ *       Moves the signed-in admin's read marker to the given message, or to now. Markers never
+ *       move back; posting a message also marks the thread as read.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MarkRead'
+ *     responses:
+ *       200:
+ *         description: Messages marked as read, with the remaining unread count
+ *       404:
+ *         description: Report or message not found
+ *
+ * components:
+ *   schemas:
+ *     MarkRead:
+ *       type: object
+ *       properties:
+ *         messageId:
+ *           type: string
+ *           description: Read up to and including this message (default all)
+ */
+router
+  .route("/reports/:id/messages/read")
+  .post(protect, authorize("admin"), markAdminMessagesRead);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/notes:
+ *   get:
+ *     summary: Get the notes thread of a case
+ *     description: >
+ *       Notes are separate from the reporter-facing messages. The admin reads every scope;
+ *       legacyNote carries the single internal note kept before the thread existed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [admin, agency, reporter]
+ *     responses:
+ *       200:
+ *         description: Notes fetched successfully
+ *       404:
+ *         description: Report not found
+ *   post:
+ *     summary: Add a note to a case
+ *     description: >
+ *       "admin" notes are seen by the admin only, "agency" notes also by every agency on the
+ *       case, and "reporter" notes also by the reporter on the follow-up page (not on
+ *       end-to-end encrypted cases).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseNote'
+ *     responses:
+ *       201:
+ *         description: Note added successfully
+ *       400:
+ *         description: Missing content, invalid scope, or a reporter-visible note on an encrypted case
+ *       404:
+ *         description: Report not found
+ *
+ * components:
+ *   schemas:
+ *     CaseNote:
+ *       type: object
+ *       required:
+ *         - body
+ *       properties:
+ *         body:
+ *           type: string
+ *           example: Spoke to the ward councillor; the cables were removed on Tuesday night.
+ *         scope:
+ *           type: string
+ *           enum: [admin, agency, reporter]
+ *           description: Defaults to admin for the admin and agency for agency users
+ */
+router
+  .route("/reports/:id/notes")
+  .get(protect, authorize("admin"), getAdminCaseNotes)
+  .post(protect, authorize("admin"), addAdminCaseNote);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/recipient-keys:
+ *   get:
+ *     summary: Get the public keys messages on a report must be encrypted to
+ *     description: >
+ *       Returns the reporter's key and the active keys of the case agencies' users and every active admin.
+ *       On encrypted cases every message envelope must wrap its content key for each of them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Recipient keys fetched successfully
+ *       404:
+ *         description: Report not found
+ */
+router
+  .route("/reports/:id/recipient-keys")
+  .get(protect, authorize("admin"), getReportRecipientKeys);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/evidence/{fileId}:
+ *   get:
+ *     summary: Download an evidence file
+ *     description: >
+ *       Streams the file, or returns a short-lived signed URL when EVIDENCE_DOWNLOAD_MODE is
+ *       "signed-url" and the storage driver supports it. Every access is audited.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *       - in: query
+ *         name: disposition
+ *         description: "inline to display the file (logged as a view) instead of downloading it"
+ *     responses:
+ *       200:
+ *         description: File contents, or { url, fileName, expiresAt }
+ *       404:
+ *         description: Report or evidence file not found
+ *       423:
+ *         description: File is quarantined (malware scan pending, infected or failed)
+ */
+router
+  .route("/reports/:id/evidence/:fileId")
+  .get(protect, authorize("admin"), getAdminEvidenceFile);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/evidence/{fileId}/verify:
+ *   post:
+ *     summary: Verify an evidence file against its upload digest
+ *     description: Re-hashes the stored object with SHA-256 and compares it with the digest taken at upload.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *     responses:
+ *       200:
+ *         description: Verification result { matched, expected, actual, verifiedAt }
+ *       409:
+ *         description: No digest was recorded for this file
+ */
+router
+  .route("/reports/:id/evidence/:fileId/verify")
+  .post(protect, authorize("admin"), verifyAdminEvidenceFile);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/evidence/{fileId}/rescan:
+ *   post:
+ *     summary: Scan an evidence file again
+ *     description: Puts a file whose malware scan failed (or is still pending) back in the scan queue with a fresh set of attempts. Clean and infected files cannot be rescanned.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *     responses:
+ *       202:
+ *         description: File queued for scanning
+ *       404:
+ *         description: Report or evidence file not found
+ *       409:
+ *         description: The file's scan already finished as clean or infected
+ */
+router
+  .route("/reports/:id/evidence/:fileId/rescan")
+  .post(protect, authorize("admin"), rescanAdminEvidenceFile);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/evidence/{fileId}/custody:
+ *   get:
+ *     summary: Get the custody log of an evidence file
+ *     description: Every upload, view, download, verification and export, with user and IP address.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *     responses:
+ *       200:
+ *         description: Custody events, oldest first
+ */
+router
+  .route("/reports/:id/evidence/:fileId/custody")
+  .get(protect, authorize("admin"), getEvidenceCustodyLog);
+
+/**
+ * @swagger
+ * /admin/reports/{id}/custody-report:
+ *   get:
+ *     summary: Export the signed chain-of-custody report for a case
+ *     description: >
+ *       Lists every evidence file with its digests and custody log. The Ed25519 signature covers
+ *       JSON.stringify(body) and can be checked with the included public key; compare its
+ *       fingerprint with the one your organisation has on record.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: "{ body, signature: { algorithm, value, publicKey, keyFingerprint } }"
+ */
+router
+  .route("/reports/:id/custody-report")
+  .get(protect, authorize("admin"), exportAdminCustodyReport);
+
+/**
+ * @swagger
+ * /admin/keys:
+ *   get:
+ *     summary: List my public keys for encrypted messaging
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Public keys fetched successfully
+ *   post:
+ *     summary: Register a public key for encrypted messaging
+ *     description: >
+ *       Registers a public key generated on this user's device. Messages on encrypted cases
+ *       must then be encrypted to this key as well. The private key never leaves the device.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publicKey
+ *               - algorithm
+ *             properties:
+ *               publicKey:
+ *                 type: string
+ *                 description: Base64 SPKI or PEM encoded public key
+ *               algorithm:
+ *                 type: string
+ *                 enum: [RSA-OAEP-256, ECDH-P256, X25519]
+ *     responses:
+ *       201:
+ *         description: Public key registered successfully
+ *       400:
+ *         description: Invalid or duplicate key
+ */
+router
+  .route("/keys")
+  .get(protect, authorize("admin"), getMyPublicKeys)
+  .post(protect, authorize("admin"), registerPublicKey);
+
+/**
+ * @swagger
+ * /admin/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke one of my public keys
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         description: Public key ID
+ *     responses:
+ *       200:
+ *         description: Public key revoked successfully
+ *       404:
+ *         description: Public key not found
+ */
+router
+  .route("/keys/:keyId")
+  .delete(protect, authorize("admin"), revokePublicKey);
+
+/**
+ * @swagger
+ * /admin/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Deletes a category by its ID.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Category ID (MongoDB ObjectId)
+ *         schema:
+ *           type: string
+ *           example: "65f129c12a4bd9d3d8e6c123"
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Category deleted successfully.
+ *
+ *       400:
+ *         description: Invalid category ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Invalid category ID format.
+ *
+ *       404:
+ *         description: Category not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Category not found.
+ *
+ *       500:
+ *         description: Server error
+ */
+router
+  .route("/categories/:id")
+  .delete(protect, authorize("admin"), deleteCategory);
+
+/**
+ * @swagger
+ * /admin/categories/{id}/restore:
+ *   put:
+ *     summary: Restore a soft-deleted category
+ *     description: Restores a previously soft-deleted category by its ID.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Category ID (MongoDB ObjectId)
+ *         schema:
+ *           type: string
+ *           example: "65f129c12a4bd9d3d8e6c123"
+ *     responses:
+ *       200:
+ *         description: Category restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Category restored successfully.
+ *                 category:
+ *                   type: object
+ *                   description: Restored category data
+ *
+ *       400:
+ *         description: Invalid category ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Invalid category ID format.
+ *
+ *       404:
+ *         description: Category not found or not soft-deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                   example: Category not found or not deleted.
+ *
+ *       500:
+ *         description: Server error
+ */
+router
+  .route("/categories/:id/restore")
+  .put(protect, authorize("admin"), restoreCategory);
+
+/**
+ * @swagger
+ * /admin/categories/{id}/sla:
+ *   patch:
+ *     summary: Update SLA targets of a category
+ *     description: >
+ *       Sets the resolution target (hours from report creation) and per-state overrides
+ *       of the workflow state targets. Send null to clear a target. The due dates of the
+ *       category's open reports are recomputed, counting from when each was created or
+ *       entered its current state; a breach is cleared when its deadline moves into the future.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resolutionHours:
+ *                 type: number
+ *                 example: 720
+ *               stateSlaHours:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { "pending": 24 }
+ *     responses:
+ *       200:
+ *         description: Category SLA updated successfully; reportsUpdated counts the open reports whose due dates changed
+ *       404:
+ *         description: Category not found
+ */
+router
+  .route("/categories/:id/sla")
+  .patch(protect, authorize("admin"), updateCategorySla);
+
+/**
+ * @swagger
+ * /admin/categories/{id}/form:
+ *   put:
+ *     summary: Set or remove the intake form of a category
+ *     description: >
+ *       Reporters answer the form when they pick this category and the answers are checked
+ *       against it on submission. Send form null to remove it; existing reports keep their answers.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Category ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               form:
+ *                 $ref: '#/components/schemas/IntakeForm'
+ *     responses:
+ *       200:
+ *         description: Category form updated successfully
+ *       400:
+ *         description: Invalid form definition
+ *       404:
+ *         description: Category not found
+ *
+ * components:
+ *   schemas:
+ *     IntakeForm:
+ *       type: object
+ *       description: >
+ *         JSON-schema-like form definition. Field types are string (optional format date,
+ *         date-time or email), number, integer and boolean, with optional title, description,
+ *         enum, minimum, maximum, minLength, maxLength and pattern.
+ *       properties:
+ *         properties:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *         required:
+ *           type: array
+ *           items:
+ *             type: string
+ *       example:
+ *         properties:
+ *           poleNumber: { type: string, title: Pole number, maxLength: 20 }
+ *           damageType: { type: string, enum: [knocked down, wires stolen, lamp broken] }
+ *           dateObserved: { type: string, format: date, title: Date observed }
+ *         required: [damageType, dateObserved]
+ */
+router
+  .route("/categories/:id/form")
+  .put(protect, authorize("admin"), updateCategoryForm);
+
+/**
+ * @swagger
+ * /admin/agencies/{id}:
+ *   delete:
+ *     summary: Delete an agency
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Agency ID
+ *     responses:
+ *       200:
+ *         description: Agency deleted successfully
+ */
+
+router.route("/agencies/:id").delete(protect, authorize("admin"), deleteAgency);
+
+/**
+ * @swagger
+ * /admin/agencies/{id}/webhooks:
+ *   get:
+ *     summary: List an agency's webhook subscriptions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Agency ID
+ *     responses:
+ *       200:
+ *         description: Webhooks fetched successfully (secrets are never returned)
+ *   post:
+ *     summary: Add a webhook subscription to an agency
+ *     description: >
+ *       The agency's system receives a signed POST for each subscribed event on reports assigned to it.
+ *       Each request carries an `X-Webhook-Signature: t=<unix time>,v1=<hex>` header, where v1 is the
+ *       HMAC-SHA256 of `<t>.<raw body>` using the shared secret. The secret is returned only once.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Agency ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://cases.lasepa.gov.ng/hooks/whistle
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [report.assigned, report.status_changed]
+ *               secret:
+ *                 type: string
+ *                 description: Optional. Generated when omitted.
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *       400:
+ *         description: Missing URL or invalid events
+ *       404:
+ *         description: Agency not found
+ */
+router
+  .route("/agencies/:id/webhooks")
+  .get(protect, authorize("admin"), getAgencyWebhooks)
+  .post(protect, authorize("admin"), addAgencyWebhook);
+
+/**
+ * @swagger
+ * /admin/agencies/{id}/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Remove a webhook subscription
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Agency ID
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Agency or webhook not found
+ */
+router
+  .route("/agencies/:id/webhooks/:webhookId")
+  .delete(protect, authorize("admin"), deleteAgencyWebhook);
+
+/**
+ * @swagger
+ * /admin/webhooks/deliveries:
+ *   get:
+ *     summary: Get the webhook delivery log
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agency
+ *         schema:
+ *           type: string
+ *         description: Filter by agency ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries fetched successfully
+ */
+router
+  .route("/webhooks/deliveries")
+  .get(protect, authorize("admin"), getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /admin/webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Replay a webhook delivery
+ *     description: Sends the original payload again as a new delivery linked to the original.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Delivery ID
+ *     responses:
+ *       201:
+ *         description: Delivery replayed
+ *       404:
+ *         description: Delivery not found
+ */
+router
+  .route("/webhooks/deliveries/:id/replay")
+  .post(protect, authorize("admin"), replayWebhook);
+
+/**
+ * @swagger
+ * /admin/workflow:
+ *   get:
+ *     summary: Get the case workflow
+ *     description: Returns the configured case states and the allowed transitions between them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workflow fetched successfully
+ *   put:
+ *     summary: Replace the case workflow
+ *     description: >
+ *       Defines the case states, which transitions are allowed and which roles (admin, agency)
+ *       may perform each one. States still used by reports cannot be removed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - states
+ *               - transitions
+ *             properties:
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: under review
+ *                     label:
+ *                       type: string
+ *                       example: Under Review
+ *                     initial:
+ *                       type: boolean
+ *                       example: false
+ *                     terminal:
+ *                       type: boolean
+ *                       example: false
+ *                     resolution:
+ *                       type: string
+ *                       enum: [open, resolved, unchanged]
+ *                       example: open
+ *                     slaHours:
+ *                       type: number
+ *                       description: Target time in this state, in hours
+ *                       example: 48
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       example: pending
+ *                     to:
+ *                       type: string
+ *                       example: under review
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [admin, agency]
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Invalid workflow definition or state still in use
+ */
+router
+  .route("/workflow")
+  .get(protect, authorize("admin"), getCaseWorkflow)
+  .put(protect, authorize("admin"), updateCaseWorkflow);
+
+/**
+ * @swagger
+ * /admin/routing-rules:
+ *   get:
+ *     summary: List routing rules in the order they are tried
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Routing rules fetched successfully
+ *   post:
+ *     summary: Create a routing rule
+ *     description: >
+ *       New reports are assigned to the agency of the first enabled rule (lowest priority first)
+ *       whose conditions all match; lists match when any entry does. Reports no rule matches
+ *       go to "unassigned". Each automatic assignment is audited as AGENCY_AUTO_ASSIGNED.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoutingRule'
+ *     responses:
+ *       201:
+ *         description: Routing rule created successfully
+ *       400:
+ *         description: Invalid rule
+ *       404:
+ *         description: Agency not found
+ *
+ * components:
+ *   schemas:
+ *     RoutingRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - agency
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Streetlights in Ikeja
+ *         description:
+ *           type: string
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         priority:
+ *           type: number
+ *           default: 100
+ *         agency:
+ *           type: string
+ *           description: Agency ID to assign
+ *         conditions:
+ *           type: object
+ *           properties:
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Category IDs
+ *             keywords:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Words or phrases in the title or description
+ *               example: [streetlight, lamp post]
+ *             locationKeywords:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Words or phrases in the free-text location
+ *             lgas:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: [Ikeja]
+ *               description: LGAs resolved from the coordinates; never match without LGA_BOUNDARIES_PATH
+ *             fields:
+ *               type: array
+ *               description: Conditions on intake form answers
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     example: damageType
+ *                   operator:
+ *                     type: string
+ *                     enum: [eq, ne, in, gt, gte, lt, lte, exists]
+ *                   value:
+ *                     example: knocked down
+ */
+router
+  .route("/routing-rules")
+  .get(protect, authorize("admin"), getRoutingRuleList)
+  .post(protect, authorize("admin"), createRoutingRule);
+
+/**
+ * @swagger
+ * /admin/routing-rules/dry-run:
+ *   post:
+ *     summary: Test routing rules against past reports
+ *     description: >
+ *       Reports which agency each recent report would be assigned to, without changing anything.
+ *       Tests the unsaved `rule` if given, otherwise the enabled rules as they stand.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 $ref: '#/components/schemas/RoutingRule'
+ *               limit:
+ *                 type: integer
+ *                 default: 100
+ *                 description: Most recent reports to test (at most 1000)
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: "{ count, matched, changed, data: [{ caseID, currentAgency, rule, agency, changed }] }"
+ *       400:
+ *         description: Invalid rule
+ */
+router
+  .route("/routing-rules/dry-run")
+  .post(protect, authorize("admin"), dryRunRoutingRules);
+
+/**
+ * @swagger
+ * /admin/routing-rules/{id}:
+ *   get:
+ *     summary: Get a routing rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Routing rule ID
+ *     responses:
+ *       200:
+ *         description: Routing rule fetched successfully
+ *       404:
+ *         description: Routing rule not found
+ *   put:
+ *     summary: Update a routing rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Routing rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoutingRule'
+ *     responses:
+ *       200:
+ *         description: Routing rule updated successfully
+ *       404:
+ *         description: Routing rule or agency not found
+ *   delete:
+ *     summary: Delete a routing rule
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Routing rule ID
+ *     responses:
+ *       200:
+ *         description: Routing rule deleted successfully
+ *       404:
+ *         description: Routing rule not found
+ */
+router
+  .route("/routing-rules/:id")
+  .get(protect, authorize("admin"), getRoutingRule)
+  .put(protect, authorize("admin"), updateRoutingRule)
+  .delete(protect, authorize("admin"), deleteRoutingRule);
+
+/**
+ * @swagger
+ * /admin/message-templates:
+ *   get:
+ *     summary: List message templates
+ *     description: >
+ *       Each template lists its placeholders; `variables` names those filled in from the case.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: agency
+ *         description: Agency ID, or "global" for templates shared by every agency
+ *     responses:
+ *       200:
+ *         description: Message templates fetched successfully
+ *   post:
+ *     summary: Create a message template
+ *     description: >
+ *       Canned message for staff to send with templateId on a case's messages. Without an
+ *       agency the template is global and every agency can use it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MessageTemplate'
+ *               - type: object
+ *                 properties:
+ *                   agency:
+ *                     type: string
+ *                     description: Agency ID; omit for a global template
+ *     responses:
+ *       201:
+ *         description: Message template created successfully
+ *       400:
+ *         description: Invalid template or duplicate name
+ *       404:
+ *         description: Agency not found
+ *
+ * components:
+ *   schemas:
+ *     MessageTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - body
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Acknowledgement
+ *         description:
+ *           type: string
+ *         body:
+ *           type: string
+ *           example: "Your report {{caseID}} is now {{status}} with {{agencyName}}."
+ *         translations:
+ *           type: array
+ *           description: >
+ *             The body in other languages, sent on cases whose preferred language matches
+ *             (yo, ig, ha or pcm); {{status}} is then translated too.
+ *           items:
+ *             type: object
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 example: pcm
+ *               body:
+ *                 type: string
+ *                 example: "Your report {{caseID}} don reach {{agencyName}}. E dey {{status}} now."
+ */
+router
+  .route("/message-templates")
+  .get(protect, authorize("admin"), getAdminTemplates)
+  .post(protect, authorize("admin"), createAdminTemplate);
+
+/**
+ * @swagger
+ * /admin/message-templates/{id}:
+ *   get:
+ *     summary: Get a message template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     responses:
+ *       200:
+ *         description: Message template fetched successfully
+ *       404:
+ *         description: Message template not found
+ *   put:
+ *     summary: Update a message template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       200:
+ *         description: Message template updated successfully
+ *       404:
+ *         description: Message template not found
+ *   delete:
+ *     summary: Delete a message template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     responses:
+ *       200:
+ *         description: Message template deleted successfully
+ *       404:
+ *         description: Message template not found
+ */
+router
+  .route("/message-templates/:id")
+  .get(protect, authorize("admin"), getAdminTemplate)
+  .put(protect, authorize("admin"), updateAdminTemplate)
+  .delete(protect, authorize("admin"), deleteAdminTemplate);
+
+/**
+ * @swagger
+ * /admin/message-templates/{id}/render:
+ *   post:
+ *     summary: Preview a message template filled in for a case
+ *     description: >
+ *       Also how encrypted cases use templates: render, then encrypt the text as an envelope.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateRender'
+ *     responses:
+ *       200:
+ *         description: "{ data: { message } }"
+ *       400:
+ *         description: Missing template variables
+ *       404:
+ *         description: Message template or report not found
+ *
+ * components:
+ *   schemas:
+ *     TemplateRender:
+ *       type: object
+ *       required:
+ *         - reportId
+ *       properties:
+ *         reportId:
+ *           type: string
+ *         variables:
+ *           type: object
+ *           description: Values for placeholders not filled in from the case
+ */
+router
+  .route("/message-templates/:id/render")
+  .post(protect, authorize("admin"), renderAdminTemplate);
 
 /**
  * @swagger
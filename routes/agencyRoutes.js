@@ -1,12 +1,49 @@
 import express from "express";
 import { protect, authorize } from "../middleware/auth.js";
+import { upload } from "../middleware/multer.js";
 import {
   getAgencyReports,
   getAgencyReportById,
   addAgencyMessage,
-  updateAgencyReportStatus
+  updateAgencyReportStatus,
+  getAgencyRecipientKeys,
+  markAgencyMessagesRead,
 } from "../controllers/agencyController.js";
+import {
+  registerPublicKey,
+  getMyPublicKeys,
+  revokePublicKey,
+} from "../controllers/keyController.js";
 import { getUser, updateUser } from "../controllers/userController.js";
+import {
+  getAgencyEvidenceFile,
+  verifyAgencyEvidenceFile,
+  exportAgencyCustodyReport,
+} from "../controllers/evidenceController.js";
+import {
+  addAgencyCaseTask,
+  updateAgencyCaseTask,
+} from "../controllers/collaborationController.js";
+import {
+  proposeAgencyTransfer,
+  getAgencyReferrals,
+  acceptAgencyReferral,
+  rejectAgencyReferral,
+  cancelAgencyReferral,
+} from "../controllers/referralController.js";
+import {
+  getAgencyCaseNotes,
+  addAgencyCaseNote,
+} from "../controllers/noteController.js";
+import { createAgencyEvidenceRequest } from "../controllers/evidenceRequestController.js";
+import {
+  getAgencyTemplates,
+  getAgencyTemplate,
+  createAgencyTemplate,
+  updateAgencyTemplate,
+  deleteAgencyTemplate,
+  renderAgencyTemplate,
+} from "../controllers/templateController.js";
 
 const router = express.Router();
 
@@ -24,9 +61,10 @@ router.use(authorize("agency"));
  * @swagger
  * /agency/reports:
  *   get:
- *     summary: Get all reports assigned to the logged-in agency
+ *     summary: Get all reports the logged-in agency leads or collaborates on
  *     description: >
- *       Retrieves reports assigned to the agency that the logged-in user belongs to.  
+ *       Retrieves reports the agency that the logged-in user belongs to leads or collaborates on,
+ *       each with the agency's access (lead, contribute or view).  
  *       Supports keyword search (by caseID, title, or description), filtering by status, and pagination.
  *     tags: [Agency]
  *     security:
@@ -42,10 +80,63 @@ router.use(authorize("agency"));
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, under review, resolved, closed]
- *         description: Filter reports by status.
+ *         description: Filter reports by workflow state.
  *         example: pending
  *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: Only return reports past an SLA due date.
+ *         example: true
+ *       - in: query
+ *         name: awaitingReply
+ *         schema:
+ *           type: boolean
+ *         description: Only cases whose latest message is from the reporter.
+ *         example: true
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter reports by category ID.
+ *       - in: query
+ *         name: form.{field}
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Filter on an intake form answer, e.g. form.damageType=knocked%20down. Append .gte,
+ *           .lte, .gt or .lt for number and date ranges, e.g. form.dateObserved.gte=2025-10-01.
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [lead, collaborator]
+ *         description: Only cases the agency leads, or only those it collaborates on.
+ *       - in: query
+ *         name: lga
+ *         schema:
+ *           type: string
+ *         description: Filter reports by Local Government Area.
+ *         example: Ikeja
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: Reports within `radius` metres of latitude,longitude.
+ *         example: 6.6018,3.3515
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Radius in metres for `near` (at most 50000).
+ *       - in: query
+ *         name: within
+ *         schema:
+ *           type: string
+ *         description: Reports inside a polygon of latitude,longitude points separated by ";".
+ *         example: 6.60,3.33;6.60,3.37;6.63,3.37;6.63,3.33
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -117,6 +208,10 @@ router.use(authorize("agency"));
  *                           name:
  *                             type: string
  *                             example: Lagos Waste Management Agency
+ *                       unreadCount:
+ *                         type: integer
+ *                         description: Messages the signed-in user has not read yet
+ *                         example: 2
  *                       createdAt:
  *                         type: string
  *                         format: date-time
@@ -128,11 +223,241 @@ router.use(authorize("agency"));
  */
 router.get("/", getAgencyReports);
 
+/**
+ * @swagger
+ * /agency/keys:
+ *   get:
+ *     summary: List my public keys for encrypted messaging
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Public keys fetched successfully
+ *   post:
+ *     summary: Register a public key for encrypted messaging
+ *     description: >
+ *       Registers a public key generated on this user's device. Messages on encrypted cases
+ *       must then be encrypted to this key as well. The private key never leaves the device.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publicKey
+ *               - algorithm
+ *             properties:
+ *               publicKey:
+ *                 type: string
+ *                 description: Base64 SPKI or PEM encoded public key
+ *               algorithm:
+ *                 type: string
+ *                 enum: [RSA-OAEP-256, ECDH-P256, X25519]
+ *     responses:
+ *       201:
+ *         description: Public key registered successfully
+ *       400:
+ *         description: Invalid or duplicate key
+ */
+router.route("/keys").get(getMyPublicKeys).post(registerPublicKey);
+
+/**
+ * @swagger
+ * /agency/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke one of my public keys
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         description: Public key ID
+ *     responses:
+ *       200:
+ *         description: Public key revoked successfully
+ *       404:
+ *         description: Public key not found
+ */
+router.delete("/keys/:keyId", revokePublicKey);
+
+/**
+ * @swagger
+ * /agency/referrals:
+ *   get:
+ *     summary: List transfers proposed to or by my agency
+ *     description: >
+ *       "incoming" lists transfers other agencies proposed to this agency, each with a summary
+ *       of the case; "outgoing" lists the transfers this agency proposed.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *           default: incoming
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, cancelled]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Referrals fetched successfully
+ *       400:
+ *         description: Invalid direction or status
+ */
+router.get("/referrals", getAgencyReferrals);
+
+/**
+ * @swagger
+ * /agency/message-templates:
+ *   get:
+ *     summary: List the global message templates and the agency's own
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Message templates fetched successfully
+ *   post:
+ *     summary: Create a message template for the agency
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       201:
+ *         description: Message template created successfully
+ *       400:
+ *         description: Invalid template or duplicate name
+ */
+router
+  .route("/message-templates")
+  .get(getAgencyTemplates)
+  .post(createAgencyTemplate);
+
+/**
+ * @swagger
+ * /agency/message-templates/{id}:
+ *   get:
+ *     summary: Get a global or own message template
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     responses:
+ *       200:
+ *         description: Message template fetched successfully
+ *       404:
+ *         description: Message template not found
+ *   put:
+ *     summary: Update one of the agency's message templates
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       200:
+ *         description: Message template updated successfully
+ *       403:
+ *         description: Global or another agency's template
+ *       404:
+ *         description: Message template not found
+ *   delete:
+ *     summary: Delete one of the agency's message templates
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     responses:
+ *       200:
+ *         description: Message template deleted successfully
+ *       403:
+ *         description: Global or another agency's template
+ *       404:
+ *         description: Message template not found
+ */
+router
+  .route("/message-templates/:id")
+  .get(getAgencyTemplate)
+  .put(updateAgencyTemplate)
+  .delete(deleteAgencyTemplate);
+
+/**
+ * @swagger
+ * /agency/message-templates/{id}/render:
+ *   post:
+ *     summary: Preview a message template filled in for one of the agency's cases
+ *     description: >
+ *       Also how encrypted cases use templates: render, then encrypt the text as an envelope.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Message template ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TemplateRender'
+ *     responses:
+ *       200:
+ *         description: "{ data: { message } }"
+ *       400:
+ *         description: Missing template variables
+ *       404:
+ *         description: Message template or report not found
+ */
+router.post("/message-templates/:id/render", renderAgencyTemplate);
+
 /**
  * @swagger
  * /agency/{id}:
  *   get:
- *     summary: Get details of a specific report assigned to the agency
+ *     summary: Get details of a report the agency leads or collaborates on
+ *     description: >
+ *       Includes the collaborating agencies, sub-tasks and their roll-up in `progress`, and the
+ *       agency's own `access`.
+ *       Each evidence file carries its malware scan status (scan.status: pending, clean,
+ *       infected or failed); only clean files can be downloaded.
  *     tags: [Agency]
  *     security:
  *       - bearerAuth: []
@@ -151,11 +476,116 @@ router.get("/", getAgencyReports);
  */
 router.get("/:id", getAgencyReportById);
 
+/**
+ * @swagger
+ * /agency/{id}/recipient-keys:
+ *   get:
+ *     summary: Get the public keys messages on a report must be encrypted to
+ *     description: >
+ *       Returns the reporter's key and the active keys of the case agencies' users and every active admin.
+ *       On encrypted cases every message envelope must wrap its content key for each of them.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: Recipient keys fetched successfully
+ *       404:
+ *         description: Report not found
+ */
+router.get("/:id/recipient-keys", getAgencyRecipientKeys);
+
+/**
+ * @swagger
+ * /agency/{id}/evidence/{fileId}:
+ *   get:
+ *     summary: Download an evidence file on a report assigned to the agency
+ *     description: >
+ *       Streams the file, or returns a short-lived signed URL when EVIDENCE_DOWNLOAD_MODE is
+ *       "signed-url" and the storage driver supports it. Every access is audited.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *       - in: query
+ *         name: disposition
+ *         description: "inline to display the file (logged as a view) instead of downloading it"
+ *     responses:
+ *       200:
+ *         description: File contents, or { url, fileName, expiresAt }
+ *       404:
+ *         description: Report not assigned to your agency, or file not found
+ *       423:
+ *         description: File is quarantined (malware scan pending, infected or failed)
+ */
+router.get("/:id/evidence/:fileId", getAgencyEvidenceFile);
+
+/**
+ * @swagger
+ * /agency/{id}/evidence/{fileId}/verify:
+ *   post:
+ *     summary: Verify an evidence file against its upload digest
+ *     description: Re-hashes the stored object with SHA-256 and compares it with the digest taken at upload.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *     responses:
+ *       200:
+ *         description: Verification result { matched, expected, actual, verifiedAt }
+ *       409:
+ *         description: No digest was recorded for this file
+ */
+router.post("/:id/evidence/:fileId/verify", verifyAgencyEvidenceFile);
+
+/**
+ * @swagger
+ * /agency/{id}/custody-report:
+ *   get:
+ *     summary: Export the signed chain-of-custody report for a case assigned to the agency
+ *     description: >
+ *       Lists every evidence file with its digests and custody log. The Ed25519 signature covers
+ *       JSON.stringify(body) and can be checked with the included public key.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     responses:
+ *       200:
+ *         description: "{ body, signature: { algorithm, value, publicKey, keyFingerprint } }"
+ */
+router.get("/:id/custody-report", exportAgencyCustodyReport);
+
 /**
  * @swagger
  * /agency/{reportId}/messages:
  *   post:
- *     summary: Add a message or update to a report assigned to the agency
+ *     summary: Add a message or update to a report (lead agency or contributing collaborator)
  *     tags: [Agency]
  *     security:
  *       - bearerAuth: []
@@ -176,47 +606,407 @@ router.get("/:id", getAgencyReportById);
  *               message:
  *                 type: string
  *                 example: Field inspection completed, awaiting further action.
+ *               envelope:
+ *                 type: object
+ *                 description: >
+ *                   Encrypted cases only, instead of message: { algorithm, ciphertext, iv,
+ *                   recipients: [{ fingerprint, wrappedKey }] } covering every recipient key.
+ *               templateId:
+ *                 type: string
+ *                 description: >
+ *                   Message template to send instead of message (plaintext cases only).
+ *                   {{caseID}}, {{status}} and {{agencyName}} are filled in from the case.
+ *               variables:
+ *                 type: object
+ *                 description: Values for the template's other placeholders
+ *                 example: { inspectionDate: "12 March" }
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               envelope:
+ *                 type: string
+ *                 description: JSON envelope, encrypted cases only
+ *               templateId:
+ *                 type: string
+ *               variables:
+ *                 type: string
+ *                 description: JSON object of template variables
+ *               attachments:
+ *                 type: array
+ *                 description: >
+ *                   Up to 5 documents (10MB each) shown to the reporter with the message. They are
+ *                   scanned, count towards the case's evidence quota and are logged in the custody
+ *                   record.
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       200:
  *         description: Message added successfully
  *       404:
  *         description: Report not found
  */
-router.post("/:reportId/messages", addAgencyMessage);
-
-/**
- * @swagger
- * /agency/{reportId}/status:     
- *  patch: 
- *    summary: Update the status of a report assigned to the agency
- *   tags: [Agency]
- *   security:
- *    - bearerAuth: []
- *   parameters:
- *    - in: path
- *     name: reportId
- *    required: true
- *    description: The ID of the report
- *   schema:
- *    type: string
- *  requestBody:
- *   required: true
- *  content:
- *   application/json:
- *    schema:
- *    type: object
- *    properties:
- *    status:
- *    type: string
- *   example: resolved
- *  responses:
- *  200:
- *   description: Report status updated successfully
- *  404:
- *  description: Report not found
- *  403:
- *  description: Unauthorized to update this report
- * ///  /agency/{reportId}/status
+router.post(
+  "/:reportId/messages",
+  upload.array("attachments", 5),
+  addAgencyMessage
+);
+
+/**
+ * @swagger
+ * /agency/{id}/evidence-requests:
+ *   post:
+ *     summary: Ask the reporter for more evidence (lead agency or contributing collaborator)
+ *     description: >
+ *       The reporter sees open requests on follow-up and either uploads files into the request
+ *       or declines it.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvidenceRequest'
+ *     responses:
+ *       201:
+ *         description: Evidence request sent to the reporter
+ *       400:
+ *         description: Missing message or a due date in the past
+ *       403:
+ *         description: Read-only access to this case
+ */
+router.post("/:id/evidence-requests", createAgencyEvidenceRequest);
+
+/**
+ * @swagger
+ * /agency/{id}/messages/read:
+ *   post:
+ *     summary: Mark a report's messages as read
+ *     description: >
+ *       Moves the signed-in user's read marker to the given message, or to now. Each agency user
+ *       has their own marker.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MarkRead'
+ *     responses:
+ *       200:
+ *         description: Messages marked as read, with the remaining unread count
+ *       404:
+ *         description: Report or message not found
+ */
+router.post("/:id/messages/read", markAgencyMessagesRead);
+
+/**
+ * @swagger
+ * /agency/{id}/notes:
+ *   get:
+ *     summary: Get the notes thread of a case
+ *     description: Agency-shared and reporter-visible notes; admin-only notes are not included.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [agency, reporter]
+ *     responses:
+ *       200:
+ *         description: Notes fetched successfully
+ *       404:
+ *         description: Report not found
+ *   post:
+ *     summary: Add a note to a case
+ *     description: >
+ *       Needs contribute access. "agency" notes are shared with the admin and every agency on
+ *       the case; "reporter" notes are also shown to the reporter.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseNote'
+ *     responses:
+ *       201:
+ *         description: Note added successfully
+ *       400:
+ *         description: Missing content, invalid scope, or a reporter-visible note on an encrypted case
+ *       403:
+ *         description: Read-only access to this case
+ */
+router.route("/:id/notes").get(getAgencyCaseNotes).post(addAgencyCaseNote);
+
+/**
+ * @swagger
+ * /agency/{id}/tasks:
+ *   post:
+ *     summary: Add a sub-task for an agency on the case (lead agency only)
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseTask'
+ *     responses:
+ *       201:
+ *         description: Task added successfully
+ *       403:
+ *         description: Only the lead agency can add tasks
+ */
+router.post("/:id/tasks", addAgencyCaseTask);
+
+/**
+ * @swagger
+ * /agency/{id}/tasks/{taskId}:
+ *   patch:
+ *     summary: Update a sub-task
+ *     description: >
+ *       A collaborator with contribute access can update its own tasks; the lead agency can
+ *       update any task on the case.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: taskId
+ *         required: true
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CaseTaskUpdate'
+ *     responses:
+ *       200:
+ *         description: Task updated successfully
+ *       403:
+ *         description: Read-only access, or the task belongs to another agency
+ *       404:
+ *         description: Report or task not found
+ */
+router.patch("/:id/tasks/:taskId", updateAgencyCaseTask);
+
+/**
+ * @swagger
+ * /agency/{id}/referrals:
+ *   post:
+ *     summary: Propose transferring a case (lead agency only)
+ *     description: >
+ *       Hands a misrouted case to another agency, or back to the admin when toAgencyId is
+ *       omitted. The receiving agency or the admin accepts or rejects the proposal; until then
+ *       this agency keeps leading the case. Only one transfer can be pending at a time.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               toAgencyId:
+ *                 type: string
+ *                 description: Agency that should take over the case
+ *               reason:
+ *                 type: string
+ *                 example: Streetlights on federal roads are handled by FERMA
+ *     responses:
+ *       201:
+ *         description: Transfer proposed successfully
+ *       400:
+ *         description: Missing reason, or the agency is inactive or already leads the case
+ *       403:
+ *         description: Only the lead agency can propose a transfer
+ *       404:
+ *         description: Report or agency not found
+ *       409:
+ *         description: A transfer is already pending
+ */
+router.post("/:id/referrals", proposeAgencyTransfer);
+
+/**
+ * @swagger
+ * /agency/{id}/referrals/{referralId}/accept:
+ *   post:
+ *     summary: Accept a transfer proposed to my agency
+ *     description: My agency becomes the lead agency on the case.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: referralId
+ *         required: true
+ *         description: Referral ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReferralDecision'
+ *     responses:
+ *       200:
+ *         description: Transfer accepted
+ *       404:
+ *         description: No such referral addressed to my agency
+ *       409:
+ *         description: The referral was already decided
+ */
+router.post("/:id/referrals/:referralId/accept", acceptAgencyReferral);
+
+/**
+ * @swagger
+ * /agency/{id}/referrals/{referralId}/reject:
+ *   post:
+ *     summary: Reject a transfer proposed to my agency
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: referralId
+ *         required: true
+ *         description: Referral ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReferralDecision'
+ *     responses:
+ *       200:
+ *         description: Transfer rejected
+ *       404:
+ *         description: No such referral addressed to my agency
+ *       409:
+ *         description: The referral was already decided
+ */
+router.post("/:id/referrals/:referralId/reject", rejectAgencyReferral);
+
+/**
+ * @swagger
+ * /agency/{id}/referrals/{referralId}/cancel:
+ *   post:
+ *     summary: Withdraw a transfer my agency proposed
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Report ID
+ *       - in: path
+ *         name: referralId
+ *         required: true
+ *         description: Referral ID
+ *     responses:
+ *       200:
+ *         description: Transfer withdrawn
+ *       403:
+ *         description: Not the lead agency, or the transfer was proposed by another agency
+ *       409:
+ *         description: The referral was already decided
+ */
+router.post("/:id/referrals/:referralId/cancel", cancelAgencyReferral);
+
+/**
+ * @swagger
+ * /agency/{reportId}/status:
+ *   patch:
+ *     summary: Update the status of a report assigned to the agency
+ *     description: Only transitions the case workflow allows for the agency role are accepted.
+ *     tags: [Agency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         description: The ID of the report
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: resolved
+ *     responses:
+ *       200:
+ *         description: Report status updated successfully
+ *       400:
+ *         description: Unknown status or transition not allowed
+ *       403:
+ *         description: Not the lead agency on this case, or transition not permitted for agencies
+ *       409:
+ *         description: Sub-tasks on the case are not done yet
+ *       404:
+ *         description: Report not found
  */
 router.patch("/:reportId/status", updateAgencyReportStatus);
 
@@ -4,54 +4,230 @@ import {
   createReport,
   getReportByPassword,
   addWhistleblowerMessage,
+  createReporterSession,
+  rotateCaseKey,
+  getReporterRecipientKeys,
+  getReportCategories,
+  markReporterMessagesRead,
+  updateReporterLanguage,
 } from "../controllers/reporterController.js";
+import {
+  fulfilEvidenceRequest,
+  declineEvidenceRequest,
+} from "../controllers/evidenceRequestController.js";
 import { upload } from "../middleware/multer.js";
+import {
+  protectReporter,
+  protectReporterWithFiles,
+  optionalReporter,
+  protectDraft,
+} from "../middleware/auth.js";
+import { submissionLimiter } from "../middleware/submissionLimiter.js";
+import { localize } from "../middleware/locale.js";
+import { getReporterEvidenceFile } from "../controllers/evidenceController.js";
+import {
+  createReportDraft,
+  getReportDraft,
+  updateReportDraft,
+  addDraftEvidence,
+} from "../controllers/draftController.js";
+import {
+  startUpload,
+  getUploadStatus,
+  uploadChunk,
+  cancelUpload,
+} from "../controllers/uploadController.js";
+import { uploadLimits } from "../utils/resumableUploads.js";
 
 const router = express.Router();
 
+// Messages in the reporter's language
+router.use(localize);
+
+// Raw chunk bodies for resumable uploads (UPLOAD_CHUNK_MAX_MB per request)
+const chunkBody = (req, res, next) =>
+  express.raw({
+    type: "application/offset+octet-stream",
+    limit: uploadLimits().maxChunkSize,
+  })(req, res, next);
+
 /**
  * @swagger
  * tags:
  *   - name: Whistleblower Reports
- *     description: Endpoints for anonymous/confidential whistle-blowers to create and follow up on reports
+ *     description: >
+ *       Endpoints for anonymous/confidential whistle-blowers to create and follow up on reports.
+ *       Response messages and errors are in English, Yoruba (yo), Igbo (ig), Hausa (ha) or
+ *       Nigerian Pidgin (pcm): a `locale` field or query parameter wins, then the case's
+ *       preferred language, then the Accept-Language header. The language a report is submitted
+ *       in becomes its preferred language, also used for notifications.
  */
 
 /**
  * @swagger
- * /reports:
+ * /reports/categories:
+ *   get:
+ *     summary: List report categories and their intake forms
+ *     description: >
+ *       A category's `form` ({ properties, required }) lists the questions to ask for it,
+ *       e.g. pole number, damage type and date observed for a vandalised streetlight. Send
+ *       the answers as `formData` on the draft.
+ *     tags: [Whistleblower Reports]
+ *     responses:
+ *       200:
+ *         description: Categories fetched successfully
+ */
+router.get("/categories", getReportCategories);
+
+/**
+ * @swagger
+ * /reports/drafts:
  *   post:
- *     summary: Create a new whistleblower report
- *     description: Submit a new report with optional evidence files (images, videos, or documents).
+ *     summary: Save a report draft
+ *     description: >
+ *       First stage of a submission. Any of the report fields can be sent now and the rest added
+ *       later with PATCH. Returns a draft token (required as the Draft-Token header by every draft
+ *       request) and a proof-of-work challenge to solve before submitting. Drafts expire after
+ *       DRAFT_EXPIRE_HOURS. Rate limited per IP and globally.
  *     tags: [Whistleblower Reports]
  *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportDraftFields'
+ *     responses:
+ *       201:
+ *         description: Draft saved with { id, draftToken, challenge, difficulty, expiresAt }
+ *       400:
+ *         description: Invalid reporter type, or personal details on an anonymous report
+ *       429:
+ *         description: Too many submissions from this network or in total
+ *
+ * components:
+ *   schemas:
+ *     ReportDraftFields:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Broken streetlight at main junction
+ *         description:
+ *           type: string
+ *           example: The streetlight at the main junction has been vandalized and needs repair.
+ *         location:
+ *           type: string
+ *           example: Ikeja, Lagos
+ *         reporterType:
+ *           type: string
+ *           enum: [anonymous, confidential]
+ *           example: confidential
+ *         reporterName:
+ *           type: string
+ *           example: John Doe
+ *         reporterEmail:
+ *           type: string
+ *           example: johndoe@example.com
+ *         reporterPhone:
+ *           type: string
+ *           example: +2348012345678
+ *         reporterPublicKey:
+ *           type: string
+ *           description: >
+ *             Optional. Public key generated in the reporter's browser. When present, all
+ *             follow-up messages on the case must be end-to-end encrypted.
+ *         reporterKeyAlgorithm:
+ *           type: string
+ *           enum: [RSA-OAEP-256, ECDH-P256, X25519]
+ *         geoLocation:
+ *           type: object
+ *           description: >
+ *             Optional coordinates, { lat, lng } or a GeoJSON Point. The Local Government Area
+ *             is worked out from them. Send null to remove them.
+ *           example: { "lat": 6.6018, "lng": 3.3515 }
+ *         category:
+ *           type: string
+ *           description: Category ID from /reports/categories (defaults to uncategorised)
+ *         formData:
+ *           type: object
+ *           description: Answers to the category's intake form, checked in full on submission
+ *           example: { "poleNumber": "LP-0412", "damageType": "knocked down", "dateObserved": "2025-10-12" }
+ */
+router.post("/drafts", submissionLimiter, createReportDraft);
+
+/**
+ * @swagger
+ * /reports/drafts/{id}:
+ *   get:
+ *     summary: Get a report draft
+ *     tags: [Whistleblower Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Draft ID
+ *       - in: header
+ *         name: Draft-Token
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Draft fetched successfully
+ *       404:
+ *         description: Draft not found or expired
+ *   patch:
+ *     summary: Update a report draft
+ *     tags: [Whistleblower Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Draft ID
+ *       - in: header
+ *         name: Draft-Token
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportDraftFields'
+ *     responses:
+ *       200:
+ *         description: Draft updated successfully
+ *       400:
+ *         description: Invalid reporter type, or personal details on an anonymous report
+ *       404:
+ *         description: Draft not found or expired
+ *       409:
+ *         description: Draft already submitted
+ */
+router
+  .route("/drafts/:id")
+  .get(protectDraft, getReportDraft)
+  .patch(protectDraft, updateReportDraft);
+
+/**
+ * @swagger
+ * /reports/drafts/{id}/evidence:
+ *   post:
+ *     summary: Attach evidence files to a report draft
+ *     description: >
+ *       Files are stored (and quarantined until scanned) right away and count towards the
+ *       evidence quota of the future case. Use /reports/uploads for large files.
+ *     tags: [Whistleblower Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Draft ID
+ *       - in: header
+ *         name: Draft-Token
+ *         required: true
+ *     requestBody:
  *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
  *             type: object
  *             properties:
- *               title:
- *                 type: string
- *                 example: Broken streetlight at main junction
- *               description:
- *                 type: string
- *                 example: The streetlight at the main junction has been vandalized and needs repair.
- *               location:
- *                 type: string
- *                 example: Ikeja, Lagos
- *               reporterType:
- *                 type: string
- *                 enum: [anonymous, confidential]
- *                 example: confidential
- *               reporterName:
- *                 type: string
- *                 example: John Doe
- *               reporterEmail:
- *                 type: string
- *                 example: johndoe@example.com
- *               reporterPhone:
- *                 type: string
- *                 example: +2348012345678
  *               evidenceFiles:
  *                 type: array
  *                 items:
@@ -59,6 +235,62 @@ const router = express.Router();
  *                   format: binary
  *                 description: Upload up to 5 evidence files (images, videos, or documents)
  *     responses:
+ *       200:
+ *         description: Evidence added to the draft
+ *       404:
+ *         description: Draft not found or expired
+ *       413:
+ *         description: Evidence quota exceeded
+ */
+router.post(
+  "/drafts/:id/evidence",
+  protectDraft,
+  upload.array("evidenceFiles", 5),
+  addDraftEvidence
+);
+
+/**
+ * @swagger
+ * /reports:
+ *   post:
+ *     summary: Submit a whistleblower report from a completed draft
+ *     description: >
+ *       Second stage of a submission. The draft must have a title, description and reporter
+ *       type (plus name and email for confidential reports). As proof-of-work, find a nonce such
+ *       that SHA-256 of "<challenge>:<nonce>" has at least `difficulty` leading zero bits. The
+ *       draft is consumed; a solution can only be used once. Rate limited per IP and globally.
+ *     tags: [Whistleblower Reports]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - draftId
+ *               - draftToken
+ *               - nonce
+ *             properties:
+ *               draftId:
+ *                 type: string
+ *               draftToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 example: "1048213"
+ *               uploads:
+ *                 type: array
+ *                 description: >
+ *                   Optional finished resumable uploads to attach, e.g.
+ *                   [{"id":"...","token":"..."}] (see /reports/uploads).
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     token:
+ *                       type: string
+ *     responses:
  *       201:
  *         description: Report submitted successfully
  *         content:
@@ -88,34 +320,292 @@ const router = express.Router();
  *                       type: string
  *                       format: date-time
  *       400:
- *         description: Invalid input or missing required fields
+ *         description: Incomplete draft, invalid intake form answers or invalid proof-of-work solution
+ *       404:
+ *         description: Draft not found or expired
+ *       409:
+ *         description: Draft already submitted, or an upload is not ready
+ *       413:
+ *         description: Evidence quota exceeded
+ *       429:
+ *         description: Too many submissions from this network or in total
  *       500:
  *         description: Internal server error
  */
-router.route("/").post(upload.array("evidenceFiles", 5), createReport);
+router.route("/").post(submissionLimiter, createReport);
 
 /**
  * @swagger
- * /reports/follow-up:
+ * /reports/uploads:
+ *   post:
+ *     summary: Start a resumable upload for a large evidence file
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Without credentials the finished file is attached when the report is submitted (pass
+ *       the upload id and token in `uploads`). With a reporter session token (or caseID and
+ *       password) it is added to that case when complete. Returns an upload token required by
+ *       every chunk request. Files count towards the case's evidence quota. Rate limited per
+ *       IP and globally.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fileName, fileType, size]
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *                 example: pipeline-damage.mp4
+ *               fileType:
+ *                 type: string
+ *                 example: video/mp4
+ *               size:
+ *                 type: integer
+ *                 description: Total file size in bytes
+ *     responses:
+ *       201:
+ *         description: Upload started; returns id, uploadToken, offset and maxChunkSize
+ *       413:
+ *         description: File too large or evidence quota exceeded
+ *       415:
+ *         description: File type not allowed (only types that can be stripped of metadata)
+ *       429:
+ *         description: Too many submissions from this network or in total
+ */
+router.post("/uploads", submissionLimiter, optionalReporter, startUpload);
+
+/**
+ * @swagger
+ * /reports/uploads/{id}:
  *   get:
- *     summary: Retrieve a report using password
+ *     summary: Get the current offset of a resumable upload
  *     tags: [Whistleblower Reports]
- *     description: Allows a whistle-blower to view the current status of their report using their unique password.
  *     parameters:
- *       - in: query
- *         name: password
+ *       - in: path
+ *         name: id
+ *         required: true
+ *       - in: header
+ *         name: Upload-Token
  *         required: true
- *         schema:
- *           type: string
- *           example: Wh1stle@123
- *         description: The unique password provided when the report was submitted.
+ *     responses:
+ *       200:
+ *         description: Upload status; the Upload-Offset header holds the bytes received
+ *       404:
+ *         description: Upload not found or expired
+ *   patch:
+ *     summary: Send the next chunk of a resumable upload
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Upload-Offset must equal the bytes received so far. After the last chunk the upload is
+ *       "processing" while the file is assembled, type-checked and stripped of metadata in the
+ *       background; poll GET until it is completed (or attached, for an existing case) or
+ *       failed, with the reason in `error`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *       - in: header
+ *         name: Upload-Token
+ *         required: true
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk received (or upload processing); Upload-Offset holds the new offset
+ *       409:
+ *         description: Offset mismatch; resume from the current offset
+ *   delete:
+ *     summary: Cancel an unfinished resumable upload
+ *     tags: [Whistleblower Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *       - in: header
+ *         name: Upload-Token
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Upload cancelled
+ */
+router
+  .route("/uploads/:id")
+  .get(getUploadStatus)
+  .patch(chunkBody, uploadChunk)
+  .delete(cancelUpload);
+
+/**
+ * @swagger
+ * /reports/session:
+ *   post:
+ *     summary: Start a reporter session
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Exchanges the case ID and case password for a short-lived session token. Send it as
+ *       `Authorization: Bearer <token>` on the follow-up routes instead of the password.
+ *       Repeated failed attempts lock follow-up access to the case for a while.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - caseID
+ *               - password
+ *             properties:
+ *               caseID:
+ *                 type: string
+ *                 example: LAG-2025-00001-123
+ *               password:
+ *                 type: string
+ *                 example: K7QM-2XRT-WP4D-BZ6H
+ *     responses:
+ *       200:
+ *         description: Session started; returns the token
+ *       401:
+ *         description: Invalid case ID or password
+ *       429:
+ *         description: Too many failed attempts, case temporarily locked
+ */
+router.post("/session", createReporterSession);
+
+/**
+ * @swagger
+ * /reports/credentials/rotate:
+ *   post:
+ *     summary: Change the case key (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Replaces the case key with a newly generated one, optionally as a word passphrase.
+ *       Requires the current key; earlier session tokens stop working. The new key is
+ *       returned only once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - caseID
+ *               - password
+ *             properties:
+ *               caseID:
+ *                 type: string
+ *                 example: LAG-2025-00001-123
+ *               password:
+ *                 type: string
+ *                 example: K7QM-2XRT-WP4D-BZ6H
+ *               format:
+ *                 type: string
+ *                 enum: [base32, passphrase]
+ *                 example: passphrase
+ *     responses:
+ *       200:
+ *         description: Case key changed; returns the new key and a fresh session token
+ *       400:
+ *         description: Invalid key format
+ *       401:
+ *         description: Invalid case ID or password
+ *       429:
+ *         description: Too many failed attempts, case temporarily locked
+ */
+router.post("/credentials/rotate", rotateCaseKey);
+
+/**
+ * @swagger
+ * /reports/follow-up:
+ *   post:
+ *     summary: Retrieve a report (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Allows a whistle-blower to view the current status of their report, authenticated with
+ *       a reporter session token or with the case ID and case password. Includes the number of
+ *       unread messages and, in readReceipts, when the admin and the agencies last read the
+ *       thread. evidenceRequests lists what staff asked for, with its status and due date.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caseID:
+ *                 type: string
+ *                 example: LAG-2025-00001-123
+ *               password:
+ *                 type: string
+ *                 example: K7QM-2XRT-WP4D-BZ6H
  *     responses:
  *       200:
  *         description: Report details fetched successfully
  *       401:
- *         description: Invalid password or report not found
+ *         description: Invalid credentials or session token
+ *       429:
+ *         description: Too many failed attempts, case temporarily locked
+ */
+router.route("/follow-up").post(protectReporter, getReportByPassword);
+
+/**
+ * @swagger
+ * /reports/recipient-keys:
+ *   get:
+ *     summary: Get the public keys reporter messages must be encrypted to
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       For end-to-end encrypted cases. Returns the reporter's own key and the active keys of the
+ *       assigned agency's users and the admin. Requires a reporter session token.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recipient keys fetched successfully
+ *       401:
+ *         description: Invalid or expired session token
  */
-router.route("/follow-up").post(getReportByPassword);
+router.get("/recipient-keys", protectReporter, getReporterRecipientKeys);
+
+/**
+ * @swagger
+ * /reports/evidence/{fileId}:
+ *   get:
+ *     summary: Download an evidence file on your own case
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Requires a reporter session token. Streams the file, or returns a short-lived signed URL
+ *       when EVIDENCE_DOWNLOAD_MODE is "signed-url". Every access is audited.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         description: Evidence file ID
+ *       - in: query
+ *         name: disposition
+ *         description: "inline to display the file (logged as a view) instead of downloading it"
+ *     responses:
+ *       200:
+ *         description: File contents, or { url, fileName, expiresAt }
+ *       401:
+ *         description: Invalid or expired session token
+ *       404:
+ *         description: Evidence file not found
+ *       423:
+ *         description: File is quarantined (malware scan pending, infected or failed)
+ */
+router.get("/evidence/:fileId", protectReporter, getReporterEvidenceFile);
 
 /**
  * @swagger
@@ -125,32 +615,61 @@ router.route("/follow-up").post(getReportByPassword);
  *     tags: [Whistleblower Reports]
  *     description: |
  *       Allows the whistle-blower to add a follow-up message or upload additional evidence 
- *       to an existing report using their unique case password.  
+ *       to an existing report, authenticated with a reporter session token or with the
+ *       case ID and case password (form fields, or a JSON body for messages without files).  
+ *       With the case ID and password, files are removed again if they are wrong.  
  *       Supports text updates and optional file uploads (e.g., images, videos, or documents).
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
  *             type: object
- *             required:
- *               - password
- *               - message
  *             properties:
+ *               caseID:
+ *                 type: string
+ *                 description: Case ID (not needed with a session token)
+ *                 example: LAG-2025-00001-123
  *               password:
  *                 type: string
- *                 description: Unique case password generated when report was created
- *                 example: A9F4C2
+ *                 description: Case password generated when report was created (not needed with a session token)
+ *                 example: K7QM-2XRT-WP4D-BZ6H
  *               message:
  *                 type: string
- *                 description: Follow-up message or additional details
+ *                 description: Follow-up message or additional details (required unless the case is encrypted)
  *                 example: I have new evidence showing the suspect’s face.
+ *               envelope:
+ *                 type: string
+ *                 description: >
+ *                   Encrypted cases only. JSON string of { algorithm, ciphertext, iv,
+ *                   recipients: [{ fingerprint, wrappedKey }] } covering every recipient key.
  *               evidenceFiles:
  *                 type: array
  *                 items:
  *                   type: string
  *                   format: binary
  *                 description: Optional evidence files (images, videos, documents, etc.)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caseID:
+ *                 type: string
+ *                 description: Case ID (not needed with a session token)
+ *                 example: LAG-2025-00001-123
+ *               password:
+ *                 type: string
+ *                 description: Case password generated when report was created (not needed with a session token)
+ *                 example: K7QM-2XRT-WP4D-BZ6H
+ *               message:
+ *                 type: string
+ *                 example: I have new evidence showing the suspect’s face.
+ *               envelope:
+ *                 type: object
+ *                 description: Encrypted cases only; see the multipart field
  *     responses:
  *       201:
  *         description: Message added successfully
@@ -213,9 +732,9 @@ router.route("/follow-up").post(getReportByPassword);
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: Password and message are required.
+ *                   example: Message content is required.
  *       401:
- *         description: Invalid password or report not found
+ *         description: Invalid credentials or session token
  *         content:
  *           application/json:
  *             schema:
@@ -226,8 +745,177 @@ router.route("/follow-up").post(getReportByPassword);
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: Invalid password. Report not found.
+ *                   example: Invalid case ID or password.
+ */
+router.post(
+  "/message",
+  protectReporterWithFiles(upload.array("evidenceFiles", 5)),
+  addWhistleblowerMessage
+);
+
+/**
+ * @swagger
+ * /reports/messages/read:
+ *   post:
+ *     summary: Mark the report's messages as read (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Moves the reporter's read marker to the given message, or to now. Authenticated with a
+ *       reporter session token or with the case ID and case password.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MarkRead'
+ *     responses:
+ *       200:
+ *         description: Messages marked as read, with the remaining unread count
+ *       401:
+ *         description: Invalid credentials or session token
+ *       404:
+ *         description: Message not found
+ */
+router.post("/messages/read", protectReporter, markReporterMessagesRead);
+
+/**
+ * @swagger
+ * /reports/language:
+ *   post:
+ *     summary: Change the case's preferred language (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Language of response messages and notifications for this case, unless a request asks
+ *       for another one. Authenticated with a reporter session token or with the case ID and
+ *       case password.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - locale
+ *             properties:
+ *               locale:
+ *                 type: string
+ *                 enum: [en, yo, ig, ha, pcm]
+ *                 example: yo
+ *     responses:
+ *       200:
+ *         description: Preferred language updated
+ *       400:
+ *         description: Unsupported language
+ *       401:
+ *         description: Invalid credentials or session token
+ */
+router.post("/language", protectReporter, updateReporterLanguage);
+
+/**
+ * @swagger
+ * /reports/evidence-requests/{requestId}/fulfil:
+ *   post:
+ *     summary: Answer an evidence request with files (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     description: >
+ *       Uploads files into an open evidence request shown on follow-up, or links evidence
+ *       already uploaded to the case (e.g. a finished resumable upload) with fileIds. The
+ *       request is then fulfilled. Authenticated with a reporter session token or with the case
+ *       ID and case password; with the case ID and password, files are removed again if they are
+ *       wrong.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         description: Evidence request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caseID:
+ *                 type: string
+ *                 description: Case ID (not needed with a session token)
+ *               password:
+ *                 type: string
+ *                 description: Case password (not needed with a session token)
+ *               evidenceFiles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               fileIds:
+ *                 type: string
+ *                 description: JSON list of evidence file IDs already on the case
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Evidence added and the request fulfilled
+ *       400:
+ *         description: No files given, or a listed file is not the reporter's evidence
+ *       401:
+ *         description: Invalid credentials or session token
+ *       404:
+ *         description: Evidence request not found
+ *       409:
+ *         description: The request was already fulfilled or declined
+ *       413:
+ *         description: Evidence quota exceeded
+ */
+router.post(
+  "/evidence-requests/:requestId/fulfil",
+  protectReporterWithFiles(upload.array("evidenceFiles", 5)),
+  fulfilEvidenceRequest
+);
+
+/**
+ * @swagger
+ * /reports/evidence-requests/{requestId}/decline:
+ *   post:
+ *     summary: Decline an evidence request (Whistle-blower)
+ *     tags: [Whistleblower Reports]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         description: Evidence request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: I no longer have access to the site.
+ *     responses:
+ *       200:
+ *         description: Evidence request declined
+ *       401:
+ *         description: Invalid credentials or session token
+ *       404:
+ *         description: Evidence request not found
+ *       409:
+ *         description: The request was already fulfilled or declined
  */
-router.post("/message", upload.array("evidenceFiles", 5), addWhistleblowerMessage);
+router.post(
+  "/evidence-requests/:requestId/decline",
+  protectReporter,
+  declineEvidenceRequest
+);
 
 export default router;
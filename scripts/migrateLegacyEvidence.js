@@ -0,0 +1,95 @@
+// scripts/migrateLegacyEvidence.js
+// Copies evidence uploaded before private storage from its old public URL
+// into the configured storage driver, so it is only served through the
+// authenticated, audited download endpoints. Safe to re-run.
+//
+//   npm run migrate-evidence
+//
+// Once every file is migrated, remove the public objects (or make the old
+// bucket private); the reports no longer point at them.
+import dotenv from "dotenv";
+dotenv.config();
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import { getStorage, evidenceKey } from "../utils/storage/index.js";
+import { sha256, recordCustody } from "../utils/evidenceIntegrity.js";
+
+const legacy = { filePath: { $exists: true }, storageKey: { $exists: false } };
+
+const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const run = async () => {
+  const storage = getStorage();
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw documents, so field encryption and save hooks are left alone
+  const cursor = Report.collection.find(
+    { evidenceFiles: { $elemMatch: legacy } },
+    { projection: { caseID: 1, evidenceFiles: 1 } }
+  );
+
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const doc of cursor) {
+    const files = doc.evidenceFiles.filter(
+      (file) => file.filePath && !file.storageKey
+    );
+
+    for (const file of files) {
+      try {
+        const buffer = await download(file.filePath);
+        const key = evidenceKey(file.fileName);
+        const { size } = await storage.put(key, buffer, {
+          contentType: file.fileType,
+        });
+        const digest = sha256(buffer);
+
+        await Report.collection.updateOne(
+          { _id: doc._id, "evidenceFiles._id": file._id },
+          {
+            $set: {
+              "evidenceFiles.$.storageKey": key,
+              "evidenceFiles.$.storageDriver": storage.name,
+              "evidenceFiles.$.size": size,
+              "evidenceFiles.$.sha256": digest,
+              // Never scanned on upload; quarantined until the scanner clears it
+              "evidenceFiles.$.scan": { status: "pending", attempts: 0 },
+            },
+            $unset: { "evidenceFiles.$.filePath": "" },
+          }
+        );
+        await recordCustody(
+          doc,
+          [{ _id: file._id, sha256: digest }],
+          "upload",
+          { role: "system" },
+          "migrated from legacy public URL"
+        );
+        migrated += 1;
+      } catch (err) {
+        console.error(
+          `Could not migrate '${file.fileName}' on case ${doc.caseID}: ${err.message}`
+        );
+        failed += 1;
+      }
+    }
+  }
+
+  console.log(
+    `Migrated ${migrated} legacy evidence files, ${failed} failed ✅`
+  );
+  if (failed > 0) process.exitCode = 1;
+};
+
+run()
+  .catch((err) => {
+    console.error("Evidence migration failed ❌", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
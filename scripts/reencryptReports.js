@@ -0,0 +1,97 @@
+// scripts/reencryptReports.js
+// Encrypts legacy plaintext report fields and re-encrypts values written
+// under older key versions with the current key. Safe to re-run.
+//
+//   npm run reencrypt              # migrate to the current key version
+//   npm run reencrypt -- --rotate  # create a new key version first (local provider)
+//   npm run reencrypt -- --reindex # also rebuild every description blind index
+import dotenv from "dotenv";
+dotenv.config();
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import {
+  getKeyProvider,
+  encryptValue,
+  decryptValue,
+  keyVersionOf,
+  blindIndexTokens,
+} from "../utils/fieldEncryption/index.js";
+
+const FIELDS = [
+  "reporterName",
+  "reporterEmail",
+  "reporterPhone",
+  "description",
+  "internalNotes",
+];
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const keys = getKeyProvider();
+
+  if (args.includes("--rotate")) {
+    if (!keys.rotate) {
+      throw new Error(
+        `The '${keys.name}' provider cannot rotate keys; add a new key version to its configuration instead`
+      );
+    }
+    console.log(`Created field key version ${keys.rotate()}`);
+  }
+
+  const current = keys.currentVersion();
+  const reindex = args.includes("--reindex");
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Work on raw documents so mongoose getters/setters don't get in the way
+  const cursor = Report.collection.find(
+    {},
+    {
+      projection: {
+        ...Object.fromEntries(FIELDS.map((f) => [f, 1])),
+        "notes.body": 1,
+      },
+    }
+  );
+
+  let scanned = 0;
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const $set = {};
+
+    FIELDS.forEach((field) => {
+      const value = doc[field];
+      if (value == null || value === "") return;
+      if (keyVersionOf(value) === current) return;
+      $set[field] = encryptValue(decryptValue(value));
+    });
+
+    // Body of each note in the case notes thread
+    (doc.notes || []).forEach((note, i) => {
+      if (!note.body || keyVersionOf(note.body) === current) return;
+      $set[`notes.${i}.body`] = encryptValue(decryptValue(note.body));
+    });
+
+    if ($set.description || reindex) {
+      $set.descriptionIndex = blindIndexTokens(decryptValue(doc.description));
+    }
+
+    if (Object.keys($set).length > 0) {
+      await Report.collection.updateOne({ _id: doc._id }, { $set });
+      updated += 1;
+    }
+  }
+
+  console.log(
+    `Scanned ${scanned} reports, updated ${updated} (key version v${current}) ✅`
+  );
+};
+
+run()
+  .catch((err) => {
+    console.error("Re-encryption failed ❌", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
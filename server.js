@@ -3,6 +3,16 @@ dotenv.config();
 import mongoose from "mongoose";
 import app from "./app.js";
 import { seedDefaults } from "./config/seedDefaults.js";
+import { startSlaSweeper } from "./utils/slaSweeper.js";
+import { startWebhookRetrier } from "./utils/webhooks.js";
+import { startEvidenceScanner, getScanner } from "./utils/scanners/index.js";
+import {
+  startUploadCleaner,
+  resumeUploadProcessing,
+} from "./utils/resumableUploads.js";
+import { startDraftCleaner } from "./utils/submissionDrafts.js";
+import { getKeyProvider } from "./utils/fieldEncryption/index.js";
+import { getLgaBoundaries } from "./utils/geo.js";
 
 const PORT = process.env.PORT || 5000;
 
@@ -10,12 +20,37 @@ const clientOptions = {
   serverApi: { version: "1", strict: true, deprecationErrors: true },
 };
 
+// Refuse to start without a usable field encryption key provider
+getKeyProvider();
+// ...and without a real malware scanner in production
+getScanner();
+
+// Read the LGA boundaries now, so a broken dataset stops startup and a
+// missing one is noticed
+if (getLgaBoundaries().length === 0) {
+  console.warn(
+    "⚠️ No LGA boundaries loaded (LGA_BOUNDARIES_PATH); reports get no LGA and LGA filters match nothing"
+  );
+}
+
 mongoose
   .connect(process.env.MONGO_URI)
   .then(async () => {
     console.log("MongoDB Connected ✅");
     // Seed default Category & Agency
     await seedDefaults();
+    // Periodically flag reports that missed their SLA targets
+    startSlaSweeper();
+    // Retry agency webhook deliveries that failed earlier
+    startWebhookRetrier();
+    // Rescan evidence still in malware quarantine
+    startEvidenceScanner();
+    // Finish resumable uploads interrupted by the last shutdown
+    await resumeUploadProcessing();
+    // Remove expired resumable uploads
+    startUploadCleaner();
+    // Remove expired report drafts
+    startDraftCleaner();
     app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
   })
   .catch((err) => {
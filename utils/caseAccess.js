@@ -0,0 +1,76 @@
+// utils/caseAccess.js
+// Which agencies may work a case, and how: the lead agency
+// (Report.agencyAssigned) and the collaborators listed on the report.
+import Agency from "../models/Agency.js";
+import Report from "../models/Report.js";
+import ErrorResponse from "./errorResponse.js";
+
+// Access levels from least to most
+const LEVELS = ["view", "contribute", "lead"];
+
+const idOf = (value) => String(value?._id ?? value);
+
+// "lead", the collaborator's access level, or null if not on the case
+export const agencyAccess = (report, agencyId) => {
+  if (!agencyId) return null;
+  if (report.agencyAssigned && idOf(report.agencyAssigned) === idOf(agencyId)) {
+    return "lead";
+  }
+  const collaborator = (report.collaborators || []).find(
+    (entry) => idOf(entry.agency) === idOf(agencyId)
+  );
+  return collaborator ? collaborator.access : null;
+};
+
+export const hasAccess = (access, needed) =>
+  LEVELS.indexOf(access) >= LEVELS.indexOf(needed);
+
+// Mongo filter for the cases an agency leads or collaborates on
+export const agencyCaseFilter = (agencyId, role) => {
+  if (role === "lead") return { agencyAssigned: agencyId };
+  if (role === "collaborator") return { "collaborators.agency": agencyId };
+  return {
+    $or: [{ agencyAssigned: agencyId }, { "collaborators.agency": agencyId }],
+  };
+};
+
+// Agency of the signed-in agency user. Throws ErrorResponse 403.
+export const findUserAgency = async (user) => {
+  const agency = await Agency.findOne({ users: user._id });
+  if (!agency) {
+    throw new ErrorResponse("You are not associated with any agency", 403);
+  }
+  return agency;
+};
+
+/**
+ * Load a case the signed-in agency user's agency is on, with at least
+ * `needed` access ("view", "contribute" or "lead"). Resolves with
+ * { report, agency, access }. Throws ErrorResponse 403/404.
+ */
+export const findAgencyCase = async (req, reportId, needed = "view") => {
+  const agency = await findUserAgency(req.user);
+
+  const report = await Report.findOne({
+    _id: reportId,
+    ...agencyCaseFilter(agency._id),
+  });
+  if (!report) {
+    throw new ErrorResponse(
+      "Report not found or not assigned to your agency",
+      404
+    );
+  }
+
+  const access = agencyAccess(report, agency._id);
+  if (!hasAccess(access, needed)) {
+    throw new ErrorResponse(
+      needed === "lead"
+        ? "Unauthorized: only the lead agency can do this on this case."
+        : "Unauthorized: your agency has read-only access to this case.",
+      403
+    );
+  }
+
+  return { report, agency, access };
+};
@@ -0,0 +1,104 @@
+// utils/caseCredentials.js
+// Reporter authentication shared by every follow-up route: caseID + case
+// password, per-case lockout after repeated failures, and short-lived
+// reporter session tokens.
+import jwt from "jsonwebtoken";
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "./errorResponse.js";
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+const tokenSecret = () =>
+  process.env.REPORTER_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+// Same message for unknown case and wrong password, so caseIDs can't be probed
+const invalidCredentials = () =>
+  new ErrorResponse("Invalid case ID or password.", 401);
+
+const recordFailure = async (report, ip) => {
+  const updated = await Report.findOneAndUpdate(
+    { _id: report._id },
+    { $inc: { failedAttempts: 1 } },
+    { new: true, projection: { failedAttempts: 1 } }
+  );
+
+  if (updated.failedAttempts < MAX_FAILED_ATTEMPTS) return;
+
+  await Report.updateOne(
+    { _id: report._id },
+    {
+      failedAttempts: 0,
+      lockedUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000),
+    }
+  );
+
+  await AuditLog.create({
+    action: "REPORTER_ACCESS_LOCKED",
+    description: `Follow-up access to case ${report.caseID} locked for ${LOCK_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed attempts`,
+    targetReport: report._id,
+    ipAddress: ip,
+  });
+};
+
+/**
+ * Verify a caseID/password pair. Resolves with the report (password fields
+ * selected) or rejects with ErrorResponse 400/401/429.
+ */
+export const authenticateCase = async ({ caseID, password, ip }) => {
+  if (!caseID || !password) {
+    throw new ErrorResponse("Case ID and password are required.", 400);
+  }
+
+  const report = await Report.findOne({ caseID: caseID.trim() }).select(
+    "+password +failedAttempts +lockedUntil"
+  );
+  if (!report) throw invalidCredentials();
+
+  if (report.lockedUntil && report.lockedUntil > new Date()) {
+    throw new ErrorResponse(
+      "Too many failed attempts for this case. Please try again later.",
+      429
+    );
+  }
+
+  const isMatch = await report.matchPassword(password);
+  if (!isMatch) {
+    await recordFailure(report, ip);
+    throw invalidCredentials();
+  }
+
+  if (report.failedAttempts > 0 || report.lockedUntil) {
+    await Report.updateOne(
+      { _id: report._id },
+      { failedAttempts: 0, $unset: { lockedUntil: 1 } }
+    );
+  }
+
+  return report;
+};
+
+// Short-lived token so reporters don't resend the password on every request
+export const issueReporterToken = (report) =>
+  jwt.sign(
+    { type: "reporter", reportId: report._id, caseID: report.caseID },
+    tokenSecret(),
+    { expiresIn: process.env.REPORTER_TOKEN_EXPIRE || "15m" }
+  );
+
+// Returns the decoded token payload, or throws ErrorResponse 401
+export const verifyReporterToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, tokenSecret(), { algorithms: ["HS256"] });
+    if (decoded.type !== "reporter") throw new Error("Not a reporter token");
+    return decoded;
+  } catch (error) {
+    throw new ErrorResponse(
+      error.name === "TokenExpiredError"
+        ? "Session has expired, please sign in with your case password again"
+        : "Invalid reporter session token",
+      401
+    );
+  }
+};
@@ -0,0 +1,71 @@
+// utils/caseKeys.js
+// Generation and hashing of reporter case keys (the case "password").
+// Keys are bound to their caseID: the stored hashes cover "caseID:key", so a
+// key is useless with any other case.
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import passphraseWords from "../config/passphraseWords.js";
+
+export const CASE_KEY_FORMATS = ["base32", "passphrase"];
+
+// Current hashing scheme; reports without keyVersion use the legacy 6-hex scheme
+export const CASE_KEY_VERSION = 2;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"; // RFC 4648, no 0/1/8/9
+
+const randomBase32 = (length) =>
+  Array.from({ length }, () => BASE32_ALPHABET[crypto.randomInt(32)]).join("");
+
+/**
+ * Generate a new case key.
+ * - base32 (default): CASE_KEY_LENGTH characters (default 16 ≈ 80 bits), e.g. "K7QM-2XRT-..."
+ * - passphrase: CASE_KEY_WORDS words (default 8 ≈ 64 bits), e.g. "otter-maple-..."
+ */
+export const generateCaseKey = (
+  format = process.env.CASE_KEY_FORMAT || "base32"
+) => {
+  if (format === "passphrase") {
+    const count = Number(process.env.CASE_KEY_WORDS) || 8;
+    return Array.from(
+      { length: count },
+      () => passphraseWords[crypto.randomInt(passphraseWords.length)]
+    ).join("-");
+  }
+
+  if (format !== "base32") {
+    throw new Error(`Unknown case key format '${format}'`);
+  }
+
+  const length = Number(process.env.CASE_KEY_LENGTH) || 16;
+  return randomBase32(length).match(/.{1,4}/g).join("-");
+};
+
+// Case, spaces and separators don't matter when the reporter types the key
+export const normalizeCaseKey = (key) =>
+  String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const bindToCase = (caseID, key) => `${caseID}:${normalizeCaseKey(key)}`;
+
+// bcrypt hash for verification plus sha256 lookup key
+export const hashCaseKey = async (caseID, key) => {
+  const bound = bindToCase(caseID, key);
+  const salt = await bcrypt.genSalt(10);
+
+  return {
+    password: await bcrypt.hash(bound, salt),
+    passwordKey: crypto.createHash("sha256").update(bound).digest("hex"),
+    keyVersion: CASE_KEY_VERSION,
+  };
+};
+
+// Compare an entered key against a report selected with +password
+export const matchCaseKey = async (report, key) => {
+  if (!key || !report.password) return false;
+
+  if (report.keyVersion >= CASE_KEY_VERSION) {
+    return bcrypt.compare(bindToCase(report.caseID, key), report.password);
+  }
+
+  // Legacy keys: plain 6-hex-character password hashed on its own
+  return bcrypt.compare(String(key).trim().toUpperCase(), report.password);
+};
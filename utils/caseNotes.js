@@ -0,0 +1,27 @@
+// utils/caseNotes.js
+// Case notes thread (Report.notes), kept apart from the reporter-facing
+// comments. Each note has a visibility scope:
+//   admin     admin only
+//   agency    the admin and every agency on the case
+//   reporter  also shown to the reporter on the follow-up page
+export const NOTE_SCOPES = ["admin", "agency", "reporter"];
+
+// Scopes each role can read; agencies and the admin may write the same ones
+const READABLE_SCOPES = {
+  admin: ["admin", "agency", "reporter"],
+  agency: ["agency", "reporter"],
+  reporter: ["reporter"],
+};
+
+export const readableScopes = (role) => READABLE_SCOPES[role] || [];
+
+export const visibleNotes = (notes = [], role) =>
+  notes.filter((note) => readableScopes(role).includes(note.scope));
+
+// What the reporter sees of a reporter-visible note: no staff identities
+export const reporterNote = (note) => ({
+  _id: note._id,
+  role: note.role,
+  body: note.body,
+  createdAt: note.createdAt,
+});
@@ -0,0 +1,69 @@
+// utils/caseTasks.js
+// Multi-agency cases: collaborator access levels, the per-agency sub-tasks
+// whose statuses roll up into Report.progress, and transfer proposal states.
+
+// Lead agency (Report.agencyAssigned) has full access; collaborators one of:
+export const COLLABORATOR_ACCESS = ["view", "contribute"];
+
+const idOf = (value) => String(value?._id ?? value);
+
+// Every agency on the case, lead first
+export const caseAgencyIds = (report) => {
+  const ids = [];
+  if (report.agencyAssigned) ids.push(idOf(report.agencyAssigned));
+  (report.collaborators || []).forEach((collaborator) => {
+    const id = idOf(collaborator.agency);
+    if (!ids.includes(id)) ids.push(id);
+  });
+  return ids;
+};
+
+export const TASK_STATUSES = ["open", "in_progress", "blocked", "done"];
+
+// Overall status of a set of tasks: done when all are, blocked when any
+// is, in progress once work has started, otherwise open ("none" if empty)
+const rollUpStatus = (tasks) => {
+  if (tasks.length === 0) return "none";
+  if (tasks.every((task) => task.status === "done")) return "done";
+  if (tasks.some((task) => task.status === "blocked")) return "blocked";
+  if (tasks.some((task) => ["in_progress", "done"].includes(task.status))) {
+    return "in_progress";
+  }
+  return "open";
+};
+
+const summarise = (tasks) => ({
+  status: rollUpStatus(tasks),
+  total: tasks.length,
+  done: tasks.filter((task) => task.status === "done").length,
+});
+
+// Report.progress for a list of tasks, overall and per agency
+export const rollUpTasks = (tasks = []) => {
+  const byAgency = new Map();
+  tasks.forEach((task) => {
+    const key = String(task.agency?._id ?? task.agency);
+    if (!byAgency.has(key)) byAgency.set(key, []);
+    byAgency.get(key).push(task);
+  });
+
+  return {
+    ...summarise(tasks),
+    byAgency: [...byAgency.values()].map((agencyTasks) => ({
+      agency: agencyTasks[0].agency?._id ?? agencyTasks[0].agency,
+      ...summarise(agencyTasks),
+    })),
+  };
+};
+
+// Tasks that still keep a case from being resolved
+export const unfinishedTasks = (report) =>
+  (report.tasks || []).filter((task) => task.status !== "done");
+
+// Lifecycle of a transfer proposal (Report.referrals)
+export const REFERRAL_STATUSES = [
+  "pending",
+  "accepted",
+  "rejected",
+  "cancelled",
+];
@@ -0,0 +1,148 @@
+// utils/e2ee.js
+// Optional end-to-end encrypted case messaging. Clients encrypt each message
+// with a fresh content key and wrap that key for every recipient public key;
+// the server only registers and distributes public keys and stores the
+// opaque envelope. It never sees plaintext or private keys.
+import crypto from "crypto";
+import User from "../models/User.js";
+import Agency from "../models/Agency.js";
+import ErrorResponse from "./errorResponse.js";
+import { caseAgencyIds } from "./caseTasks.js";
+
+export const KEY_ALGORITHMS = ["RSA-OAEP-256", "ECDH-P256", "X25519"];
+
+const MAX_KEY_LENGTH = 4096;
+
+export const fingerprintKey = (key) =>
+  crypto.createHash("sha256").update(key.trim()).digest("hex");
+
+// Validate a submitted public key and return { algorithm, key, fingerprint }
+export const parsePublicKey = (key, algorithm) => {
+  if (!key || typeof key !== "string" || key.length > MAX_KEY_LENGTH) {
+    throw new ErrorResponse("A valid public key is required.", 400);
+  }
+  if (!KEY_ALGORITHMS.includes(algorithm)) {
+    throw new ErrorResponse(
+      "Invalid key algorithm. Must be one of: {algorithms}.",
+      400,
+      { algorithms: KEY_ALGORITHMS.join(", ") }
+    );
+  }
+  return { algorithm, key: key.trim(), fingerprint: fingerprintKey(key) };
+};
+
+const activeKeys = (user) =>
+  (user.publicKeys || []).filter((k) => !k.revokedAt);
+
+/**
+ * Every public key a message on this report must be encrypted to:
+ * the reporter's key, the users of every agency on the case and every
+ * active admin.
+ */
+export const getRecipientKeys = async (report) => {
+  const recipients = [];
+
+  if (report.encryption?.reporterKey?.key) {
+    const { algorithm, key, fingerprint } = report.encryption.reporterKey;
+    recipients.push({ role: "reporter", algorithm, key, fingerprint });
+  }
+
+  const staff = [];
+  const agencies = await Agency.find({
+    _id: { $in: caseAgencyIds(report) },
+  }).populate("users", "username role active publicKeys");
+  agencies.forEach((agency) =>
+    staff.push(...(agency.users || []).filter((u) => u.active))
+  );
+  const admins = await User.find({ role: "admin", active: true }).select(
+    "username role publicKeys"
+  );
+  staff.push(...admins);
+
+  staff.forEach((user) =>
+    activeKeys(user).forEach((k) =>
+      recipients.push({
+        role: user.role,
+        user: user._id,
+        username: user.username,
+        keyId: k._id,
+        algorithm: k.algorithm,
+        key: k.key,
+        fingerprint: k.fingerprint,
+      })
+    )
+  );
+
+  return recipients;
+};
+
+const parseEnvelope = (envelope) => {
+  // multipart/form-data sends the envelope as a JSON string
+  if (typeof envelope === "string") {
+    try {
+      return JSON.parse(envelope);
+    } catch {
+      throw new ErrorResponse(
+        "Encrypted message envelope is not valid JSON.",
+        400
+      );
+    }
+  }
+  return envelope;
+};
+
+/**
+ * Turn the request body into comment fields for the report.
+ * Plain reports take { message }; encrypted reports require an envelope
+ * { algorithm, ciphertext, iv, recipients: [{ fingerprint, wrappedKey }] }
+ * covering every current recipient key. Throws ErrorResponse 400.
+ */
+export const buildMessageFields = async (report, body = {}) => {
+  if (!report.encryption?.enabled) {
+    if (!body.message) {
+      throw new ErrorResponse("Message content is required.", 400);
+    }
+    return { message: body.message };
+  }
+
+  if (body.message) {
+    throw new ErrorResponse(
+      "This case uses encrypted messaging; send an encrypted envelope instead of plaintext.",
+      400
+    );
+  }
+
+  const envelope = parseEnvelope(body.envelope);
+  if (
+    !envelope?.ciphertext ||
+    !envelope.algorithm ||
+    !Array.isArray(envelope.recipients)
+  ) {
+    throw new ErrorResponse("Encrypted message envelope is required.", 400);
+  }
+
+  const provided = envelope.recipients.map((r) => r.fingerprint);
+  const missing = (await getRecipientKeys(report)).filter(
+    (r) => !provided.includes(r.fingerprint)
+  );
+  if (missing.length > 0) {
+    throw new ErrorResponse(
+      "Message is not encrypted to every recipient key (missing {recipients}). Fetch the recipient keys again.",
+      400,
+      { recipients: missing.map((r) => r.username || r.role).join(", ") }
+    );
+  }
+
+  return {
+    encrypted: true,
+    envelope: {
+      algorithm: envelope.algorithm,
+      ciphertext: envelope.ciphertext,
+      iv: envelope.iv,
+      recipients: envelope.recipients.map(({ fingerprint, wrappedKey }) => ({
+        fingerprint,
+        wrappedKey,
+      })),
+    },
+  };
+};
@@ -1,7 +1,15 @@
+import { interpolate } from "./i18n/index.js";
+
 class ErrorResponse extends Error {
-  constructor(message, statusCode) {
-    super(message);
+  // `params` fill {name} placeholders in the message; the unfilled text is
+  // kept so reporter responses can be translated (see utils/i18n)
+  constructor(message, statusCode, params) {
+    super(interpolate(message, params));
     this.statusCode = statusCode;
+    if (params) {
+      this.messageKey = message;
+      this.params = params;
+    }
   }
 }
 
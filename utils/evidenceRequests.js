@@ -0,0 +1,60 @@
+// utils/evidenceRequests.js
+// Files attached to staff messages, and evidence requests to the reporter.
+// Both end up in Report.evidenceFiles, so they are scanned, downloaded and
+// logged in the custody record like the reporter's own evidence.
+import ErrorResponse from "./errorResponse.js";
+import { toEvidenceFiles } from "./storage/index.js";
+
+/**
+ * Add files multer stored to the case. `source` is { role, user } and, for
+ * an answer to an evidence request, `evidenceRequest`. Returns the new
+ * evidenceFiles entries.
+ */
+export const addEvidenceFiles = (report, files = [], source = {}) => {
+  const start = report.evidenceFiles.length;
+  report.evidenceFiles.push(
+    ...toEvidenceFiles(files).map((file) => ({
+      ...file,
+      uploadedBy: { role: source.role, user: source.user?._id },
+      evidenceRequest: source.evidenceRequest,
+    }))
+  );
+  return report.evidenceFiles.slice(start);
+};
+
+// Evidence request still waiting for the reporter. Throws ErrorResponse 404/409.
+export const findOpenRequest = (report, requestId) => {
+  const request = report.evidenceRequests.id(requestId);
+  if (!request) {
+    throw new ErrorResponse("Evidence request not found.", 404);
+  }
+  if (request.status !== "open") {
+    throw new ErrorResponse(
+      "This evidence request was already {status}.",
+      409,
+      { status: request.status }
+    );
+  }
+  return request;
+};
+
+/**
+ * Evidence the reporter already added to the case (e.g. a resumable upload),
+ * offered as the answer to a request. Throws ErrorResponse 400.
+ */
+export const findReporterFiles = (report, fileIds = []) =>
+  fileIds.map((fileId) => {
+    const file = report.evidenceFiles.id(fileId);
+    if (
+      !file ||
+      (file.uploadedBy?.role && file.uploadedBy.role !== "reporter") ||
+      file.evidenceRequest
+    ) {
+      throw new ErrorResponse(
+        "File '{fileId}' is not evidence you added to this case, or already answers another request.",
+        400,
+        { fileId }
+      );
+    }
+    return file;
+  });
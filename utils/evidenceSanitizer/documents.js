@@ -0,0 +1,175 @@
+// utils/evidenceSanitizer/documents.js
+// Strip author/creator metadata from PDFs and Word (DOCX) documents.
+import JSZip from "jszip";
+import { PDFDocument, PDFDict, PDFName, PDFRef } from "pdf-lib";
+import { stripJpeg, stripPng, stripGif, stripWebp } from "./images.js";
+
+// Keys that hold XMP packets or application-private data on any PDF object
+const PDF_METADATA_KEYS = ["Metadata", "PieceInfo"];
+
+// PDF: drop the document info dictionary and every XMP metadata stream.
+// Saving rewrites the file, which also discards earlier incremental revisions.
+export const stripPdf = async (buf) => {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(buf, { updateMetadata: false });
+  } catch (error) {
+    throw new Error(
+      error.name === "EncryptedPDFError"
+        ? "encrypted PDFs cannot be sanitized"
+        : "not a valid PDF document"
+    );
+  }
+
+  const { context } = pdf;
+  const removed = new Set();
+
+  const dropRef = (value) => {
+    if (value instanceof PDFRef) context.delete(value);
+  };
+
+  if (context.trailerInfo.Info) {
+    dropRef(context.trailerInfo.Info);
+    context.trailerInfo.Info = undefined;
+    removed.add("info");
+  }
+
+  context.enumerateIndirectObjects().forEach(([, object]) => {
+    const dict = object instanceof PDFDict ? object : object.dict;
+    if (!(dict instanceof PDFDict)) return;
+
+    PDF_METADATA_KEYS.forEach((key) => {
+      const name = PDFName.of(key);
+      if (!dict.has(name)) return;
+      dropRef(dict.get(name));
+      dict.delete(name);
+      removed.add(key === "Metadata" ? "xmp" : key.toLowerCase());
+    });
+  });
+
+  const buffer = Buffer.from(await pdf.save({ updateFieldAppearances: false }));
+  return { buffer, removed: [...removed] };
+};
+
+const EMPTY_CORE_PROPERTIES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n' +
+  '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+  'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"/>';
+
+// Elements of docProps/app.xml that identify people or organisations
+const APP_PROPERTY_TAGS = ["Company", "Manager", "Template", "HyperlinkBase"];
+
+// Attributes recording who wrote comments and tracked changes, including
+// the people list (word/people.xml)
+const AUTHOR_ATTRIBUTES =
+  /\b(w:author|w:initials|w15:author|w15:userId|w15:providerId)="[^"]*"/g;
+
+// Image types embedded in documents that can be stripped; any other media
+// (and embedded objects, which carry their own properties) is refused
+const MEDIA_STRIPPERS = {
+  jpg: stripJpeg,
+  jpeg: stripJpeg,
+  png: stripPng,
+  gif: stripGif,
+  webp: stripWebp,
+};
+
+// DOCX: blank the core and custom properties, remove identifying app
+// properties, revision authors and the page thumbnail, and sanitize
+// embedded images
+export const stripDocx = async (buf) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buf);
+  } catch {
+    throw new Error("not a valid Word document");
+  }
+  if (!zip.file("word/document.xml")) {
+    throw new Error("not a valid Word document");
+  }
+
+  const removed = new Set();
+
+  if (zip.file("docProps/core.xml")) {
+    zip.file("docProps/core.xml", EMPTY_CORE_PROPERTIES);
+    removed.add("core-properties");
+  }
+
+  if (zip.file("docProps/custom.xml")) {
+    const custom = await zip.file("docProps/custom.xml").async("string");
+    zip.file(
+      "docProps/custom.xml",
+      custom.replace(/<property\b[\s\S]*?<\/property>/g, "")
+    );
+    removed.add("custom-properties");
+  }
+
+  if (zip.file("docProps/app.xml")) {
+    let app = await zip.file("docProps/app.xml").async("string");
+    APP_PROPERTY_TAGS.forEach((tag) => {
+      const pattern = new RegExp(`<${tag}>[\\s\\S]*?</${tag}>|<${tag}/>`, "g");
+      if (pattern.test(app)) {
+        app = app.replace(pattern, "");
+        removed.add(`app:${tag.toLowerCase()}`);
+      }
+    });
+    zip.file("docProps/app.xml", app);
+  }
+
+  // The saved preview of the first page is an image with its own metadata
+  const thumbnails = zip.file(/^docProps\/thumbnail\.[^/]+$/);
+  if (thumbnails.length > 0) {
+    thumbnails.forEach((entry) => zip.remove(entry.name));
+    const rels = zip.file("_rels/.rels");
+    if (rels) {
+      const xml = await rels.async("string");
+      zip.file(
+        "_rels/.rels",
+        xml.replace(/<Relationship\b[^>]*docProps\/thumbnail[^>]*\/>/g, "")
+      );
+    }
+    const types = zip.file("[Content_Types].xml");
+    if (types) {
+      const xml = await types.async("string");
+      zip.file(
+        "[Content_Types].xml",
+        xml.replace(/<Override\b[^>]*docProps\/thumbnail[^>]*\/>/g, "")
+      );
+    }
+    removed.add("thumbnail");
+  }
+
+  if (zip.file(/^word\/embeddings\//).length > 0) {
+    throw new Error("documents with embedded objects cannot be sanitized");
+  }
+
+  const parts = zip.file(/^word\/.*\.xml$/);
+  for (const part of parts) {
+    const xml = await part.async("string");
+    if (AUTHOR_ATTRIBUTES.test(xml)) {
+      zip.file(part.name, xml.replace(AUTHOR_ATTRIBUTES, '$1=""'));
+      removed.add("revision-authors");
+    }
+    AUTHOR_ATTRIBUTES.lastIndex = 0;
+  }
+
+  // Photos pasted into the document keep their own EXIF data
+  const media = zip.file(/^word\/media\//);
+  for (const entry of media) {
+    const extension = entry.name.split(".").pop().toLowerCase();
+    const strip = MEDIA_STRIPPERS[extension];
+    if (!strip) {
+      throw new Error(`embedded .${extension} media cannot be sanitized`);
+    }
+    const result = strip(await entry.async("nodebuffer"));
+    zip.file(entry.name, result.buffer);
+    if (result.removed.length > 0) removed.add("embedded-image-metadata");
+  }
+
+  const buffer = await zip.generateAsync({
+    type: "nodebuffer",
+    compression: "DEFLATE",
+  });
+  return { buffer, removed: [...removed] };
+};
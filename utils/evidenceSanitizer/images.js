@@ -0,0 +1,179 @@
+// utils/evidenceSanitizer/images.js
+// Strip metadata from JPEG, PNG, GIF and WebP by dropping the segments /
+// chunks that carry it. Pixel data is copied byte for byte.
+
+// JPEG: drop APPn (EXIF, XMP, maker notes...) and COM segments. JFIF (APP0),
+// ICC profiles (APP2) and Adobe colour info (APP14) are kept for rendering.
+export const stripJpeg = (buf) => {
+  if (buf.length < 4 || buf.readUInt16BE(0) !== 0xffd8) {
+    throw new Error("not a valid JPEG image");
+  }
+
+  const parts = [buf.subarray(0, 2)];
+  const removed = new Set();
+  let i = 2;
+
+  while (i < buf.length) {
+    if (buf[i] !== 0xff) throw new Error("corrupt JPEG segment");
+    const marker = buf[i + 1];
+
+    if (marker === 0xff) {
+      i += 1; // fill byte
+      continue;
+    }
+    if (marker === 0xda || marker === 0xd9) {
+      parts.push(buf.subarray(i)); // start of scan: the rest is image data
+      break;
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      parts.push(buf.subarray(i, i + 2));
+      i += 2;
+      continue;
+    }
+
+    const end = i + 2 + buf.readUInt16BE(i + 2);
+    if (end > buf.length) throw new Error("truncated JPEG");
+    const segment = buf.subarray(i, end);
+    const id = segment.subarray(4, 16).toString("latin1");
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep =
+      (!isApp && marker !== 0xfe) ||
+      (marker === 0xe0 && id.startsWith("JFIF")) ||
+      (marker === 0xe2 && id.startsWith("ICC_PROFILE")) ||
+      marker === 0xee;
+
+    if (keep) parts.push(segment);
+    else if (marker === 0xfe) removed.add("comment");
+    else if (id.startsWith("Exif")) removed.add("exif");
+    else if (id.startsWith("http://ns.adobe.com")) removed.add("xmp");
+    else removed.add(`app${marker - 0xe0}`);
+
+    i = end;
+  }
+
+  return { buffer: Buffer.concat(parts), removed: [...removed] };
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunks needed to render the image; everything else (tEXt, iTXt, zTXt,
+// eXIf, tIME, private chunks...) is dropped
+const PNG_KEEP = new Set([
+  "IHDR", "PLTE", "IDAT", "IEND", "tRNS", "gAMA", "cHRM", "sRGB", "iCCP",
+  "sBIT", "pHYs", "bKGD", "acTL", "fcTL", "fdAT",
+]);
+
+export const stripPng = (buf) => {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("not a valid PNG image");
+  }
+
+  const parts = [PNG_SIGNATURE];
+  const removed = new Set();
+  let i = 8;
+
+  while (i < buf.length) {
+    if (i + 12 > buf.length) throw new Error("truncated PNG");
+    const length = buf.readUInt32BE(i);
+    const type = buf.subarray(i + 4, i + 8).toString("latin1");
+    const end = i + 12 + length;
+    if (end > buf.length) throw new Error("truncated PNG");
+
+    if (PNG_KEEP.has(type)) parts.push(buf.subarray(i, end));
+    else removed.add(type);
+
+    i = end;
+    if (type === "IEND") break;
+  }
+
+  return { buffer: Buffer.concat(parts), removed: [...removed] };
+};
+
+// Walk GIF data sub-blocks starting at i; returns the index after the terminator
+const skipSubBlocks = (buf, i) => {
+  while (i < buf.length && buf[i] !== 0) i += buf[i] + 1;
+  if (i >= buf.length) throw new Error("truncated GIF");
+  return i + 1;
+};
+
+// GIF: drop comment extensions and application extensions (XMP etc.),
+// keeping only the NETSCAPE looping extension
+export const stripGif = (buf) => {
+  const header = buf.subarray(0, 6).toString("latin1");
+  if (header !== "GIF87a" && header !== "GIF89a") {
+    throw new Error("not a valid GIF image");
+  }
+
+  const flags = buf[10];
+  let i = 13 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+  const parts = [buf.subarray(0, i)];
+  const removed = new Set();
+
+  while (i < buf.length) {
+    const start = i;
+    const introducer = buf[i];
+
+    if (introducer === 0x3b) {
+      parts.push(buf.subarray(i, i + 1)); // trailer
+      break;
+    }
+
+    if (introducer === 0x2c) {
+      const local = buf[i + 9];
+      i += 10 + (local & 0x80 ? 3 * 2 ** ((local & 0x07) + 1) : 0);
+      i = skipSubBlocks(buf, i + 1); // LZW minimum code size, then data
+      parts.push(buf.subarray(start, i));
+      continue;
+    }
+
+    if (introducer !== 0x21) throw new Error("corrupt GIF block");
+
+    const label = buf[i + 1];
+    const appId = buf.subarray(i + 3, i + 14).toString("latin1");
+    i = skipSubBlocks(buf, i + 2);
+
+    if (label === 0xfe) removed.add("comment");
+    else if (label === 0xff && !appId.startsWith("NETSCAPE2.0")) {
+      removed.add(`application:${appId.trim()}`);
+    } else parts.push(buf.subarray(start, i));
+  }
+
+  return { buffer: Buffer.concat(parts), removed: [...removed] };
+};
+
+// WebP: drop EXIF and XMP chunks and clear their VP8X flags
+export const stripWebp = (buf) => {
+  if (
+    buf.subarray(0, 4).toString("latin1") !== "RIFF" ||
+    buf.subarray(8, 12).toString("latin1") !== "WEBP"
+  ) {
+    throw new Error("not a valid WebP image");
+  }
+
+  const chunks = [];
+  const removed = new Set();
+  let i = 12;
+
+  while (i + 8 <= buf.length) {
+    const type = buf.subarray(i, i + 4).toString("latin1");
+    const size = buf.readUInt32LE(i + 4);
+    const end = i + 8 + size + (size % 2);
+    if (i + 8 + size > buf.length) throw new Error("truncated WebP");
+
+    if (type === "EXIF" || type === "XMP ") {
+      removed.add(type.trim().toLowerCase());
+    } else {
+      const chunk = Buffer.from(buf.subarray(i, Math.min(end, buf.length)));
+      if (type === "VP8X") chunk[8] &= ~(0x08 | 0x04); // EXIF and XMP flags
+      chunks.push(chunk);
+    }
+    i = end;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.from("RIFF0000WEBP", "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+
+  return { buffer: Buffer.concat([header, body]), removed: [...removed] };
+};
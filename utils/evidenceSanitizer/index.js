@@ -0,0 +1,57 @@
+// utils/evidenceSanitizer/index.js
+// Metadata scrubbing for uploaded evidence. Runs between multer and evidence
+// storage, so identifying metadata (EXIF GPS, camera serials, document
+// authors...) is never persisted. Types without a sanitizer are rejected.
+import ErrorResponse from "../errorResponse.js";
+import { verifyFileType } from "../fileType.js";
+import { sha256 } from "../evidenceIntegrity.js";
+import { SANITIZERS } from "./sanitizers.js";
+
+export { SANITIZABLE_TYPES } from "./sanitizers.js";
+
+/**
+ * Remove identifying metadata from an uploaded file.
+ * Resolves with { buffer, sanitization: { method, removed, sanitizedAt } };
+ * rejects with ErrorResponse 415 when the file cannot be sanitized.
+ */
+export const sanitizeEvidence = async (buffer, { mimetype, originalname }) => {
+  const sanitizer = SANITIZERS[mimetype];
+  if (!sanitizer) {
+    throw new ErrorResponse(
+      "'{fileName}' cannot be stripped of identifying metadata ({mimetype} is not supported). Please upload a JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.",
+      415,
+      { fileName: originalname, mimetype }
+    );
+  }
+
+  try {
+    const result = await sanitizer(buffer);
+    return {
+      buffer: result.buffer,
+      sanitization: {
+        method: sanitizer.name,
+        removed: result.removed,
+        sanitizedAt: new Date(),
+      },
+    };
+  } catch (error) {
+    throw new ErrorResponse(
+      "'{fileName}' could not be sanitized: {reason}.",
+      415,
+      { fileName: originalname, reason: error.message }
+    );
+  }
+};
+
+// Full pre-storage stage for an uploaded file: verify its real type against
+// the allow-list, then strip metadata. Digests are taken of the bytes as
+// received and as stored. Used by multer and resumable uploads.
+export const processEvidence = async (buffer, file) => {
+  verifyFileType(buffer, file);
+  const result = await sanitizeEvidence(buffer, file);
+  return {
+    ...result,
+    originalSha256: sha256(buffer),
+    sha256: sha256(result.buffer),
+  };
+};
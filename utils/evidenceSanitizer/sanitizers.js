@@ -0,0 +1,22 @@
+// utils/evidenceSanitizer/sanitizers.js
+// Metadata stripper for each evidence type. Kept apart from index.js so the
+// type allow-list (utils/fileType.js) can be derived from it without an
+// import cycle.
+import { stripJpeg, stripPng, stripGif, stripWebp } from "./images.js";
+import { stripPdf, stripDocx } from "./documents.js";
+import { stripMp4 } from "./video.js";
+
+export const SANITIZERS = {
+  "image/jpeg": stripJpeg,
+  "image/jpg": stripJpeg,
+  "image/png": stripPng,
+  "image/gif": stripGif,
+  "image/webp": stripWebp,
+  "application/pdf": stripPdf,
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    stripDocx,
+  "video/mp4": stripMp4,
+  "video/quicktime": stripMp4,
+};
+
+export const SANITIZABLE_TYPES = Object.keys(SANITIZERS);
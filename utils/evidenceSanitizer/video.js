@@ -0,0 +1,65 @@
+// utils/evidenceSanitizer/video.js
+// MP4 / QuickTime: user data (udta), metadata (meta) and XMP uuid boxes hold
+// GPS position, device make/model and software. They are neutralised in place
+// by turning them into zero-filled "free" boxes, so sample offsets stay valid.
+
+const CONTAINERS = new Set(["moov", "trak", "mdia", "minf", "edts"]);
+const METADATA_BOXES = new Set(["udta", "meta"]);
+const XMP_UUID = "be7acfcb97a942e89c71999491e3afac";
+
+const neutralise = (buf, start, headerSize, end) => {
+  buf.write("free", start + 4, "latin1");
+  buf.fill(0, start + headerSize, end);
+};
+
+const walk = (buf, start, end, removed) => {
+  let i = start;
+
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    const type = buf.subarray(i + 4, i + 8).toString("latin1");
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buf.readBigUInt64BE(i + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - i; // box runs to the end of its parent
+    }
+    if (size < headerSize || i + size > end) {
+      throw new Error("corrupt or truncated video container");
+    }
+
+    const boxEnd = i + size;
+
+    if (METADATA_BOXES.has(type)) {
+      neutralise(buf, i, headerSize, boxEnd);
+      removed.add(type);
+    } else if (
+      type === "uuid" &&
+      buf.subarray(i + headerSize, i + headerSize + 16).toString("hex") === XMP_UUID
+    ) {
+      neutralise(buf, i, headerSize, boxEnd);
+      removed.add("xmp");
+    } else if (CONTAINERS.has(type)) {
+      walk(buf, i + headerSize, boxEnd, removed);
+    }
+
+    i = boxEnd;
+  }
+};
+
+// Box types a QuickTime/ISO media file may start with
+const LEADING_BOXES = new Set(["ftyp", "moov", "wide", "free", "mdat"]);
+
+export const stripMp4 = (input) => {
+  if (!LEADING_BOXES.has(input.subarray(4, 8).toString("latin1"))) {
+    throw new Error("not a valid MP4/QuickTime video");
+  }
+
+  const buffer = Buffer.from(input);
+  const removed = new Set();
+  walk(buffer, 0, buffer.length, removed);
+
+  return { buffer, removed: [...removed] };
+};
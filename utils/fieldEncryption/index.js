@@ -0,0 +1,105 @@
+// utils/fieldEncryption/index.js
+// Transparent field-level encryption (AES-256-GCM) for Report PII and
+// narratives. Values are stored as "enc:v<keyVersion>:<iv>:<tag>:<data>"
+// (base64 parts); untagged values are legacy plaintext and read as-is.
+import crypto from "crypto";
+import { createKeyProvider } from "./keyProviders.js";
+
+const PREFIX = "enc:";
+
+let provider = null;
+
+// Provider is created lazily so .env is loaded first
+export const getKeyProvider = () => {
+  if (!provider) provider = createKeyProvider();
+  return provider;
+};
+
+// Swap the provider (e.g. in scripts or tests)
+export const setKeyProvider = (next) => {
+  provider = next;
+};
+
+export const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+export const keyVersionOf = (value) =>
+  isEncrypted(value) ? Number(value.split(":")[1].slice(1)) : null;
+
+export const encryptValue = (value) => {
+  if (value == null || value === "" || isEncrypted(value)) return value;
+
+  const keys = getKeyProvider();
+  const version = keys.currentVersion();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keys.getKey(version), iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+
+  return [
+    "enc",
+    `v${version}`,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    data.toString("base64"),
+  ].join(":");
+};
+
+export const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, version, iv, tag, data] = value.split(":");
+  const key = getKeyProvider().getKey(Number(version.slice(1)));
+  if (!key) throw new Error(`Field encryption key ${version} is not available`);
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Keyed hash of a normalized value; equal inputs give equal index entries
+export const blindIndex = (value) =>
+  crypto
+    .createHmac("sha256", getKeyProvider().getBlindIndexKey())
+    .update(String(value).trim().toLowerCase())
+    .digest("hex");
+
+// Word-level blind index so encrypted text can still be searched by keyword
+export const blindIndexTokens = (text) => [
+  ...new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length >= 3)
+      .map(blindIndex)
+  ),
+];
+
+/**
+ * Mongoose plugin: encrypts `fields` on assignment and decrypts on read.
+ * Documents must be serialised with getters (toJSON/toObject { getters: true }).
+ * `tokenIndexes` maps a field to a path receiving its word blind index.
+ */
+export const fieldEncryptionPlugin = (schema, { fields, tokenIndexes = {} }) => {
+  fields.forEach((field) => {
+    schema.path(field).set(encryptValue).get(decryptValue);
+  });
+
+  Object.entries(tokenIndexes).forEach(([field, indexPath]) => {
+    schema.add({ [indexPath]: { type: [String], select: false } });
+    schema.index({ [indexPath]: 1 });
+  });
+
+  schema.pre("save", function (next) {
+    Object.entries(tokenIndexes).forEach(([field, indexPath]) => {
+      if (this.isModified(field)) this[indexPath] = blindIndexTokens(this[field]);
+    });
+    next();
+  });
+};
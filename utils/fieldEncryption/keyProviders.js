@@ -0,0 +1,122 @@
+// utils/fieldEncryption/keyProviders.js
+// Key providers for field-level encryption. A provider exposes:
+//   currentVersion() → number, getKey(version) → 32-byte Buffer,
+//   getBlindIndexKey() → Buffer, and optionally rotate() → new version.
+// Providers load keys synchronously so mongoose getters/setters can use them.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const decodeKey = (value, label) => {
+  const key = Buffer.from(value, "base64");
+  if (key.length !== 32) {
+    throw new Error(`${label} must be a base64-encoded 32-byte key`);
+  }
+  return key;
+};
+
+/**
+ * env: FIELD_ENCRYPTION_KEYS="1:<base64>,2:<base64>", FIELD_ENCRYPTION_KEY_VERSION
+ * (defaults to the highest version) and FIELD_BLIND_INDEX_KEY.
+ */
+export const envKeyProvider = () => {
+  const keys = new Map(
+    (process.env.FIELD_ENCRYPTION_KEYS || "")
+      .split(",")
+      .filter(Boolean)
+      .map((entry) => {
+        const [version, value] = entry.split(":");
+        return [Number(version), decodeKey(value, `Field key v${version}`)];
+      })
+  );
+  if (keys.size === 0) {
+    throw new Error("FIELD_ENCRYPTION_KEYS is not set");
+  }
+  if (!process.env.FIELD_BLIND_INDEX_KEY) {
+    throw new Error("FIELD_BLIND_INDEX_KEY is not set");
+  }
+
+  const current =
+    Number(process.env.FIELD_ENCRYPTION_KEY_VERSION) ||
+    Math.max(...keys.keys());
+  const blindIndexKey = decodeKey(
+    process.env.FIELD_BLIND_INDEX_KEY,
+    "FIELD_BLIND_INDEX_KEY"
+  );
+
+  return {
+    name: "env",
+    currentVersion: () => current,
+    getKey: (version) => keys.get(version),
+    getBlindIndexKey: () => blindIndexKey,
+  };
+};
+
+/**
+ * local: stand-in for a KMS. Keeps a keyring file (FIELD_KMS_KEYRING_PATH,
+ * default .kms/keyring.json) and creates it on first use. Not for production.
+ */
+export const localKmsProvider = () => {
+  const keyringPath =
+    process.env.FIELD_KMS_KEYRING_PATH ||
+    path.join(__dirname, "..", "..", ".kms", "keyring.json");
+
+  const newKey = () => crypto.randomBytes(32).toString("base64");
+
+  let keyring;
+  if (fs.existsSync(keyringPath)) {
+    keyring = JSON.parse(fs.readFileSync(keyringPath, "utf8"));
+  } else {
+    keyring = { current: 1, keys: { 1: newKey() }, blindIndexKey: newKey() };
+    fs.mkdirSync(path.dirname(keyringPath), { recursive: true });
+    fs.writeFileSync(keyringPath, JSON.stringify(keyring, null, 2), {
+      mode: 0o600,
+    });
+  }
+
+  const save = () =>
+    fs.writeFileSync(keyringPath, JSON.stringify(keyring, null, 2), {
+      mode: 0o600,
+    });
+
+  return {
+    name: "local",
+    currentVersion: () => keyring.current,
+    getKey: (version) =>
+      keyring.keys[version] ? Buffer.from(keyring.keys[version], "base64") : undefined,
+    getBlindIndexKey: () => Buffer.from(keyring.blindIndexKey, "base64"),
+    rotate: () => {
+      keyring.current += 1;
+      keyring.keys[keyring.current] = newKey();
+      save();
+      return keyring.current;
+    },
+  };
+};
+
+const providers = { env: envKeyProvider, local: localKmsProvider };
+
+// FIELD_ENCRYPTION_PROVIDER: "local" or "env"; required, so a deployment
+// never falls back to a keyring file silently. "local" is refused in
+// production.
+export const createKeyProvider = (
+  name = process.env.FIELD_ENCRYPTION_PROVIDER
+) => {
+  if (!name) {
+    throw new Error(
+      "FIELD_ENCRYPTION_PROVIDER is not set; use 'env' (or 'local' in development)"
+    );
+  }
+  if (name === "local" && process.env.NODE_ENV === "production") {
+    throw new Error(
+      "The local field encryption keyring is for development only; set FIELD_ENCRYPTION_PROVIDER=env in production"
+    );
+  }
+  const factory = providers[name];
+  if (!factory) throw new Error(`Unknown field encryption provider '${name}'`);
+  return factory();
+};
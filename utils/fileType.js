@@ -0,0 +1,81 @@
+// utils/fileType.js
+// Evidence file types. The client-supplied mimetype is only a claim: the
+// real type is sniffed from the file's magic bytes and must match it.
+import ErrorResponse from "./errorResponse.js";
+import { SANITIZABLE_TYPES } from "./evidenceSanitizer/sanitizers.js";
+
+// Only types that can be stripped of identifying metadata are accepted
+export const ALLOWED_TYPES = SANITIZABLE_TYPES;
+
+// Declared types that share a container format
+const CANONICAL = {
+  "image/jpg": "image/jpeg",
+  "video/quicktime": "video/mp4", // both ISO base media (ftyp)
+};
+
+const canonical = (type) => CANONICAL[type] || type;
+
+const ascii = (buf, start, end) => buf.subarray(start, end).toString("latin1");
+
+const startsWith = (buf, bytes) =>
+  buf.length >= bytes.length && bytes.every((b, i) => buf[i] === b);
+
+/**
+ * Detect the type of a file from its leading bytes.
+ * Returns a canonical mimetype, or null if the content is not recognised.
+ */
+export const sniffMimeType = (buf) => {
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (ascii(buf, 0, 6) === "GIF87a" || ascii(buf, 0, 6) === "GIF89a") {
+    return "image/gif";
+  }
+  if (ascii(buf, 0, 4) === "RIFF") {
+    if (ascii(buf, 8, 12) === "WEBP") return "image/webp";
+    if (ascii(buf, 8, 12) === "AVI ") return "video/x-msvideo";
+  }
+  if (ascii(buf, 0, 5) === "%PDF-") return "application/pdf";
+  if (startsWith(buf, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return "application/msword"; // OLE compound document
+  }
+  if (startsWith(buf, [0x50, 0x4b, 0x03, 0x04])) {
+    // Zip entry names are stored uncompressed
+    return buf.includes("[Content_Types].xml") && buf.includes("word/")
+      ? "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+      : null;
+  }
+  if (ascii(buf, 4, 8) === "ftyp" || ascii(buf, 4, 8) === "moov") {
+    return "video/mp4";
+  }
+  if (startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(buf, 0, 64).includes("webm") ? "video/webm" : "video/x-matroska";
+  }
+  if (startsWith(buf, [0x00, 0x00, 0x01]) && (buf[3] === 0xba || buf[3] === 0xb3)) {
+    return "video/mpeg";
+  }
+  if (ascii(buf, 0, 4) === "OggS") return "video/ogg";
+
+  return null;
+};
+
+// Reject files whose content is not the allowed type they claim to be
+export const verifyFileType = (buf, { mimetype, originalname }) => {
+  const detected = sniffMimeType(buf);
+
+  if (!detected || !ALLOWED_TYPES.includes(detected)) {
+    throw new ErrorResponse("'{fileName}' is not an allowed file type.", 415, {
+      fileName: originalname,
+    });
+  }
+  if (detected !== canonical(mimetype)) {
+    throw new ErrorResponse(
+      "'{fileName}' content ({detected}) does not match its declared type ({mimetype}).",
+      415,
+      { fileName: originalname, detected, mimetype }
+    );
+  }
+
+  return detected;
+};
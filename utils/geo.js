@@ -0,0 +1,167 @@
+// utils/geo.js
+// Report coordinates (GeoJSON points), Local Government Area lookup and the
+// geospatial filters of the report lists.
+import fs from "fs";
+import ErrorResponse from "./errorResponse.js";
+
+const EARTH_RADIUS_METRES = 6378100;
+const MAX_RADIUS_METRES = 50000;
+
+const inRange = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  lat >= -90 &&
+  lat <= 90 &&
+  lng >= -180 &&
+  lng <= 180;
+
+/**
+ * Accept { lat, lng }, { latitude, longitude } or a GeoJSON Point and return
+ * the GeoJSON Point to store. Throws ErrorResponse 400.
+ */
+export const parseGeoPoint = (input) => {
+  if (typeof input === "string") {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      input = null;
+    }
+  }
+
+  let lat;
+  let lng;
+  if (input?.type === "Point" && Array.isArray(input.coordinates)) {
+    [lng, lat] = input.coordinates.map(Number);
+  } else if (input && typeof input === "object") {
+    lat = Number(input.lat ?? input.latitude);
+    lng = Number(input.lng ?? input.longitude);
+  }
+
+  if (!inRange(lat, lng)) {
+    throw new ErrorResponse(
+      "Coordinates must be { lat, lng } or a GeoJSON Point with a valid latitude and longitude.",
+      400
+    );
+  }
+
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// LGA boundaries, a GeoJSON FeatureCollection of Polygon/MultiPolygon
+// features named by properties.name, read from LGA_BOUNDARIES_PATH. No
+// dataset is bundled: without one no LGA is resolved.
+let boundaries = null;
+
+export const getLgaBoundaries = () => {
+  if (!boundaries) {
+    const file = process.env.LGA_BOUNDARIES_PATH;
+    if (!file) return (boundaries = []);
+    const collection = JSON.parse(fs.readFileSync(file, "utf8"));
+    boundaries = collection.features.filter((feature) =>
+      ["Polygon", "MultiPolygon"].includes(feature.geometry?.type)
+    );
+  }
+  return boundaries;
+};
+
+// Ray casting on one ring of [lng, lat] positions
+const inRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const inPolygon = (position, [outer, ...holes]) =>
+  inRing(position, outer) && !holes.some((hole) => inRing(position, hole));
+
+const inGeometry = (position, geometry) =>
+  geometry.type === "Polygon"
+    ? inPolygon(position, geometry.coordinates)
+    : geometry.coordinates.some((polygon) => inPolygon(position, polygon));
+
+// Name of the LGA containing a GeoJSON point, or undefined outside them all
+export const resolveLga = (point) => {
+  if (!point?.coordinates) return undefined;
+  const feature = getLgaBoundaries().find((candidate) =>
+    inGeometry(point.coordinates, candidate.geometry)
+  );
+  return feature?.properties?.name;
+};
+
+export const lgaNames = () =>
+  getLgaBoundaries()
+    .map((feature) => feature.properties?.name)
+    .filter(Boolean)
+    .sort();
+
+const parseLatLng = (value, key) => {
+  const [lat, lng] = String(value).split(",").map(Number);
+  if (!inRange(lat, lng)) {
+    throw new ErrorResponse(
+      `Invalid ${key} filter: use latitude,longitude pairs.`,
+      400
+    );
+  }
+  return [lng, lat];
+};
+
+/**
+ * Mongo conditions for the geospatial filters of a list query:
+ * ?near=6.6018,3.3515&radius=2000 (metres, default 1000) and
+ * ?within=lat,lng;lat,lng;lat,lng (a polygon, closed automatically).
+ * Throws ErrorResponse 400 for malformed filters.
+ */
+export const geoFilters = ({ near, radius, within } = {}) => {
+  const conditions = [];
+
+  if (near) {
+    const metres = radius === undefined ? 1000 : Number(radius);
+    if (!Number.isFinite(metres) || metres <= 0 || metres > MAX_RADIUS_METRES) {
+      throw new ErrorResponse(
+        `radius must be between 1 and ${MAX_RADIUS_METRES} metres.`,
+        400
+      );
+    }
+    // $centerSphere rather than $near so the filter also works with counts
+    conditions.push({
+      geoLocation: {
+        $geoWithin: {
+          $centerSphere: [
+            parseLatLng(near, "near"),
+            metres / EARTH_RADIUS_METRES,
+          ],
+        },
+      },
+    });
+  }
+
+  if (within) {
+    const ring = String(within)
+      .split(";")
+      .map((pair) => parseLatLng(pair, "within"));
+    if (ring.length < 3) {
+      throw new ErrorResponse(
+        "Invalid within filter: a polygon needs at least three points.",
+        400
+      );
+    }
+    const [first] = ring;
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+
+    conditions.push({
+      geoLocation: {
+        $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } },
+      },
+    });
+  }
+
+  return conditions;
+};
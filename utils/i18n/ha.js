@@ -0,0 +1,189 @@
+// utils/i18n/ha.js
+// Hausa catalog, keyed by the English text (see ./index.js)
+export default {
+  // Reporter responses
+  "Report submitted successfully": "An aika rahotonka cikin nasara",
+  "Session started successfully.": "An fara zaman shigarka cikin nasara.",
+  "Invalid key format. Must be one of: {formats}.":
+    "Tsarin makulli bai dace ba. Zaɓi ɗaya daga cikin: {formats}.",
+  "Case key changed. Keep the new key safe; the old one no longer works.":
+    "An canza makullin rahotonka. Ka adana sabon makullin da kyau; tsohon ba zai ƙara aiki ba.",
+  "Report retrieved successfully.": "An samo rahotonka.",
+  "Message added successfully.": "An ƙara saƙonka.",
+  "Messages marked as read.": "An yi wa saƙonnin alamar an karanta.",
+  "Preferred language updated.": "An sabunta harshen da ka fi so.",
+  "Unsupported language. Choose one of: {locales}.":
+    "Ba a tallafa wa wannan harshe ba. Zaɓi ɗaya daga cikin: {locales}.",
+  "Draft saved. Solve the challenge, then submit the report with the draft id, token and nonce.":
+    "An adana daftarinka. Warware ƙalubalen, sannan ka aika rahoton tare da id, token da nonce na daftarin.",
+  "Draft updated successfully.": "An sabunta daftarinka.",
+  "Evidence added to the draft.": "An ƙara shaida a daftarin.",
+  "Upload started. Send the file in chunks with the upload token.":
+    "An fara lodawa. Aika fayil ɗin guntu-guntu tare da token na lodawa.",
+  "Upload started. Send the file in chunks, then submit the report with this upload's id and token.":
+    "An fara lodawa. Aika fayil ɗin guntu-guntu, sannan ka aika rahoton tare da id da token na wannan lodawa.",
+  "Chunk received.": "An karɓi guntun.",
+  "Upload received. The file is being checked; poll the upload status until it is completed.":
+    "An karɓi lodawar. Ana duba fayil ɗin; ka riƙa duba matsayin lodawa har sai ta kammala.",
+  "Upload cancelled.": "An soke lodawa.",
+  "Thank you. Your evidence has been added to the case.":
+    "Na gode. An ƙara shaidarka a rahoton.",
+  "Evidence request declined.": "An ƙi buƙatar shaidar.",
+
+  // Errors
+  "Invalid case ID or password.":
+    "Lambar rahoto ko kalmar sirri ba daidai ba ce.",
+  "Case ID and password are required.":
+    "Ana buƙatar lambar rahoto da kalmar sirri.",
+  "Too many failed attempts for this case. Please try again later.":
+    "An yi ƙoƙari da yawa da bai yi nasara ba a kan wannan rahoto. Da fatan za a sake gwadawa daga baya.",
+  "Session has expired, please sign in with your case password again":
+    "Zamanka ya ƙare, da fatan ka sake shiga da kalmar sirrin rahotonka",
+  "Invalid reporter session token": "Token na zaman shiga ba daidai ba ne",
+  "Report no longer exists": "Wannan rahoto ba ya nan kuma",
+  "Case key was changed, please sign in again":
+    "An canza makullin rahoto, da fatan ka sake shiga",
+  "Message content is required.": "Ana buƙatar abin da saƙon ya ƙunsa.",
+  "This case uses encrypted messaging; send an encrypted envelope instead of plaintext.":
+    "Wannan rahoto yana amfani da saƙonnin sirri; aika ambulan da aka ɓoye maimakon rubutu na fili.",
+  "Message not found.": "Ba a sami saƙon ba.",
+  "Invalid reporter type. Must be 'anonymous' or 'confidential'.":
+    "Nau'in mai rahoto bai dace ba. Dole ya zama 'anonymous' ko 'confidential'.",
+  "Anonymous reports cannot include name, email, or phone information.":
+    "Rahotannin da ba a bayyana suna ba ba za su iya ƙunsar suna, imel, ko lambar waya ba.",
+  "Title and description are required fields.": "Ana buƙatar take da bayani.",
+  "Confidential reports must include reporter name and email address.":
+    "Rahotannin sirri dole su ƙunshi sunan mai rahoto da adireshin imel.",
+  "Draft not found or expired.": "Ba a sami daftarin ba ko lokacinsa ya ƙare.",
+  "This draft was already submitted.": "An riga an aika wannan daftari.",
+  "Evidence quota exceeded: this case may hold {quota} MB and already uses {used} MB.":
+    "An wuce iyakar shaida: wannan rahoto zai iya ɗaukar {quota} MB kuma ya riga ya yi amfani da {used} MB.",
+  "Error: File type not allowed!":
+    "Kuskure: Ba a yarda da irin wannan fayil ba!",
+  "Upload not found or expired.": "Ba a sami lodawar ba ko lokacinta ya ƙare.",
+  "Category not found.": "Ba a sami rukunin ba.",
+  "Invalid form answers: {errors}": "Amsoshin fom ba daidai ba ne: {errors}",
+  "Evidence request not found.": "Ba a sami buƙatar shaidar ba.",
+  "This evidence request was already {status}.":
+    "An riga an amsa wannan buƙatar shaida.",
+  "File '{fileId}' is not evidence you added to this case, or already answers another request.":
+    "Fayil '{fileId}' ba shaidar da ka ƙara a wannan rahoto ba ce, ko kuma ya riga ya amsa wata buƙata.",
+  "Attach at least one file, or list fileIds of evidence already uploaded.":
+    "Haɗa aƙalla fayil ɗaya, ko ka lissafa fileIds na shaidar da ka riga ka loda.",
+  "The service is receiving too many reports right now, please try again later.":
+    "Sabis ɗin yana karɓar rahotanni da yawa a yanzu, da fatan za a sake gwadawa daga baya.",
+  "Too many reports from this network, please try again later.":
+    "Rahotanni sun yi yawa daga wannan hanyar sadarwa, da fatan za a sake gwadawa daga baya.",
+  "Reports are submitted from a draft: draftId and draftToken are required.":
+    "Ana aika rahotanni daga daftari: ana buƙatar draftId da draftToken.",
+  "Invalid proof-of-work solution for this draft.":
+    "Amsar proof-of-work ba daidai ba ce ga wannan daftari.",
+  "Coordinates must be { lat, lng } or a GeoJSON Point with a valid latitude and longitude.":
+    "Wuri dole ya zama { lat, lng } ko GeoJSON Point mai ingantaccen latitude da longitude.",
+  "A valid public key is required.": "Ana buƙatar ingantaccen public key.",
+  "Invalid key algorithm. Must be one of: {algorithms}.":
+    "Nau'in algorithm na makulli bai dace ba. Dole ya zama ɗaya daga cikin: {algorithms}.",
+  "Encrypted message envelope is not valid JSON.":
+    "Ambulan saƙon sirri ba ingantaccen JSON ba ne.",
+  "Encrypted message envelope is required.": "Ana buƙatar ambulan saƙon sirri.",
+  "Message is not encrypted to every recipient key (missing {recipients}). Fetch the recipient keys again.":
+    "Ba a ɓoye saƙon ga dukkan makullan masu karɓa ba (babu {recipients}). Sake ɗauko makullan masu karɓa.",
+  "File name and file type are required.":
+    "Ana buƙatar sunan fayil da nau'in fayil.",
+  "File size must be a positive number of bytes.":
+    "Girman fayil dole ya zama adadin bytes fiye da sifili.",
+  "File is too large; the maximum is {max} MB.":
+    "Fayil ɗin ya yi girma da yawa; iyaka shi ne {max} MB.",
+  "Upload is already {status}.": "Lodawar ta riga ta kasance {status}.",
+  "Upload-Offset must be {offset}; resume from there.":
+    "Upload-Offset dole ya zama {offset}; ci gaba daga nan.",
+  "Chunk body is required (Content-Type: application/offset+octet-stream).":
+    "Ana buƙatar abin da guntun ya ƙunsa (Content-Type: application/offset+octet-stream).",
+  "Chunk runs past the declared file size.":
+    "Guntun ya wuce girman fayil da aka faɗa.",
+  "Offset changed by another request; check the upload status.":
+    "Wata buƙata ta canza offset; duba matsayin lodawar.",
+  "uploads must be a JSON list of { id, token }.":
+    "uploads dole ya zama jerin JSON na { id, token }.",
+  "uploads must be a list of { id, token }.":
+    "uploads dole ya zama jerin { id, token }.",
+  "Upload '{fileName}' is not ready to attach ({status}).":
+    "Lodawar '{fileName}' ba ta shirya don haɗawa ba ({status}).",
+  "Upload '{fileName}' was already used.":
+    "An riga an yi amfani da lodawar '{fileName}'.",
+  "'{fileName}' is not an allowed file type.":
+    "Ba a yarda da nau'in fayil ɗin '{fileName}' ba.",
+  "'{fileName}' content ({detected}) does not match its declared type ({mimetype}).":
+    "Abin da ke cikin '{fileName}' ({detected}) bai dace da nau'in da aka faɗa ba ({mimetype}).",
+  "'{fileName}' cannot be stripped of identifying metadata ({mimetype} is not supported). Please upload a JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.":
+    "Ba za a iya cire bayanan da za su iya bayyana mutum daga '{fileName}' ba (ba a goyon bayan {mimetype}). Da fatan za a loda fayil na JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 ko MOV.",
+  "'{fileName}' could not be sanitized: {reason}.":
+    "Ba a iya tsabtace '{fileName}' ba: {reason}.",
+  "Evidence file not found.": "Ba a sami fayil ɗin shaidar ba.",
+  "Evidence file failed the malware scan and is quarantined.":
+    "Fayil ɗin shaidar ya faɗi gwajin malware kuma an keɓe shi.",
+  "Evidence file is quarantined until its malware scan completes.":
+    "An keɓe fayil ɗin shaidar har sai an kammala gwajin malware nasa.",
+  "Evidence file has not been moved to private storage yet.":
+    "Ba a riga an matsar da fayil ɗin shaidar zuwa ma'ajiyar sirri ba.",
+  "Evidence file is no longer available.": "Fayil ɗin shaidar ba ya nan kuma.",
+  "fileIds must be a list of evidence file IDs.":
+    "fileIds dole ya zama jerin ID na fayilolin shaida.",
+  "Resource not found": "Ba a sami abin ba",
+  "Server Error": "Kuskuren sabar",
+
+  // Intake form answers (utils/intakeForms.js)
+  "Form answers must be an object of field values.":
+    "Amsoshin fom dole su zama object na ƙimomin filaye.",
+  "This category has no intake form.":
+    "Wannan rukuni ba shi da fom na shigarwa.",
+  "Unknown form field '{name}'.": "Filin fom '{name}' ba a san shi ba.",
+  "{label} is required.": "Ana buƙatar {label}.",
+  "{label} must be a string.": "{label} dole ya zama rubutu.",
+  "{label} must be a number.": "{label} dole ya zama lamba.",
+  "{label} must be an integer.": "{label} dole ya zama cikakkiyar lamba.",
+  "{label} must be a boolean.":
+    "{label} dole ya zama gaskiya ko ƙarya (true/false).",
+  "{label} must be one of: {options}.":
+    "{label} dole ya zama ɗaya daga cikin: {options}.",
+  "{label} must be at least {min} characters.":
+    "{label} dole ya kasance aƙalla haruffa {min}.",
+  "{label} must be at most {max} characters.":
+    "{label} kada ya wuce haruffa {max}.",
+  "{label} is not in the expected format.":
+    "{label} ba ya cikin tsarin da ake tsammani.",
+  "{label} must be an email address.": "{label} dole ya zama adireshin imel.",
+  "{label} must be a date (YYYY-MM-DD).":
+    "{label} dole ya zama kwanan wata (YYYY-MM-DD).",
+  "{label} must be a date and time.":
+    "{label} dole ya zama kwanan wata da lokaci.",
+  "{label} must be at least {min}.": "{label} dole ya kasance aƙalla {min}.",
+  "{label} must be at most {max}.": "{label} kada ya wuce {max}.",
+
+  // Notifications (utils/notifications/messages.js)
+  "Your report {caseID} has been received": "An karɓi rahotonka {caseID}",
+  "Thank you. Your report {caseID} has been received. Use your case password to follow up.":
+    "Na gode. An karɓi rahotonka {caseID}. Yi amfani da kalmar sirrin rahotonka don bibiya.",
+  "Update on your report {caseID}": "Sabon bayani kan rahotonka {caseID}",
+  "Your report {caseID} has been assigned to an agency for action.":
+    "An miƙa rahotonka {caseID} ga wata hukuma don ɗaukar mataki.",
+  "The status of your report {caseID} changed to '{status}'.":
+    "Matsayin rahotonka {caseID} ya canza zuwa '{status}'.",
+  "New message on your report {caseID}": "Sabon saƙo a kan rahotonka {caseID}",
+  "There is a new message on your report {caseID}. Use your case password to read it.":
+    "Akwai sabon saƙo a kan rahotonka {caseID}. Yi amfani da kalmar sirrin rahotonka don karanta shi.",
+  "More evidence requested for your report {caseID}":
+    "An nemi ƙarin shaida don rahotonka {caseID}",
+  "The team handling your report {caseID} has asked for more evidence. Use your case password to see the request and upload files or decline it.":
+    "Ƙungiyar da ke kula da rahotonka {caseID} ta nemi ƙarin shaida. Yi amfani da kalmar sirrin rahotonka don ganin buƙatar, sannan ka loda fayiloli ko ka ƙi ta.",
+
+  // Case states of the default workflow, by key and label
+  pending: "Ana jira",
+  "under review": "Ana dubawa",
+  resolved: "An warware",
+  closed: "An rufe",
+  Pending: "Ana jira",
+  "Under Review": "Ana dubawa",
+  Resolved: "An warware",
+  Closed: "An rufe",
+};
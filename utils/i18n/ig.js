@@ -0,0 +1,181 @@
+// utils/i18n/ig.js
+// Igbo catalog, keyed by the English text (see ./index.js)
+export default {
+  // Reporter responses
+  "Report submitted successfully": "Ezigara akụkọ gị nke ọma",
+  "Session started successfully.": "Nnọkọ gị amalitela nke ọma.",
+  "Invalid key format. Must be one of: {formats}.":
+    "Ụdị igodo ezighi ezi. Họrọ otu n'ime: {formats}.",
+  "Case key changed. Keep the new key safe; the old one no longer works.":
+    "Agbanweela igodo okwu gị. Chekwaa igodo ọhụrụ ahụ nke ọma; nke ochie anaghịzi arụ ọrụ.",
+  "Report retrieved successfully.": "Enwetala akụkọ gị.",
+  "Message added successfully.": "Agbakwunyela ozi gị.",
+  "Messages marked as read.": "Akaala ozi ndị ahụ dị ka ndị ị gụrụ.",
+  "Preferred language updated.": "Emelitela asụsụ ị họọrọ.",
+  "Unsupported language. Choose one of: {locales}.":
+    "Anaghị akwado asụsụ a. Họrọ otu n'ime: {locales}.",
+  "Draft saved. Solve the challenge, then submit the report with the draft id, token and nonce.":
+    "Echekwala draft gị. Dozie ihe ịma aka ahụ, wee zipu akụkọ ahụ na id, token na nonce nke draft ahụ.",
+  "Draft updated successfully.": "Emelitela draft gị.",
+  "Evidence added to the draft.": "Agbakwunyela ihe akaebe na draft ahụ.",
+  "Upload started. Send the file in chunks with the upload token.":
+    "Mbugo amalitela. Zipu faịlụ ahụ n'akụkụ n'akụkụ na token mbugo ahụ.",
+  "Upload started. Send the file in chunks, then submit the report with this upload's id and token.":
+    "Mbugo amalitela. Zipu faịlụ ahụ n'akụkụ n'akụkụ, wee zipu akụkọ ahụ na id na token nke mbugo a.",
+  "Chunk received.": "Anatala akụkụ a.",
+  "Upload received. The file is being checked; poll the upload status until it is completed.":
+    "Anatala mbugo ahụ. A na-enyocha faịlụ ahụ; lelee ọnọdụ mbugo ruo mgbe ọ gwụchara.",
+  "Upload cancelled.": "Akagbuola mbugo ahụ.",
+  "Thank you. Your evidence has been added to the case.":
+    "Daalụ. Agbakwunyela ihe akaebe gị n'okwu ahụ.",
+  "Evidence request declined.": "Ị jụla arịrịọ ihe akaebe ahụ.",
+
+  // Errors
+  "Invalid case ID or password.": "ID okwu ma ọ bụ paswọọdụ ezighi ezi.",
+  "Case ID and password are required.": "Achọrọ ID okwu na paswọọdụ.",
+  "Too many failed attempts for this case. Please try again later.":
+    "Ọnwụnwa ndị dara ada karịrị akarị maka okwu a. Biko nwaa ọzọ emesịa.",
+  "Session has expired, please sign in with your case password again":
+    "Nnọkọ gị agwụla, biko jiri paswọọdụ okwu gị banye ọzọ",
+  "Invalid reporter session token": "Token nnọkọ ezighi ezi",
+  "Report no longer exists": "Akụkọ a adịghịzi",
+  "Case key was changed, please sign in again":
+    "Agbanweela igodo okwu, biko banye ọzọ",
+  "Message content is required.": "Achọrọ ọdịnaya ozi.",
+  "This case uses encrypted messaging; send an encrypted envelope instead of plaintext.":
+    "Okwu a na-eji ozi ezoro ezo; zipu envelope ezoro ezo kama ederede nkịtị.",
+  "Message not found.": "Ahụghị ozi ahụ.",
+  "Invalid reporter type. Must be 'anonymous' or 'confidential'.":
+    "Ụdị onye na-akọ ezighi ezi. Ọ ga-abụ 'anonymous' ma ọ bụ 'confidential'.",
+  "Anonymous reports cannot include name, email, or phone information.":
+    "Akụkọ na-enweghị aha enweghị ike ịgụnye aha, email, ma ọ bụ nọmba ekwentị.",
+  "Title and description are required fields.": "Achọrọ isiokwu na nkọwa.",
+  "Confidential reports must include reporter name and email address.":
+    "Akụkọ nzuzo ga-enwerịrị aha na adreesị email onye na-akọ.",
+  "Draft not found or expired.": "Ahụghị draft ahụ ma ọ bụ na oge ya agafeela.",
+  "This draft was already submitted.": "Ezigalarị draft a.",
+  "Evidence quota exceeded: this case may hold {quota} MB and already uses {used} MB.":
+    "Oke ihe akaebe agafeela: okwu a nwere ike ijide {quota} MB ma ejirila {used} MB.",
+  "Error: File type not allowed!": "Njehie: Anabataghị ụdị faịlụ a!",
+  "Upload not found or expired.":
+    "Ahụghị mbugo ahụ ma ọ bụ na oge ya agafeela.",
+  "Category not found.": "Ahụghị ngalaba ahụ.",
+  "Invalid form answers: {errors}": "Azịza fọm ezighi ezi: {errors}",
+  "Evidence request not found.": "Ahụghị arịrịọ ihe akaebe ahụ.",
+  "This evidence request was already {status}.": "Azaala arịrịọ ihe akaebe a.",
+  "File '{fileId}' is not evidence you added to this case, or already answers another request.":
+    "Faịlụ '{fileId}' abụghị ihe akaebe ị gbakwunyere n'okwu a, ma ọ bụ na ọ zaala arịrịọ ọzọ.",
+  "Attach at least one file, or list fileIds of evidence already uploaded.":
+    "Tinye opekata mpe otu faịlụ, ma ọ bụ depụta fileIds nke ihe akaebe ị bugoolarị.",
+  "The service is receiving too many reports right now, please try again later.":
+    "Ọrụ a na-anata akụkọ karịrị akarị ugbu a, biko nwaa ọzọ emesịa.",
+  "Too many reports from this network, please try again later.":
+    "Akụkọ karịrị akarị si na netwọk a, biko nwaa ọzọ emesịa.",
+  "Reports are submitted from a draft: draftId and draftToken are required.":
+    "A na-eziga akụkọ site na draft: achọrọ draftId na draftToken.",
+  "Invalid proof-of-work solution for this draft.":
+    "Azịza proof-of-work ezighi ezi maka draft a.",
+  "Coordinates must be { lat, lng } or a GeoJSON Point with a valid latitude and longitude.":
+    "Nhazi ọnọdụ ga-abụ { lat, lng } ma ọ bụ GeoJSON Point nwere latitude na longitude ziri ezi.",
+  "A valid public key is required.": "Achọrọ public key ziri ezi.",
+  "Invalid key algorithm. Must be one of: {algorithms}.":
+    "Ụdị algọridim igodo ezighi ezi. Ọ ga-abụ otu n'ime: {algorithms}.",
+  "Encrypted message envelope is not valid JSON.":
+    "Envelope ozi ezoro ezo abụghị JSON ziri ezi.",
+  "Encrypted message envelope is required.": "Achọrọ envelope ozi ezoro ezo.",
+  "Message is not encrypted to every recipient key (missing {recipients}). Fetch the recipient keys again.":
+    "Ezoghị ozi ahụ maka igodo onye nnata ọ bụla (na-efu {recipients}). Wetaghachi igodo ndị nnata ọzọ.",
+  "File name and file type are required.": "Achọrọ aha faịlụ na ụdị faịlụ.",
+  "File size must be a positive number of bytes.":
+    "Nha faịlụ ga-abụ ọnụọgụ bytes karịrị efu.",
+  "File is too large; the maximum is {max} MB.":
+    "Faịlụ ahụ buru ibu karịa; nke kachasị bụ {max} MB.",
+  "Upload is already {status}.": "Mbugo ahụ anọlarị na {status}.",
+  "Upload-Offset must be {offset}; resume from there.":
+    "Upload-Offset ga-abụ {offset}; gaa n'ihu site n'ebe ahụ.",
+  "Chunk body is required (Content-Type: application/offset+octet-stream).":
+    "Achọrọ ọdịnaya akụkụ ahụ (Content-Type: application/offset+octet-stream).",
+  "Chunk runs past the declared file size.":
+    "Akụkụ ahụ gafere nha faịlụ ekwuru.",
+  "Offset changed by another request; check the upload status.":
+    "Arịrịọ ọzọ gbanwere offset; lelee ọnọdụ mbugo ahụ.",
+  "uploads must be a JSON list of { id, token }.":
+    "uploads ga-abụ ndepụta JSON nke { id, token }.",
+  "uploads must be a list of { id, token }.":
+    "uploads ga-abụ ndepụta nke { id, token }.",
+  "Upload '{fileName}' is not ready to attach ({status}).":
+    "Mbugo '{fileName}' adịbeghị njikere ijikọ ({status}).",
+  "Upload '{fileName}' was already used.":
+    "Ejirila mbugo '{fileName}' mee ihe.",
+  "'{fileName}' is not an allowed file type.":
+    "Anabataghị ụdị faịlụ '{fileName}'.",
+  "'{fileName}' content ({detected}) does not match its declared type ({mimetype}).":
+    "Ọdịnaya '{fileName}' ({detected}) adabaghị n'ụdị ekwuru na ọ bụ ({mimetype}).",
+  "'{fileName}' cannot be stripped of identifying metadata ({mimetype} is not supported). Please upload a JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.":
+    "Enweghị ike iwepụ ozi nwere ike ịmata mmadụ na '{fileName}' (anaghị akwado {mimetype}). Biko bugo faịlụ JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 ma ọ bụ MOV.",
+  "'{fileName}' could not be sanitized: {reason}.":
+    "Enweghị ike ihicha '{fileName}': {reason}.",
+  "Evidence file not found.": "Ahụghị faịlụ ihe akaebe ahụ.",
+  "Evidence file failed the malware scan and is quarantined.":
+    "Faịlụ ihe akaebe ahụ dara nyocha malware, etinyela ya n'ebe iche.",
+  "Evidence file is quarantined until its malware scan completes.":
+    "Etinyere faịlụ ihe akaebe ahụ n'ebe iche ruo mgbe nyocha malware ya gwụrụ.",
+  "Evidence file has not been moved to private storage yet.":
+    "Ebugabeghị faịlụ ihe akaebe ahụ n'ebe nchekwa nzuzo.",
+  "Evidence file is no longer available.": "Faịlụ ihe akaebe ahụ adịghịzi.",
+  "fileIds must be a list of evidence file IDs.":
+    "fileIds ga-abụ ndepụta ID faịlụ ihe akaebe.",
+  "Resource not found": "Ahụghị ihe ahụ",
+  "Server Error": "Njehie sava",
+
+  // Intake form answers (utils/intakeForms.js)
+  "Form answers must be an object of field values.":
+    "Azịza fọm ga-abụ object nke uru ubi dị iche iche.",
+  "This category has no intake form.": "Ngalaba a enweghị fọm ntinye.",
+  "Unknown form field '{name}'.": "Ubi fọm amaghị ama '{name}'.",
+  "{label} is required.": "Achọrọ {label}.",
+  "{label} must be a string.": "{label} ga-abụ ederede.",
+  "{label} must be a number.": "{label} ga-abụ ọnụọgụ.",
+  "{label} must be an integer.": "{label} ga-abụ ọnụọgụ zuru ezu.",
+  "{label} must be a boolean.":
+    "{label} ga-abụ eziokwu ma ọ bụ ụgha (true/false).",
+  "{label} must be one of: {options}.": "{label} ga-abụ otu n'ime: {options}.",
+  "{label} must be at least {min} characters.":
+    "{label} ga-enwe opekata mpe mkpụrụedemede {min}.",
+  "{label} must be at most {max} characters.":
+    "{label} agaghị akarị mkpụrụedemede {max}.",
+  "{label} is not in the expected format.":
+    "{label} adịghị n'usoro a tụrụ anya.",
+  "{label} must be an email address.": "{label} ga-abụ adreesị email.",
+  "{label} must be a date (YYYY-MM-DD).": "{label} ga-abụ ụbọchị (YYYY-MM-DD).",
+  "{label} must be a date and time.": "{label} ga-abụ ụbọchị na oge.",
+  "{label} must be at least {min}.": "{label} ga-abụ opekata mpe {min}.",
+  "{label} must be at most {max}.": "{label} agaghị akarị {max}.",
+
+  // Notifications (utils/notifications/messages.js)
+  "Your report {caseID} has been received": "Anatala akụkọ gị {caseID}",
+  "Thank you. Your report {caseID} has been received. Use your case password to follow up.":
+    "Daalụ. Anatala akụkọ gị {caseID}. Jiri paswọọdụ okwu gị soro ya.",
+  "Update on your report {caseID}": "Mmelite gbasara akụkọ gị {caseID}",
+  "Your report {caseID} has been assigned to an agency for action.":
+    "Enyefeela akụkọ gị {caseID} n'aka otu ụlọ ọrụ ka o mee ihe.",
+  "The status of your report {caseID} changed to '{status}'.":
+    "Ọnọdụ akụkọ gị {caseID} agbanweela ghọọ '{status}'.",
+  "New message on your report {caseID}": "Ozi ọhụrụ na akụkọ gị {caseID}",
+  "There is a new message on your report {caseID}. Use your case password to read it.":
+    "Enwere ozi ọhụrụ na akụkọ gị {caseID}. Jiri paswọọdụ okwu gị gụọ ya.",
+  "More evidence requested for your report {caseID}":
+    "Achọrọ ihe akaebe ndị ọzọ maka akụkọ gị {caseID}",
+  "The team handling your report {caseID} has asked for more evidence. Use your case password to see the request and upload files or decline it.":
+    "Ndị na-ahụ maka akụkọ gị {caseID} arịọla ihe akaebe ndị ọzọ. Jiri paswọọdụ okwu gị hụ arịrịọ ahụ wee bugo faịlụ ma ọ bụ jụ ya.",
+
+  // Case states of the default workflow, by key and label
+  pending: "Na-eche",
+  "under review": "A na-enyocha ya",
+  resolved: "Edoziela ya",
+  closed: "Emechiela ya",
+  Pending: "Na-eche",
+  "Under Review": "A na-enyocha ya",
+  Resolved: "Edoziela ya",
+  Closed: "Emechiela ya",
+};
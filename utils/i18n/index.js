@@ -0,0 +1,69 @@
+// utils/i18n/index.js
+// Reporter-facing languages. Texts are written in English in the code and
+// looked up by that English text in each language's catalog (yo.js, ...),
+// with {name} placeholders filled in after translation. Texts a catalog
+// does not have are sent in English.
+import yo from "./yo.js";
+import ig from "./ig.js";
+import ha from "./ha.js";
+import pcm from "./pcm.js";
+
+const catalogs = { yo, ig, ha, pcm };
+
+export const DEFAULT_LOCALE = "en";
+// English, Yoruba, Igbo, Hausa and Nigerian Pidgin
+export const LOCALES = [DEFAULT_LOCALE, ...Object.keys(catalogs)];
+
+// Supported locale for a tag such as "yo" or "yo-NG", or undefined
+export const supportedLocale = (tag) => {
+  if (typeof tag !== "string") return undefined;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : undefined;
+};
+
+// Best supported locale in an Accept-Language header, by its q weights
+export const negotiateLocale = (header = "") =>
+  header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...options] = part.split(";");
+      const q = options.find((option) => option.trim().startsWith("q="));
+      return { tag, index, weight: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ weight }) => weight > 0)
+    .sort((a, b) => b.weight - a.weight || a.index - b.index)
+    .map(({ tag }) => supportedLocale(tag))
+    .find(Boolean);
+
+// A param is a value, a text of its own ({ text, params }) looked up in
+// the same catalog, or a list of those joined by spaces
+const paramText = (value, lookup) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => paramText(item, lookup)).join(" ");
+  }
+  if (typeof value?.text === "string") {
+    return interpolate(lookup(value.text), value.params, lookup);
+  }
+  return String(value);
+};
+
+export const interpolate = (text, params, lookup = (key) => key) =>
+  params
+    ? text.replace(/{(\w+)}/g, (match, name) =>
+        params[name] === undefined ? match : paramText(params[name], lookup)
+      )
+    : text;
+
+export const translate = (locale, text, params) => {
+  const lookup = (key) => catalogs[locale]?.[key] ?? key;
+  return interpolate(lookup(text), params, lookup);
+};
+
+// Language of a reporter request: an explicit `locale` field, then the
+// case's preferred language, then the Accept-Language header
+export const requestLocale = (req) =>
+  supportedLocale(req.body?.locale) ||
+  supportedLocale(req.query?.locale) ||
+  req.report?.preferredLanguage ||
+  negotiateLocale(req.get("Accept-Language")) ||
+  DEFAULT_LOCALE;
@@ -0,0 +1,184 @@
+// utils/i18n/pcm.js
+// Nigerian Pidgin catalog, keyed by the English text (see ./index.js)
+export default {
+  // Reporter responses
+  "Report submitted successfully": "We don receive your report",
+  "Session started successfully.": "Your session don start.",
+  "Invalid key format. Must be one of: {formats}.":
+    "The key format no correct. E must be one of: {formats}.",
+  "Case key changed. Keep the new key safe; the old one no longer works.":
+    "We don change your case key. Keep the new key well; the old one no go work again.",
+  "Report retrieved successfully.": "We don find your report.",
+  "Message added successfully.": "We don add your message.",
+  "Messages marked as read.": "We don mark the messages say you don read dem.",
+  "Preferred language updated.": "We don change the language wey you like.",
+  "Unsupported language. Choose one of: {locales}.":
+    "We no support this language. Choose one of: {locales}.",
+  "Draft saved. Solve the challenge, then submit the report with the draft id, token and nonce.":
+    "We don save your draft. Solve the challenge, then send the report with the draft id, token and nonce.",
+  "Draft updated successfully.": "We don update your draft.",
+  "Evidence added to the draft.": "We don add the evidence to the draft.",
+  "Upload started. Send the file in chunks with the upload token.":
+    "Upload don start. Send the file small small with the upload token.",
+  "Upload started. Send the file in chunks, then submit the report with this upload's id and token.":
+    "Upload don start. Send the file small small, then send the report with this upload id and token.",
+  "Chunk received.": "We don receive this part.",
+  "Upload received. The file is being checked; poll the upload status until it is completed.":
+    "We don receive the upload. We dey check the file; keep checking the upload status until e complete.",
+  "Upload cancelled.": "We don cancel the upload.",
+  "Thank you. Your evidence has been added to the case.":
+    "Thank you. We don add your evidence to the case.",
+  "Evidence request declined.": "You don decline the evidence request.",
+
+  // Errors
+  "Invalid case ID or password.": "Case ID or password no correct.",
+  "Case ID and password are required.": "You need put case ID and password.",
+  "Too many failed attempts for this case. Please try again later.":
+    "Too many wrong tries for this case. Abeg try again later.",
+  "Session has expired, please sign in with your case password again":
+    "Your session don expire, abeg sign in again with your case password",
+  "Invalid reporter session token": "The session token no correct",
+  "Report no longer exists": "This report no dey again",
+  "Case key was changed, please sign in again":
+    "Case key don change, abeg sign in again",
+  "Message content is required.": "You need write message.",
+  "This case uses encrypted messaging; send an encrypted envelope instead of plaintext.":
+    "This case dey use secret messaging; send encrypted envelope instead of plain text.",
+  "Message not found.": "We no see the message.",
+  "Invalid reporter type. Must be 'anonymous' or 'confidential'.":
+    "Reporter type no correct. E must be 'anonymous' or 'confidential'.",
+  "Anonymous reports cannot include name, email, or phone information.":
+    "Anonymous report no fit get name, email, or phone number.",
+  "Title and description are required fields.":
+    "You need put title and description.",
+  "Confidential reports must include reporter name and email address.":
+    "Confidential report must get reporter name and email address.",
+  "Draft not found or expired.": "We no see the draft or e don expire.",
+  "This draft was already submitted.": "Dem don already send this draft.",
+  "Evidence quota exceeded: this case may hold {quota} MB and already uses {used} MB.":
+    "Evidence space don full: this case fit hold {quota} MB and e don use {used} MB already.",
+  "Error: File type not allowed!": "Error: We no dey accept this kind file!",
+  "Upload not found or expired.": "We no see the upload or e don expire.",
+  "Category not found.": "We no see the category.",
+  "Invalid form answers: {errors}": "Some form answers no correct: {errors}",
+  "Evidence request not found.": "We no see the evidence request.",
+  "This evidence request was already {status}.":
+    "Dem don already answer this evidence request.",
+  "File '{fileId}' is not evidence you added to this case, or already answers another request.":
+    "File '{fileId}' no be evidence wey you add to this case, or e don already answer another request.",
+  "Attach at least one file, or list fileIds of evidence already uploaded.":
+    "Attach at least one file, or list the fileIds of evidence wey you don upload before.",
+  "The service is receiving too many reports right now, please try again later.":
+    "Too many reports dey enter now, abeg try again later.",
+  "Too many reports from this network, please try again later.":
+    "Too many reports dey come from this network, abeg try again later.",
+  "Reports are submitted from a draft: draftId and draftToken are required.":
+    "Reports dey come from draft: you need put draftId and draftToken.",
+  "Invalid proof-of-work solution for this draft.":
+    "The proof-of-work answer no correct for this draft.",
+  "Coordinates must be { lat, lng } or a GeoJSON Point with a valid latitude and longitude.":
+    "Coordinates must be { lat, lng } or GeoJSON Point wey get correct latitude and longitude.",
+  "A valid public key is required.": "You need put correct public key.",
+  "Invalid key algorithm. Must be one of: {algorithms}.":
+    "Key algorithm no correct. E must be one of: {algorithms}.",
+  "Encrypted message envelope is not valid JSON.":
+    "The encrypted message envelope no be correct JSON.",
+  "Encrypted message envelope is required.":
+    "You need send encrypted message envelope.",
+  "Message is not encrypted to every recipient key (missing {recipients}). Fetch the recipient keys again.":
+    "The message no dey encrypted for every recipient key (e remain {recipients}). Collect the recipient keys again.",
+  "File name and file type are required.":
+    "You need put file name and file type.",
+  "File size must be a positive number of bytes.":
+    "File size must be number of bytes wey pass zero.",
+  "File is too large; the maximum is {max} MB.":
+    "The file too big; the maximum na {max} MB.",
+  "Upload is already {status}.": "The upload don already be {status}.",
+  "Upload-Offset must be {offset}; resume from there.":
+    "Upload-Offset must be {offset}; continue from there.",
+  "Chunk body is required (Content-Type: application/offset+octet-stream).":
+    "You need send the chunk body (Content-Type: application/offset+octet-stream).",
+  "Chunk runs past the declared file size.":
+    "The chunk pass the file size wey you talk.",
+  "Offset changed by another request; check the upload status.":
+    "Another request don change the offset; check the upload status.",
+  "uploads must be a JSON list of { id, token }.":
+    "uploads must be JSON list of { id, token }.",
+  "uploads must be a list of { id, token }.":
+    "uploads must be list of { id, token }.",
+  "Upload '{fileName}' is not ready to attach ({status}).":
+    "Upload '{fileName}' never ready to attach ({status}).",
+  "Upload '{fileName}' was already used.":
+    "Dem don already use upload '{fileName}'.",
+  "'{fileName}' is not an allowed file type.":
+    "We no dey accept '{fileName}' kind file.",
+  "'{fileName}' content ({detected}) does not match its declared type ({mimetype}).":
+    "Wetin dey inside '{fileName}' ({detected}) no match the type wey you talk ({mimetype}).",
+  "'{fileName}' cannot be stripped of identifying metadata ({mimetype} is not supported). Please upload a JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.":
+    "We no fit remove the details wey fit show who you be from '{fileName}' (we no support {mimetype}). Abeg upload JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.",
+  "'{fileName}' could not be sanitized: {reason}.":
+    "We no fit clean '{fileName}': {reason}.",
+  "Evidence file not found.": "We no see the evidence file.",
+  "Evidence file failed the malware scan and is quarantined.":
+    "The evidence file fail the malware check and we don keep am aside.",
+  "Evidence file is quarantined until its malware scan completes.":
+    "We keep the evidence file aside until the malware check finish.",
+  "Evidence file has not been moved to private storage yet.":
+    "We never move the evidence file go private storage.",
+  "Evidence file is no longer available.": "The evidence file no dey again.",
+  "fileIds must be a list of evidence file IDs.":
+    "fileIds must be list of evidence file IDs.",
+  "Resource not found": "We no see am",
+  "Server Error": "Server get problem",
+
+  // Intake form answers (utils/intakeForms.js)
+  "Form answers must be an object of field values.":
+    "Form answers must be object of field values.",
+  "This category has no intake form.": "This category no get intake form.",
+  "Unknown form field '{name}'.": "We no know form field '{name}'.",
+  "{label} is required.": "You need put {label}.",
+  "{label} must be a string.": "{label} must be text.",
+  "{label} must be a number.": "{label} must be number.",
+  "{label} must be an integer.": "{label} must be whole number.",
+  "{label} must be a boolean.": "{label} must be true or false.",
+  "{label} must be one of: {options}.": "{label} must be one of: {options}.",
+  "{label} must be at least {min} characters.":
+    "{label} must get at least {min} characters.",
+  "{label} must be at most {max} characters.":
+    "{label} no fit pass {max} characters.",
+  "{label} is not in the expected format.":
+    "{label} no dey the correct format.",
+  "{label} must be an email address.": "{label} must be email address.",
+  "{label} must be a date (YYYY-MM-DD).": "{label} must be date (YYYY-MM-DD).",
+  "{label} must be a date and time.": "{label} must be date and time.",
+  "{label} must be at least {min}.": "{label} must be at least {min}.",
+  "{label} must be at most {max}.": "{label} no fit pass {max}.",
+
+  // Notifications (utils/notifications/messages.js)
+  "Your report {caseID} has been received":
+    "We don receive your report {caseID}",
+  "Thank you. Your report {caseID} has been received. Use your case password to follow up.":
+    "Thank you. We don receive your report {caseID}. Use your case password to follow am up.",
+  "Update on your report {caseID}": "New update for your report {caseID}",
+  "Your report {caseID} has been assigned to an agency for action.":
+    "We don give your report {caseID} to one agency to take action.",
+  "The status of your report {caseID} changed to '{status}'.":
+    "The status of your report {caseID} don change to '{status}'.",
+  "New message on your report {caseID}": "New message for your report {caseID}",
+  "There is a new message on your report {caseID}. Use your case password to read it.":
+    "New message dey for your report {caseID}. Use your case password to read am.",
+  "More evidence requested for your report {caseID}":
+    "Dem want more evidence for your report {caseID}",
+  "The team handling your report {caseID} has asked for more evidence. Use your case password to see the request and upload files or decline it.":
+    "The team wey dey handle your report {caseID} don ask for more evidence. Use your case password to see the request, then upload files or decline am.",
+
+  // Case states of the default workflow, by key and label
+  pending: "E still dey wait",
+  "under review": "Dem dey check am",
+  resolved: "Dem don settle am",
+  closed: "Dem don close am",
+  Pending: "E still dey wait",
+  "Under Review": "Dem dey check am",
+  Resolved: "Dem don settle am",
+  Closed: "Dem don close am",
+};
@@ -0,0 +1,184 @@
+// utils/i18n/yo.js
+// Yoruba catalog, keyed by the English text (see ./index.js)
+export default {
+  // Reporter responses
+  "Report submitted successfully": "A ti fi ìròyìn rẹ ránṣẹ́ ní àṣeyọrí",
+  "Session started successfully.": "Ìgbà ìwọlé rẹ ti bẹ̀rẹ̀.",
+  "Invalid key format. Must be one of: {formats}.":
+    "Ọ̀nà kọ́kọ́rọ́ kò tọ́. Yan ọ̀kan nínú: {formats}.",
+  "Case key changed. Keep the new key safe; the old one no longer works.":
+    "A ti yí kọ́kọ́rọ́ ẹjọ́ rẹ padà. Pa kọ́kọ́rọ́ tuntun mọ́ dáadáa; èyí àtijọ́ kò ní ṣiṣẹ́ mọ́.",
+  "Report retrieved successfully.": "A ti rí ìròyìn rẹ.",
+  "Message added successfully.": "A ti fi ìfiránṣẹ́ rẹ kún un.",
+  "Messages marked as read.":
+    "A ti sàmì sí àwọn ìfiránṣẹ́ gẹ́gẹ́ bí èyí tí o ti kà.",
+  "Preferred language updated.": "A ti yí èdè tí o fẹ́ràn padà.",
+  "Unsupported language. Choose one of: {locales}.":
+    "A kò ṣe àtìlẹ́yìn fún èdè yìí. Yan ọ̀kan nínú: {locales}.",
+  "Draft saved. Solve the challenge, then submit the report with the draft id, token and nonce.":
+    "A ti fi àkọsílẹ̀ rẹ pamọ́. Yanjú ìpèníjà náà, lẹ́yìn náà fi ìròyìn ránṣẹ́ pẹ̀lú id, token àti nonce àkọsílẹ̀ náà.",
+  "Draft updated successfully.": "A ti ṣe àtúnṣe àkọsílẹ̀ rẹ.",
+  "Evidence added to the draft.": "A ti fi ẹ̀rí kún àkọsílẹ̀ náà.",
+  "Upload started. Send the file in chunks with the upload token.":
+    "Ìgbéwọlé ti bẹ̀rẹ̀. Fi fáìlì náà ránṣẹ́ ní apá-apá pẹ̀lú token ìgbéwọlé.",
+  "Upload started. Send the file in chunks, then submit the report with this upload's id and token.":
+    "Ìgbéwọlé ti bẹ̀rẹ̀. Fi fáìlì náà ránṣẹ́ ní apá-apá, lẹ́yìn náà fi ìròyìn ránṣẹ́ pẹ̀lú id àti token ìgbéwọlé yìí.",
+  "Chunk received.": "A ti gba apá kan.",
+  "Upload received. The file is being checked; poll the upload status until it is completed.":
+    "A ti gba ìgbéwọlé náà. À ń ṣàyẹ̀wò fáìlì náà; máa wo ipò ìgbéwọlé títí yóò fi parí.",
+  "Upload cancelled.": "A ti fagilé ìgbéwọlé náà.",
+  "Thank you. Your evidence has been added to the case.":
+    "O ṣeun. A ti fi ẹ̀rí rẹ kún ẹjọ́ náà.",
+  "Evidence request declined.": "O ti kọ ìbéèrè fún ẹ̀rí náà.",
+
+  // Errors
+  "Invalid case ID or password.": "Nọ́mbà ẹjọ́ tàbí ọ̀rọ̀ aṣínà kò tọ́.",
+  "Case ID and password are required.": "A nílò nọ́mbà ẹjọ́ àti ọ̀rọ̀ aṣínà.",
+  "Too many failed attempts for this case. Please try again later.":
+    "Ìgbìyànjú tí kò yọrí sí rere ti pọ̀ jù fún ẹjọ́ yìí. Jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan síi nígbà míràn.",
+  "Session has expired, please sign in with your case password again":
+    "Ìgbà ìwọlé rẹ ti parí, jọ̀wọ́ wọlé padà pẹ̀lú ọ̀rọ̀ aṣínà ẹjọ́ rẹ",
+  "Invalid reporter session token": "Token ìgbà ìwọlé kò tọ́",
+  "Report no longer exists": "Ìròyìn yìí kò sí mọ́",
+  "Case key was changed, please sign in again":
+    "A ti yí kọ́kọ́rọ́ ẹjọ́ padà, jọ̀wọ́ wọlé padà",
+  "Message content is required.": "A nílò ọ̀rọ̀ ìfiránṣẹ́.",
+  "This case uses encrypted messaging; send an encrypted envelope instead of plaintext.":
+    "Ẹjọ́ yìí ń lo ìfiránṣẹ́ aláṣírí; fi àpòòwé tí a ti pa láṣírí ránṣẹ́ dípò ọ̀rọ̀ lásán.",
+  "Message not found.": "A kò rí ìfiránṣẹ́ náà.",
+  "Invalid reporter type. Must be 'anonymous' or 'confidential'.":
+    "Irú olùròyìn kò tọ́. Ó gbọ́dọ̀ jẹ́ 'anonymous' tàbí 'confidential'.",
+  "Anonymous reports cannot include name, email, or phone information.":
+    "Ìròyìn aláìlórúkọ kò gbọ́dọ̀ ní orúkọ, ímeèlì, tàbí nọ́mbà fóònù.",
+  "Title and description are required fields.": "A nílò àkọlé àti àpèjúwe.",
+  "Confidential reports must include reporter name and email address.":
+    "Ìròyìn àṣírí gbọ́dọ̀ ní orúkọ àti àdírẹ́sì ímeèlì olùròyìn.",
+  "Draft not found or expired.": "A kò rí àkọsílẹ̀ náà tàbí àkókò rẹ̀ ti kọjá.",
+  "This draft was already submitted.": "A ti fi àkọsílẹ̀ yìí ránṣẹ́ tẹ́lẹ̀.",
+  "Evidence quota exceeded: this case may hold {quota} MB and already uses {used} MB.":
+    "Ààyè ẹ̀rí ti kún: ẹjọ́ yìí lè gba {quota} MB, ó sì ti lo {used} MB.",
+  "Error: File type not allowed!": "Àṣìṣe: A kò gba irú fáìlì yìí!",
+  "Upload not found or expired.": "A kò rí ìgbéwọlé náà tàbí àkókò rẹ̀ ti kọjá.",
+  "Category not found.": "A kò rí ẹ̀ka náà.",
+  "Invalid form answers: {errors}": "Àwọn ìdáhùn fọ́ọ̀mù kò tọ́: {errors}",
+  "Evidence request not found.": "A kò rí ìbéèrè fún ẹ̀rí náà.",
+  "This evidence request was already {status}.":
+    "A ti dáhùn ìbéèrè fún ẹ̀rí yìí tẹ́lẹ̀.",
+  "File '{fileId}' is not evidence you added to this case, or already answers another request.":
+    "Fáìlì '{fileId}' kì í ṣe ẹ̀rí tí o fi kún ẹjọ́ yìí, tàbí ó ti dáhùn ìbéèrè mìíràn.",
+  "Attach at least one file, or list fileIds of evidence already uploaded.":
+    "So fáìlì kan ó kéré tán mọ́ ọn, tàbí to fileIds ẹ̀rí tí o ti gbé wọlé tẹ́lẹ̀.",
+  "The service is receiving too many reports right now, please try again later.":
+    "Iṣẹ́ yìí ń gba ìròyìn púpọ̀ jù lọ́wọ́lọ́wọ́, jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan síi nígbà míràn.",
+  "Too many reports from this network, please try again later.":
+    "Ìròyìn ti pọ̀ jù láti inú nẹ́tíwọ̀ọ̀kì yìí, jọ̀wọ́ gbìyànjú lẹ́ẹ̀kan síi nígbà míràn.",
+  "Reports are submitted from a draft: draftId and draftToken are required.":
+    "A máa ń fi ìròyìn ránṣẹ́ láti inú àkọsílẹ̀: a nílò draftId àti draftToken.",
+  "Invalid proof-of-work solution for this draft.":
+    "Ojútùú proof-of-work kò tọ́ fún àkọsílẹ̀ yìí.",
+  "Coordinates must be { lat, lng } or a GeoJSON Point with a valid latitude and longitude.":
+    "Ipò gbọ́dọ̀ jẹ́ { lat, lng } tàbí GeoJSON Point pẹ̀lú latitude àti longitude tó tọ́.",
+  "A valid public key is required.":
+    "A nílò kọ́kọ́rọ́ gbangba (public key) tó tọ́.",
+  "Invalid key algorithm. Must be one of: {algorithms}.":
+    "Ìlànà kọ́kọ́rọ́ kò tọ́. Ó gbọ́dọ̀ jẹ́ ọ̀kan nínú: {algorithms}.",
+  "Encrypted message envelope is not valid JSON.":
+    "Àpòòwé ìfiránṣẹ́ aláṣírí kì í ṣe JSON tó tọ́.",
+  "Encrypted message envelope is required.": "A nílò àpòòwé ìfiránṣẹ́ aláṣírí.",
+  "Message is not encrypted to every recipient key (missing {recipients}). Fetch the recipient keys again.":
+    "A kò pa ìfiránṣẹ́ náà láṣírí fún gbogbo kọ́kọ́rọ́ olùgbà (ó kù {recipients}). Tún gba àwọn kọ́kọ́rọ́ olùgbà.",
+  "File name and file type are required.": "A nílò orúkọ fáìlì àti irú fáìlì.",
+  "File size must be a positive number of bytes.":
+    "Ìwọ̀n fáìlì gbọ́dọ̀ jẹ́ iye bytes tó ju òdo lọ.",
+  "File is too large; the maximum is {max} MB.":
+    "Fáìlì náà tóbi jù; èyí tó pọ̀ jù ni {max} MB.",
+  "Upload is already {status}.": "Ìgbéwọlé náà ti wà ní ipò {status} tẹ́lẹ̀.",
+  "Upload-Offset must be {offset}; resume from there.":
+    "Upload-Offset gbọ́dọ̀ jẹ́ {offset}; tẹ̀síwájú láti ibẹ̀.",
+  "Chunk body is required (Content-Type: application/offset+octet-stream).":
+    "A nílò ara apá náà (Content-Type: application/offset+octet-stream).",
+  "Chunk runs past the declared file size.": "Apá náà kọjá ìwọ̀n fáìlì tí o sọ.",
+  "Offset changed by another request; check the upload status.":
+    "Ìbéèrè mìíràn ti yí offset padà; ṣàyẹ̀wò ipò ìgbéwọlé náà.",
+  "uploads must be a JSON list of { id, token }.":
+    "uploads gbọ́dọ̀ jẹ́ àkójọ JSON ti { id, token }.",
+  "uploads must be a list of { id, token }.":
+    "uploads gbọ́dọ̀ jẹ́ àkójọ ti { id, token }.",
+  "Upload '{fileName}' is not ready to attach ({status}).":
+    "Ìgbéwọlé '{fileName}' kò tíì ṣetán láti so mọ́ ọn ({status}).",
+  "Upload '{fileName}' was already used.":
+    "A ti lo ìgbéwọlé '{fileName}' tẹ́lẹ̀.",
+  "'{fileName}' is not an allowed file type.":
+    "A kò gba irú fáìlì '{fileName}'.",
+  "'{fileName}' content ({detected}) does not match its declared type ({mimetype}).":
+    "Ohun tó wà nínú '{fileName}' ({detected}) kò bá irú tí a sọ pé ó jẹ́ mu ({mimetype}).",
+  "'{fileName}' cannot be stripped of identifying metadata ({mimetype} is not supported). Please upload a JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 or MOV file.":
+    "A kò lè yọ àwọn ìsọfúnni tó lè fi ẹni hàn kúrò nínú '{fileName}' (a kò ṣe àtìlẹ́yìn fún {mimetype}). Jọ̀wọ́ gbé fáìlì JPEG, PNG, GIF, WebP, PDF, DOCX, MP4 tàbí MOV wọlé.",
+  "'{fileName}' could not be sanitized: {reason}.":
+    "A kò lè fọ '{fileName}' mọ́: {reason}.",
+  "Evidence file not found.": "A kò rí fáìlì ẹ̀rí náà.",
+  "Evidence file failed the malware scan and is quarantined.":
+    "Fáìlì ẹ̀rí náà kùnà àyẹ̀wò malware, a sì ti yà á sọ́tọ̀.",
+  "Evidence file is quarantined until its malware scan completes.":
+    "A ti ya fáìlì ẹ̀rí náà sọ́tọ̀ títí àyẹ̀wò malware rẹ̀ yóò fi parí.",
+  "Evidence file has not been moved to private storage yet.":
+    "A kò tíì gbé fáìlì ẹ̀rí náà lọ sí ibi ìpamọ́ aládàáni.",
+  "Evidence file is no longer available.": "Fáìlì ẹ̀rí náà kò sí mọ́.",
+  "fileIds must be a list of evidence file IDs.":
+    "fileIds gbọ́dọ̀ jẹ́ àkójọ ID fáìlì ẹ̀rí.",
+  "Resource not found": "A kò rí i",
+  "Server Error": "Àṣìṣe olupin",
+
+  // Intake form answers (utils/intakeForms.js)
+  "Form answers must be an object of field values.":
+    "Àwọn ìdáhùn fọ́ọ̀mù gbọ́dọ̀ jẹ́ object ti iye àwọn ààyè.",
+  "This category has no intake form.": "Ẹ̀ka yìí kò ní fọ́ọ̀mù ìgbàwọlé.",
+  "Unknown form field '{name}'.": "Ààyè fọ́ọ̀mù '{name}' tí a kò mọ̀.",
+  "{label} is required.": "A nílò {label}.",
+  "{label} must be a string.": "{label} gbọ́dọ̀ jẹ́ ọ̀rọ̀.",
+  "{label} must be a number.": "{label} gbọ́dọ̀ jẹ́ nọ́mbà.",
+  "{label} must be an integer.": "{label} gbọ́dọ̀ jẹ́ nọ́mbà odidi.",
+  "{label} must be a boolean.":
+    "{label} gbọ́dọ̀ jẹ́ bẹ́ẹ̀ni tàbí bẹ́ẹ̀kọ́ (true/false).",
+  "{label} must be one of: {options}.":
+    "{label} gbọ́dọ̀ jẹ́ ọ̀kan nínú: {options}.",
+  "{label} must be at least {min} characters.":
+    "{label} gbọ́dọ̀ ní ó kéré tán {min} lẹ́tà.",
+  "{label} must be at most {max} characters.":
+    "{label} kò gbọ́dọ̀ ju {max} lẹ́tà lọ.",
+  "{label} is not in the expected format.":
+    "{label} kò sí ní ìlànà tí a ń retí.",
+  "{label} must be an email address.": "{label} gbọ́dọ̀ jẹ́ àdírẹ́sì ímeèlì.",
+  "{label} must be a date (YYYY-MM-DD).": "{label} gbọ́dọ̀ jẹ́ ọjọ́ (YYYY-MM-DD).",
+  "{label} must be a date and time.": "{label} gbọ́dọ̀ jẹ́ ọjọ́ àti àkókò.",
+  "{label} must be at least {min}.": "{label} gbọ́dọ̀ jẹ́ ó kéré tán {min}.",
+  "{label} must be at most {max}.": "{label} kò gbọ́dọ̀ ju {max} lọ.",
+
+  // Notifications (utils/notifications/messages.js)
+  "Your report {caseID} has been received": "A ti gba ìròyìn rẹ {caseID}",
+  "Thank you. Your report {caseID} has been received. Use your case password to follow up.":
+    "O ṣeun. A ti gba ìròyìn rẹ {caseID}. Lo ọ̀rọ̀ aṣínà ẹjọ́ rẹ láti tẹ̀lé e.",
+  "Update on your report {caseID}": "Ìmúdójúìwọ̀n lórí ìròyìn rẹ {caseID}",
+  "Your report {caseID} has been assigned to an agency for action.":
+    "A ti fi ìròyìn rẹ {caseID} lé ilé-iṣẹ́ kan lọ́wọ́ fún ìgbésẹ̀.",
+  "The status of your report {caseID} changed to '{status}'.":
+    "Ipò ìròyìn rẹ {caseID} ti yí padà sí '{status}'.",
+  "New message on your report {caseID}":
+    "Ìfiránṣẹ́ tuntun lórí ìròyìn rẹ {caseID}",
+  "There is a new message on your report {caseID}. Use your case password to read it.":
+    "Ìfiránṣẹ́ tuntun wà lórí ìròyìn rẹ {caseID}. Lo ọ̀rọ̀ aṣínà ẹjọ́ rẹ láti kà á.",
+  "More evidence requested for your report {caseID}":
+    "A béèrè ẹ̀rí síi fún ìròyìn rẹ {caseID}",
+  "The team handling your report {caseID} has asked for more evidence. Use your case password to see the request and upload files or decline it.":
+    "Ẹgbẹ́ tí ń bójú tó ìròyìn rẹ {caseID} ti béèrè fún ẹ̀rí síi. Lo ọ̀rọ̀ aṣínà ẹjọ́ rẹ láti wo ìbéèrè náà, kí o sì gbé fáìlì wọlé tàbí kọ̀ ọ́.",
+
+  // Case states of the default workflow, by key and label
+  pending: "Ó ń dúró",
+  "under review": "Lábẹ́ àyẹ̀wò",
+  resolved: "A ti yanjú rẹ̀",
+  closed: "A ti pa á dé",
+  Pending: "Ó ń dúró",
+  "Under Review": "Lábẹ́ àyẹ̀wò",
+  Resolved: "A ti yanjú rẹ̀",
+  Closed: "A ti pa á dé",
+};
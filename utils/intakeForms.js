@@ -0,0 +1,369 @@
+// utils/intakeForms.js
+// Category-specific intake forms. A Category can carry a small JSON-schema-like
+// definition, e.g. for "vandalised streetlight":
+//
+//   {
+//     "properties": {
+//       "poleNumber": { "type": "string", "title": "Pole number", "maxLength": 20 },
+//       "damageType": { "type": "string", "enum": ["knocked down", "wires stolen"] },
+//       "dateObserved": { "type": "string", "format": "date" }
+//     },
+//     "required": ["damageType", "dateObserved"]
+//   }
+//
+// Answers are checked against it on submission and stored on the report as
+// formData, where the admin and agency lists can filter on them.
+import Category from "../models/Category.js";
+import ErrorResponse from "./errorResponse.js";
+
+const FIELD_TYPES = ["string", "number", "integer", "boolean"];
+const STRING_FORMATS = ["date", "date-time", "email"];
+const MAX_FIELDS = 30;
+
+// Field names become Mongo paths (formData.<name>), so keep them plain
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check a form definition and return the normalised copy to store.
+ * Throws ErrorResponse 400 describing the first problem found.
+ */
+export const validateFormDefinition = (definition) => {
+  const invalid = (message) =>
+    new ErrorResponse(`Invalid form definition: ${message}`, 400);
+
+  if (!isPlainObject(definition) || !isPlainObject(definition.properties)) {
+    throw invalid("'properties' must be an object of fields.");
+  }
+
+  const names = Object.keys(definition.properties);
+  if (names.length === 0 || names.length > MAX_FIELDS) {
+    throw invalid(`a form needs between 1 and ${MAX_FIELDS} fields.`);
+  }
+
+  const properties = {};
+  for (const name of names) {
+    const field = definition.properties[name];
+    if (!FIELD_NAME.test(name)) {
+      throw invalid(
+        `field name '${name}' must start with a letter and contain only letters, digits or '_'.`
+      );
+    }
+    if (!isPlainObject(field) || !FIELD_TYPES.includes(field.type)) {
+      throw invalid(
+        `field '${name}' needs a type of ${FIELD_TYPES.join(", ")}.`
+      );
+    }
+    if (
+      field.format &&
+      (field.type !== "string" || !STRING_FORMATS.includes(field.format))
+    ) {
+      throw invalid(
+        `field '${name}' format must be one of ${STRING_FORMATS.join(
+          ", "
+        )} on a string.`
+      );
+    }
+    if (
+      field.enum !== undefined &&
+      (!Array.isArray(field.enum) ||
+        field.enum.length === 0 ||
+        field.enum.some((option) => coerceValue(field, option) !== option))
+    ) {
+      throw invalid(`field '${name}' enum must list values of its type.`);
+    }
+    for (const bound of ["minimum", "maximum"]) {
+      if (
+        field[bound] !== undefined &&
+        (typeof field[bound] !== "number" || !Number.isFinite(field[bound]))
+      ) {
+        throw invalid(`field '${name}' ${bound} must be a number.`);
+      }
+    }
+    for (const bound of ["minLength", "maxLength"]) {
+      if (
+        field[bound] !== undefined &&
+        (!Number.isInteger(field[bound]) || field[bound] < 0)
+      ) {
+        throw invalid(
+          `field '${name}' ${bound} must be a whole number of 0 or more.`
+        );
+      }
+    }
+    if (field.minimum > field.maximum || field.minLength > field.maxLength) {
+      throw invalid(`field '${name}' has a lower limit above its upper limit.`);
+    }
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        throw invalid(
+          `field '${name}' pattern is not a valid regular expression.`
+        );
+      }
+    }
+
+    properties[name] = {
+      type: field.type,
+      title: field.title,
+      description: field.description,
+      format: field.format,
+      enum: field.enum,
+      minimum: field.minimum,
+      maximum: field.maximum,
+      minLength: field.minLength,
+      maxLength: field.maxLength ?? (field.type === "string" ? 500 : undefined),
+      pattern: field.pattern,
+    };
+  }
+
+  const required = definition.required ?? [];
+  if (!Array.isArray(required) || required.some((name) => !properties[name])) {
+    throw invalid("'required' must list fields defined in 'properties'.");
+  }
+
+  return { properties, required };
+};
+
+// Convert an answer to the field's type; undefined if it can't be
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case "number":
+    case "integer": {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number))
+        return undefined;
+      if (field.type === "integer" && !Number.isInteger(number))
+        return undefined;
+      return number;
+    }
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return undefined;
+    default:
+      return typeof value === "string" ? value.trim() : undefined;
+  }
+};
+
+const TYPE_ERRORS = {
+  string: "{label} must be a string.",
+  number: "{label} must be a number.",
+  integer: "{label} must be an integer.",
+  boolean: "{label} must be a boolean.",
+};
+
+// Problems are texts with params, so reporters get them in their language
+const checkField = (name, field, value) => {
+  const label = field.title || name;
+  const fail = (text, params) => ({
+    error: { text, params: { label, ...params } },
+  });
+  const coerced = coerceValue(field, value);
+
+  if (coerced === undefined) return fail(TYPE_ERRORS[field.type]);
+  if (field.enum && !field.enum.includes(coerced)) {
+    return fail("{label} must be one of: {options}.", {
+      options: field.enum.join(", "),
+    });
+  }
+
+  if (field.type === "string") {
+    if (field.minLength !== undefined && coerced.length < field.minLength) {
+      return fail("{label} must be at least {min} characters.", {
+        min: field.minLength,
+      });
+    }
+    if (field.maxLength !== undefined && coerced.length > field.maxLength) {
+      return fail("{label} must be at most {max} characters.", {
+        max: field.maxLength,
+      });
+    }
+    if (field.pattern && !new RegExp(field.pattern).test(coerced)) {
+      return fail("{label} is not in the expected format.");
+    }
+    if (
+      field.format === "email" &&
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(coerced)
+    ) {
+      return fail("{label} must be an email address.");
+    }
+    if (field.format === "date" || field.format === "date-time") {
+      const date = new Date(coerced);
+      if (
+        Number.isNaN(date.getTime()) ||
+        (field.format === "date" && !/^\d{4}-\d{2}-\d{2}$/.test(coerced))
+      ) {
+        return fail(
+          field.format === "date"
+            ? "{label} must be a date (YYYY-MM-DD)."
+            : "{label} must be a date and time."
+        );
+      }
+      // Dates are stored as Date so they can be filtered by range
+      return { value: date };
+    }
+    return { value: coerced };
+  }
+
+  if (field.minimum !== undefined && coerced < field.minimum) {
+    return fail("{label} must be at least {min}.", { min: field.minimum });
+  }
+  if (field.maximum !== undefined && coerced > field.maximum) {
+    return fail("{label} must be at most {max}.", { max: field.maximum });
+  }
+  return { value: coerced };
+};
+
+/**
+ * Check answers against a form definition and return the typed values to
+ * store. With `partial` (drafts) required fields may still be missing.
+ * Throws ErrorResponse 400 listing every problem.
+ */
+export const validateFormAnswers = (
+  definition,
+  answers = {},
+  { partial = false } = {}
+) => {
+  if (!isPlainObject(answers)) {
+    throw new ErrorResponse(
+      "Form answers must be an object of field values.",
+      400
+    );
+  }
+
+  const properties = definition?.properties || {};
+  const errors = [];
+  const values = {};
+
+  Object.keys(answers).forEach((name) => {
+    if (!properties[name]) {
+      errors.push({ text: "Unknown form field '{name}'.", params: { name } });
+    }
+  });
+
+  Object.entries(properties).forEach(([name, field]) => {
+    const value = answers[name];
+    if (value === undefined || value === null || value === "") {
+      if (!partial && definition.required.includes(name)) {
+        errors.push({
+          text: "{label} is required.",
+          params: { label: field.title || name },
+        });
+      }
+      return;
+    }
+    const result = checkField(name, field, value);
+    if (result.error) errors.push(result.error);
+    else values[name] = result.value;
+  });
+
+  if (errors.length > 0) {
+    throw new ErrorResponse("Invalid form answers: {errors}", 400, { errors });
+  }
+
+  return values;
+};
+
+/**
+ * Resolve the category a reporter picked (or the default) and check the
+ * form answers against its definition. Resolves with { category, formData }.
+ * Throws ErrorResponse 400.
+ */
+export const resolveIntakeForm = async (
+  categoryId,
+  answers,
+  { partial = false } = {}
+) => {
+  const category = categoryId
+    ? await Category.findOne({ _id: categoryId, deleted: { $ne: true } }).catch(
+        () => null
+      )
+    : await Category.findOne({ name: "uncategorised" });
+
+  if (categoryId && !category) {
+    throw new ErrorResponse("Category not found.", 400);
+  }
+
+  if (!category?.form) {
+    if (answers && Object.keys(answers).length > 0) {
+      throw new ErrorResponse("This category has no intake form.", 400);
+    }
+    return { category, formData: undefined };
+  }
+
+  return {
+    category,
+    formData: validateFormAnswers(category.form, answers || {}, { partial }),
+  };
+};
+
+// Query values for filters: numbers, booleans and dates as well as strings
+const filterCandidates = (value) => {
+  const candidates = [value];
+  if (value === "true" || value === "false") candidates.push(value === "true");
+  if (value.trim() !== "" && Number.isFinite(Number(value)))
+    candidates.push(Number(value));
+  if (
+    /^\d{4}-\d{2}-\d{2}/.test(value) &&
+    !Number.isNaN(new Date(value).getTime())
+  ) {
+    candidates.push(new Date(value));
+  }
+  return candidates;
+};
+
+const rangeValue = (value) => {
+  if (value.trim() !== "" && Number.isFinite(Number(value)))
+    return Number(value);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const RANGE_OPERATORS = { gte: "$gte", lte: "$lte", gt: "$gt", lt: "$lt" };
+
+/**
+ * Mongo conditions for form field filters in a list query:
+ * ?form.damageType=wires%20stolen matches a value, and
+ * ?form.dateObserved.gte=2025-01-01 (gte, lte, gt, lt) a number or date range.
+ * Throws ErrorResponse 400 for malformed filters.
+ */
+export const formDataFilters = (query = {}) => {
+  const conditions = [];
+
+  Object.entries(query).forEach(([key, raw]) => {
+    if (!key.startsWith("form.")) return;
+    const [name, operator, ...rest] = key.slice(5).split(".");
+    const value = Array.isArray(raw) ? raw[raw.length - 1] : String(raw);
+
+    if (!FIELD_NAME.test(name) || rest.length > 0) {
+      throw new ErrorResponse(`Invalid form filter '${key}'.`, 400);
+    }
+
+    if (!operator) {
+      conditions.push({
+        [`formData.${name}`]: { $in: filterCandidates(value) },
+      });
+      return;
+    }
+
+    const bound = rangeValue(value);
+    if (!RANGE_OPERATORS[operator] || bound === undefined) {
+      throw new ErrorResponse(
+        `Invalid form filter '${key}': use gte, lte, gt or lt with a number or date.`,
+        400
+      );
+    }
+    conditions.push({
+      [`formData.${name}`]: { [RANGE_OPERATORS[operator]]: bound },
+    });
+  });
+
+  return conditions;
+};
@@ -0,0 +1,85 @@
+// utils/messageReads.js
+// Read state of the comments thread. Each participant (the reporter, and each
+// admin or agency user) has a marker on Report.readMarkers holding the time up
+// to which it has read; messages after it that it did not write are unread.
+// A viewer is { role: "reporter" } or { role: "admin" | "agency", userId }.
+import ErrorResponse from "./errorResponse.js";
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+const findMarker = (report, viewer) =>
+  (report.readMarkers || []).find((marker) =>
+    viewer.role === "reporter"
+      ? marker.role === "reporter"
+      : sameId(marker.user, viewer.userId)
+  );
+
+// Messages from before authors were recorded count as the party's own
+const isOwnMessage = (comment, viewer) => {
+  if (viewer.role === "reporter") return comment.role === "reporter";
+  return comment.user
+    ? sameId(comment.user, viewer.userId)
+    : comment.role === viewer.role;
+};
+
+export const lastReadAt = (report, viewer) =>
+  findMarker(report, viewer)?.lastReadAt;
+
+export const unreadCount = (report, viewer) => {
+  const since = lastReadAt(report, viewer);
+  return (report.comments || []).filter(
+    (comment) =>
+      !isOwnMessage(comment, viewer) && (!since || comment.createdAt > since)
+  ).length;
+};
+
+/**
+ * Move the viewer's marker up to `upTo` (default now); it never moves back.
+ * Returns the marker's read time.
+ */
+export const markRead = (report, viewer, upTo = new Date()) => {
+  const marker = findMarker(report, viewer);
+  if (!marker) {
+    report.readMarkers.push({
+      role: viewer.role,
+      user: viewer.userId,
+      lastReadAt: upTo,
+    });
+    return upTo;
+  }
+  if (!marker.lastReadAt || upTo > marker.lastReadAt) {
+    marker.lastReadAt = upTo;
+  }
+  return marker.lastReadAt;
+};
+
+// Read time for a mark-read request: up to a given message, or now.
+// Throws ErrorResponse 404 for an unknown message.
+export const readUpTo = (report, messageId) => {
+  if (!messageId) return new Date();
+  const comment = report.comments.id(messageId);
+  if (!comment) {
+    throw new ErrorResponse("Message not found.", 404);
+  }
+  return comment.createdAt;
+};
+
+// Read receipts for the reporter: latest read time per staff party, no users
+export const partyReceipts = (markers = []) =>
+  ["admin", "agency"]
+    .map((role) => {
+      const times = markers
+        .filter((marker) => marker.role === role)
+        .map((marker) => marker.lastReadAt);
+      return times.length > 0
+        ? { role, lastReadAt: new Date(Math.max(...times)) }
+        : null;
+    })
+    .filter(Boolean);
+
+// Mongo condition for cases whose latest message is from the reporter
+export const awaitingReplyFilter = () => ({
+  $expr: {
+    $eq: [{ $arrayElemAt: ["$comments.role", -1] }, "reporter"],
+  },
+});
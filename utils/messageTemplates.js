@@ -0,0 +1,139 @@
+// utils/messageTemplates.js
+// Canned staff messages (models/MessageTemplate.js). {{caseID}}, {{status}}
+// and {{agencyName}} are filled in from the case; any other placeholder from
+// the variables sent with the message. Cases get the template's translation
+// for their preferred language when it has one.
+import MessageTemplate from "../models/MessageTemplate.js";
+import Agency from "../models/Agency.js";
+import ErrorResponse from "./errorResponse.js";
+import { getWorkflow } from "./workflow.js";
+import { translate } from "./i18n/index.js";
+
+const PLACEHOLDER = /{{\s*([A-Za-z][A-Za-z0-9_]*)\s*}}/g;
+
+export const CASE_VARIABLES = ["caseID", "status", "agencyName"];
+
+// Placeholder names used in a template body, in order of first use
+export const templatePlaceholders = (body = "") => [
+  ...new Set([...body.matchAll(PLACEHOLDER)].map((match) => match[1])),
+];
+
+// Fill in a body's placeholders. Throws ErrorResponse 400 if any is missing.
+export const renderTemplate = (body, values = {}) => {
+  const missing = templatePlaceholders(body).filter(
+    (name) => values[name] === undefined || values[name] === null
+  );
+  if (missing.length > 0) {
+    throw new ErrorResponse(
+      `Missing template variables: ${missing.join(", ")}.`,
+      400
+    );
+  }
+  return body.replace(PLACEHOLDER, (_, name) => String(values[name]));
+};
+
+// Template variables may arrive as a JSON string in multipart requests
+export const parseVariables = (variables) => {
+  if (variables === undefined || variables === null) return {};
+  if (typeof variables === "string") {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      throw new ErrorResponse("Template variables are not valid JSON.", 400);
+    }
+  }
+  if (typeof variables !== "object" || Array.isArray(variables)) {
+    throw new ErrorResponse(
+      "Template variables must be an object of names and values.",
+      400
+    );
+  }
+  return variables;
+};
+
+// Values from the case: the state's label (in `locale`), and the sending
+// agency or else the lead agency. Unset values are left out so variables can
+// supply them.
+export const caseVariables = async (report, agency, locale) => {
+  const workflow = await getWorkflow();
+  const named =
+    agency ||
+    (report.agencyAssigned &&
+      (await Agency.findById(report.agencyAssigned).select("name")));
+
+  const values = {
+    caseID: report.caseID,
+    status: translate(
+      locale,
+      workflow.getState(report.status)?.label || report.status
+    ),
+    agencyName: named?.name,
+  };
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Template a sender may use: any template for the admin, and global or own
+ * templates for an agency. Throws ErrorResponse 404.
+ */
+export const findUsableTemplate = async (templateId, agency) => {
+  const template = await MessageTemplate.findOne({
+    _id: templateId,
+    ...(agency && {
+      $or: [{ agency: null }, { agency: agency._id }],
+    }),
+  });
+  if (!template) {
+    throw new ErrorResponse("Message template not found.", 404);
+  }
+  return template;
+};
+
+// Template text for a case, with the sender's variables: the translation
+// for the case's preferred language, else the default body
+export const renderForCase = async (
+  template,
+  report,
+  { agency, variables }
+) => {
+  const translation = template.translations?.find(
+    ({ locale }) => locale === report.preferredLanguage
+  );
+  return renderTemplate(translation?.body ?? template.body, {
+    ...parseVariables(variables),
+    ...(await caseVariables(report, agency, translation?.locale)),
+  });
+};
+
+/**
+ * Request body for buildMessageFields (utils/e2ee.js) with the template
+ * { templateId, variables } rendered into `message`. Encrypted cases cannot
+ * use a template here: the server never holds their plaintext, so clients
+ * render it with the render endpoint and send an envelope. Throws
+ * ErrorResponse 400/404.
+ */
+export const applyTemplate = async (report, body = {}, agency) => {
+  if (!body.templateId) return body;
+
+  if (body.message || body.envelope) {
+    throw new ErrorResponse(
+      "Send either a message or a templateId, not both.",
+      400
+    );
+  }
+  if (report.encryption?.enabled) {
+    throw new ErrorResponse(
+      "This case uses encrypted messaging; render the template and send it as an encrypted envelope instead.",
+      400
+    );
+  }
+
+  const template = await findUsableTemplate(body.templateId, agency);
+  const message = await renderForCase(template, report, {
+    agency,
+    variables: body.variables,
+  });
+  return { ...body, message };
+};
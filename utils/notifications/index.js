@@ -0,0 +1,197 @@
+// utils/notifications/index.js
+// Case event notifications: controllers call notify(), which resolves the
+// recipients and hands each rendered message to the configured transports.
+import User from "../../models/User.js";
+import Agency from "../../models/Agency.js";
+import { logEvents } from "../../middleware/logger.js";
+import { queueAgencyWebhooks } from "../webhooks.js";
+import { caseAgencyIds } from "../caseTasks.js";
+import { renderNotification } from "./messages.js";
+import memoryTransport from "./transports/memory.js";
+import fileTransport from "./transports/file.js";
+import smtpTransport from "./transports/smtp.js";
+import smsTransport from "./transports/sms.js";
+import webhookTransport from "./transports/webhook.js";
+
+export const EVENTS = {
+  REPORT_CREATED: "report.created",
+  REPORT_ASSIGNED: "report.assigned",
+  STATUS_CHANGED: "report.status_changed",
+  COMMENT_ADDED: "report.comment_added",
+  TRANSFER_PROPOSED: "report.transfer_proposed",
+  TRANSFER_REJECTED: "report.transfer_rejected",
+  EVIDENCE_REQUESTED: "report.evidence_requested",
+  EVIDENCE_REQUEST_ANSWERED: "report.evidence_request_answered",
+};
+
+// Who hears about each event
+const AUDIENCES = {
+  [EVENTS.REPORT_CREATED]: ["admin", "reporter"],
+  [EVENTS.REPORT_ASSIGNED]: ["agency", "reporter"],
+  [EVENTS.STATUS_CHANGED]: ["admin", "agency", "reporter"],
+  [EVENTS.COMMENT_ADDED]: ["admin", "agency", "reporter"],
+  [EVENTS.TRANSFER_PROPOSED]: ["admin", "receivingAgency"],
+  [EVENTS.TRANSFER_REJECTED]: ["agency"],
+  [EVENTS.EVIDENCE_REQUESTED]: ["reporter"],
+  [EVENTS.EVIDENCE_REQUEST_ANSWERED]: ["admin", "agency"],
+};
+
+const transportFactories = {
+  memory: memoryTransport,
+  file: fileTransport,
+  smtp: smtpTransport,
+  sms: smsTransport,
+  webhook: webhookTransport,
+};
+
+// Register an extra transport factory, e.g. registerTransport("push", pushTransport)
+export const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transports = null;
+};
+
+let transports = null;
+
+// NOTIFICATION_TRANSPORTS is a comma-separated list, e.g. "smtp,sms"
+const getTransports = () => {
+  if (transports) return transports;
+
+  const names = (process.env.NOTIFICATION_TRANSPORTS || "file")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  transports = names.map((name) => {
+    const factory = transportFactories[name];
+    if (!factory) throw new Error(`Unknown notification transport '${name}'`);
+    return factory();
+  });
+  return transports;
+};
+
+const agencyRecipients = (agencies) =>
+  agencies.flatMap((agency) =>
+    agency.users
+      .filter((user) => user.active)
+      .map((user) => ({
+        role: "agency",
+        userId: user._id,
+        email: user.email,
+        phone: user.phone,
+      }))
+  );
+
+const resolveRecipients = async (roles, report, context) => {
+  const recipients = [];
+
+  if (roles.includes("admin")) {
+    const admins = await User.find({ role: "admin", active: true });
+    recipients.push(
+      ...admins.map((admin) => ({
+        role: "admin",
+        userId: admin._id,
+        email: admin.email,
+        phone: admin.phone,
+      }))
+    );
+  }
+
+  // Lead agency and collaborators
+  if (roles.includes("agency")) {
+    const agencies = await Agency.find({
+      _id: { $in: caseAgencyIds(report) },
+    }).populate("users", "email phone active");
+
+    recipients.push(...agencyRecipients(agencies));
+  }
+
+  // Agency a transfer is proposed to (context.agency), not yet on the case
+  if (roles.includes("receivingAgency") && context.agency) {
+    const agency = await Agency.findById(context.agency._id).populate(
+      "users",
+      "email phone active"
+    );
+    if (agency) recipients.push(...agencyRecipients([agency]));
+  }
+
+  // Only confidential reporters who left an email can be reached
+  if (
+    roles.includes("reporter") &&
+    report.reporterType === "confidential" &&
+    report.reporterEmail
+  ) {
+    recipients.push({
+      role: "reporter",
+      email: report.reporterEmail,
+      phone: report.reporterPhone,
+    });
+  }
+
+  return recipients;
+};
+
+/**
+ * Resolve recipients and deliver one event through every transport.
+ * context: { report, actor, agency, authorRole, referral, evidenceRequest }.
+ * The actor and, for comments, the author's own party are not notified.
+ */
+export const dispatch = async (event, context) => {
+  const { report, actor, authorRole } = context;
+  const roles = (AUDIENCES[event] || []).filter((role) => role !== authorRole);
+
+  const recipients = (await resolveRecipients(roles, report, context)).filter(
+    (r) => !actor || !r.userId || r.userId.toString() !== actor._id.toString()
+  );
+
+  const reportRef = { id: report._id, caseID: report.caseID };
+  const deliveries = [];
+
+  for (const transport of getTransports()) {
+    if (transport.broadcast) {
+      const rendered = renderNotification(event, "staff", context);
+      if (rendered) {
+        deliveries.push(
+          transport.send({
+            event,
+            recipient: { role: "staff" },
+            report: reportRef,
+            ...rendered,
+          })
+        );
+      }
+      continue;
+    }
+
+    for (const recipient of recipients) {
+      const rendered = renderNotification(event, recipient.role, context);
+      if (!rendered) continue;
+      deliveries.push(
+        transport.send({ event, recipient, report: reportRef, ...rendered })
+      );
+    }
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) =>
+      logEvents(
+        `Notification ${event} for ${report.caseID} failed: ${r.reason?.message}`,
+        "errLog.log"
+      )
+    );
+
+  return results;
+};
+
+// Fire-and-forget wrapper used by controllers; never blocks the response.
+// Also feeds the assigned agency's webhook subscriptions.
+export const notify = (event, context) => {
+  dispatch(event, context).catch((error) =>
+    logEvents(`Notification ${event} failed: ${error.message}`, "errLog.log")
+  );
+
+  queueAgencyWebhooks(event, context.report).catch((error) =>
+    logEvents(`Webhook ${event} failed: ${error.message}`, "errLog.log")
+  );
+};
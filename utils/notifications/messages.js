@@ -0,0 +1,104 @@
+// utils/notifications/messages.js
+// Subject/body per event. Reporter-facing texts never include the message
+// content or identity details — reporters are told to check the follow-up page.
+import { translate } from "../i18n/index.js";
+
+// Reporter texts, in the case's preferred language (see utils/i18n)
+const reporterText = (report, subject, text) => {
+  const locale = report.preferredLanguage;
+  const params = {
+    caseID: report.caseID,
+    status: translate(locale, report.status),
+  };
+  return {
+    subject: translate(locale, subject, params),
+    text: translate(locale, text, params),
+  };
+};
+
+const messages = {
+  "report.created": {
+    staff: ({ report }) => ({
+      subject: `New report ${report.caseID}`,
+      text: `A new report "${report.title}" (${report.caseID}) has been submitted.`,
+    }),
+    reporter: ({ report }) =>
+      reporterText(
+        report,
+        "Your report {caseID} has been received",
+        "Thank you. Your report {caseID} has been received. Use your case password to follow up."
+      ),
+  },
+  "report.assigned": {
+    staff: ({ report, agency }) => ({
+      subject: `Report ${report.caseID} assigned to ${agency?.name}`,
+      text: `Report "${report.title}" (${report.caseID}) has been assigned to ${agency?.name}.`,
+    }),
+    reporter: ({ report }) =>
+      reporterText(
+        report,
+        "Update on your report {caseID}",
+        "Your report {caseID} has been assigned to an agency for action."
+      ),
+  },
+  "report.status_changed": {
+    staff: ({ report }) => ({
+      subject: `Report ${report.caseID} is now '${report.status}'`,
+      text: `The status of report "${report.title}" (${report.caseID}) changed to '${report.status}'.`,
+    }),
+    reporter: ({ report }) =>
+      reporterText(
+        report,
+        "Update on your report {caseID}",
+        "The status of your report {caseID} changed to '{status}'."
+      ),
+  },
+  "report.comment_added": {
+    staff: ({ report, authorRole }) => ({
+      subject: `New message on report ${report.caseID}`,
+      text: `A new ${authorRole} message was added to report "${report.title}" (${report.caseID}).`,
+    }),
+    reporter: ({ report }) =>
+      reporterText(
+        report,
+        "New message on your report {caseID}",
+        "There is a new message on your report {caseID}. Use your case password to read it."
+      ),
+  },
+  // Staff only: reporters hear about the outcome as an assignment
+  "report.transfer_proposed": {
+    staff: ({ report, agency, referral }) => ({
+      subject: `Transfer of report ${report.caseID} proposed`,
+      text: `Report "${report.title}" (${report.caseID}) has been proposed for transfer ${
+        agency ? `to ${agency.name}` : "back to the admin"
+      }. Reason: ${referral.reason}`,
+    }),
+  },
+  "report.transfer_rejected": {
+    staff: ({ report, referral }) => ({
+      subject: `Transfer of report ${report.caseID} rejected`,
+      text: `The proposed transfer of report "${report.title}" (${report.caseID}) was rejected.${
+        referral.decisionNote ? ` Note: ${referral.decisionNote}` : ""
+      }`,
+    }),
+  },
+  "report.evidence_requested": {
+    reporter: ({ report }) =>
+      reporterText(
+        report,
+        "More evidence requested for your report {caseID}",
+        "The team handling your report {caseID} has asked for more evidence. Use your case password to see the request and upload files or decline it."
+      ),
+  },
+  "report.evidence_request_answered": {
+    staff: ({ report, evidenceRequest }) => ({
+      subject: `Evidence request on report ${report.caseID} ${evidenceRequest.status}`,
+      text: `The reporter ${evidenceRequest.status} an evidence request on report "${report.title}" (${report.caseID}).`,
+    }),
+  },
+};
+
+export const renderNotification = (event, audience, context) => {
+  const template = messages[event]?.[audience === "reporter" ? "reporter" : "staff"];
+  return template ? template(context) : null;
+};
@@ -0,0 +1,15 @@
+// utils/notifications/transports/file.js
+// Appends each notification to logs/notifications.log (default transport).
+// Recipients are logged by role and user ID, never by address: reporter
+// contact details are encrypted at rest and must not leak into the logs.
+import { logEvents } from "../../../middleware/logger.js";
+
+const fileTransport = () => ({
+  name: "file",
+  send: async ({ event, recipient, subject }) => {
+    const to = recipient.userId ? String(recipient.userId) : "-";
+    await logEvents(`${event}\t${recipient.role}\t${to}\t${subject}`, "notifications.log");
+  },
+});
+
+export default fileTransport;
@@ -0,0 +1,16 @@
+// utils/notifications/transports/memory.js
+// Keeps notifications in memory; intended for tests and local development.
+export const sentNotifications = [];
+
+export const clearSentNotifications = () => {
+  sentNotifications.length = 0;
+};
+
+const memoryTransport = () => ({
+  name: "memory",
+  send: async (notification) => {
+    sentNotifications.push(notification);
+  },
+});
+
+export default memoryTransport;
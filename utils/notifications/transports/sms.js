@@ -0,0 +1,27 @@
+// utils/notifications/transports/sms.js
+// Generic HTTP SMS gateway: POST { to, message } to SMS_GATEWAY_URL.
+const smsTransport = () => ({
+  name: "sms",
+  send: async ({ recipient, text }) => {
+    if (!recipient.phone) return;
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}`,
+      },
+      body: JSON.stringify({
+        to: recipient.phone,
+        from: process.env.SMS_SENDER_ID,
+        message: text,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+  },
+});
+
+export default smsTransport;
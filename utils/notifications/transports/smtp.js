@@ -0,0 +1,29 @@
+// utils/notifications/transports/smtp.js
+import nodemailer from "nodemailer";
+
+const smtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ recipient, subject, text }) => {
+      if (!recipient.email) return;
+
+      await mailer.sendMail({
+        from: process.env.SMTP_FROM,
+        to: recipient.email,
+        subject,
+        text,
+      });
+    },
+  };
+};
+
+export default smtpTransport;
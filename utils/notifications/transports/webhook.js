@@ -0,0 +1,20 @@
+// utils/notifications/transports/webhook.js
+// Posts one staff notification per event as JSON to NOTIFICATION_WEBHOOK_URL
+// (e.g. a chat bridge). Recipient contact details are never included.
+const webhookTransport = () => ({
+  name: "webhook",
+  broadcast: true,
+  send: async ({ event, subject, text, report }) => {
+    const response = await fetch(process.env.NOTIFICATION_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ event, subject, text, report }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Notification webhook responded with ${response.status}`);
+    }
+  },
+});
+
+export default webhookTransport;
@@ -0,0 +1,126 @@
+// utils/referrals.js
+// Transfers of a case's lead role between agencies (Report.referrals). The
+// lead agency proposes a transfer with a reason, optionally naming the agency
+// it should go to; the receiving agency or the admin accepts or rejects it
+// and the proposer can withdraw it. Admin reassignments are recorded too, so
+// the list is the case's full referral history.
+import Agency from "../models/Agency.js";
+import ErrorResponse from "./errorResponse.js";
+
+const idOf = (value) => String(value?._id ?? value);
+
+export const pendingReferral = (report) =>
+  report.referrals.find((referral) => referral.status === "pending");
+
+/**
+ * Load the agency a case is being handed to. Throws ErrorResponse 400 when it
+ * is inactive or already leads the case, 404 when it does not exist.
+ */
+export const findReceivingAgency = async (report, agencyId) => {
+  const agency = agencyId
+    ? await Agency.findById(agencyId).catch(() => null)
+    : null;
+  if (!agency) {
+    throw new ErrorResponse("Agency not found.", 404);
+  }
+  if (agency.active === false) {
+    throw new ErrorResponse("This agency is not active.", 400);
+  }
+  if (report.agencyAssigned && idOf(report.agencyAssigned) === idOf(agency)) {
+    throw new ErrorResponse("This agency already leads the case.", 400);
+  }
+  return agency;
+};
+
+// Make an agency the lead; a collaborator made lead loses its collaborator entry
+export const transferLead = (report, agency) => {
+  report.agencyAssigned = agency._id;
+  report.collaborators = report.collaborators.filter(
+    (collaborator) => idOf(collaborator.agency) !== idOf(agency)
+  );
+};
+
+/**
+ * Add a pending transfer proposal from the lead agency. Without toAgency the
+ * case is handed back to the admin. Throws ErrorResponse 400/409.
+ */
+export const proposeTransfer = (
+  report,
+  { fromAgency, toAgency, reason, user }
+) => {
+  if (!reason || !String(reason).trim()) {
+    throw new ErrorResponse("A reason for the transfer is required.", 400);
+  }
+  if (pendingReferral(report)) {
+    throw new ErrorResponse(
+      "A transfer of this case is already pending a decision.",
+      409
+    );
+  }
+
+  report.referrals.push({
+    fromAgency: fromAgency._id,
+    toAgency: toAgency?._id,
+    reason,
+    proposedBy: user._id,
+  });
+  return report.referrals[report.referrals.length - 1];
+};
+
+// Pending proposal by ID. Throws ErrorResponse 404/409.
+export const findPendingReferral = (report, referralId) => {
+  const referral = report.referrals.id(referralId);
+  if (!referral) {
+    throw new ErrorResponse("Referral not found.", 404);
+  }
+  if (referral.status !== "pending") {
+    throw new ErrorResponse(
+      `This referral was already ${referral.status}.`,
+      409
+    );
+  }
+  return referral;
+};
+
+export const closeReferral = (referral, status, { user, note }) => {
+  referral.status = status;
+  referral.decidedBy = user._id;
+  referral.decidedAt = new Date();
+  if (note) referral.decisionNote = note;
+};
+
+// Accept a proposal and hand the case to the receiving agency
+export const acceptReferral = (report, referral, agency, { user, note }) => {
+  referral.toAgency = agency._id;
+  closeReferral(referral, "accepted", { user, note });
+  transferLead(report, agency);
+};
+
+/**
+ * Record a direct admin reassignment in the referral history; it settles any
+ * pending proposal, which is closed as cancelled.
+ */
+export const recordReassignment = (report, agency, { user, reason }) => {
+  if (report.agencyAssigned && idOf(report.agencyAssigned) === idOf(agency)) {
+    return;
+  }
+
+  const pending = pendingReferral(report);
+  if (pending) {
+    closeReferral(pending, "cancelled", {
+      user,
+      note: "Superseded by an admin reassignment.",
+    });
+  }
+
+  report.referrals.push({
+    fromAgency: report.agencyAssigned,
+    toAgency: agency._id,
+    reason: reason || "Assigned by the admin.",
+    status: "accepted",
+    proposedBy: user._id,
+    decidedBy: user._id,
+    decidedAt: new Date(),
+  });
+  transferLead(report, agency);
+};
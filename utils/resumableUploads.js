@@ -0,0 +1,450 @@
+// utils/resumableUploads.js
+// Resumable evidence uploads for large files (mostly phone video). A client
+// creates an upload, sends the file in chunks at the current offset and,
+// after a dropped connection, asks for the offset and carries on. Chunks are
+// kept in evidence storage; after the last one the file is assembled, type
+// verified and scrubbed of metadata like any other upload, in the background
+// while the client polls the upload status.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Report from "../models/Report.js";
+import UploadSession from "../models/UploadSession.js";
+import AuditLog from "../models/AuditLog.js";
+import ErrorResponse from "./errorResponse.js";
+import { logEvents } from "../middleware/logger.js";
+import { getStorage, evidenceKey, toEvidenceFiles } from "./storage/index.js";
+import {
+  processEvidence,
+  SANITIZABLE_TYPES,
+} from "./evidenceSanitizer/index.js";
+import { queueEvidenceScan, getScanner } from "./scanners/index.js";
+import { recordCustody } from "./evidenceIntegrity.js";
+
+const MB = 1024 * 1024;
+
+// Verification and sanitizing work on the whole file in memory, so
+// UPLOAD_MAX_FILE_MB can't go above this
+const MAX_BUFFERED_FILE_MB = 256;
+
+// UPLOAD_MAX_FILE_MB (100), UPLOAD_CHUNK_MAX_MB (8), UPLOAD_CASE_QUOTA_MB
+// (1024) and UPLOAD_EXPIRE_HOURS (24). A file the malware scanner would
+// refuse could never leave quarantine, so the scanner's limit caps it too.
+export const uploadLimits = () => ({
+  maxFileSize: Math.min(
+    (Number(process.env.UPLOAD_MAX_FILE_MB) || 100) * MB,
+    MAX_BUFFERED_FILE_MB * MB,
+    getScanner().maxSize ?? Infinity
+  ),
+  maxChunkSize: (Number(process.env.UPLOAD_CHUNK_MAX_MB) || 8) * MB,
+  caseQuota: (Number(process.env.UPLOAD_CASE_QUOTA_MB) || 1024) * MB,
+  expireHours: Number(process.env.UPLOAD_EXPIRE_HOURS) || 24,
+});
+
+const expiresAt = () =>
+  new Date(Date.now() + uploadLimits().expireHours * 60 * 60 * 1000);
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const toMB = (bytes) => Math.round((bytes / MB) * 10) / 10;
+
+// Sessions that still hold (or will hold) bytes for their case
+const OPEN_STATUSES = ["uploading", "processing", "completed"];
+
+// Bytes a case already stores plus what its unfinished uploads will add
+export const caseEvidenceBytes = async (reportId) => {
+  const report = await Report.findById(reportId).select("evidenceFiles.size");
+  const stored = (report?.evidenceFiles || []).reduce(
+    (sum, file) => sum + (file.size || 0),
+    0
+  );
+
+  const open = await UploadSession.find({
+    report: reportId,
+    status: { $in: OPEN_STATUSES },
+  }).select("totalSize");
+
+  return open.reduce((sum, upload) => sum + upload.totalSize, stored);
+};
+
+/**
+ * Throw ErrorResponse 413 if adding `bytes` would take the case over
+ * UPLOAD_CASE_QUOTA_MB. Pass reportId null for a report not created yet.
+ */
+export const assertCaseQuota = async (reportId, bytes) => {
+  const { caseQuota } = uploadLimits();
+  const used = reportId ? await caseEvidenceBytes(reportId) : 0;
+
+  if (used + bytes > caseQuota) {
+    throw new ErrorResponse(
+      "Evidence quota exceeded: this case may hold {quota} MB and already uses {used} MB.",
+      413,
+      { quota: toMB(caseQuota), used: toMB(used) }
+    );
+  }
+};
+
+const totalSize = (files = []) =>
+  files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+// Remove files multer already stored for a request that is being rejected
+export const discardStoredFiles = async (files = []) => {
+  await Promise.all(
+    files.map((file) => getStorage().remove(file.storageKey).catch(() => {}))
+  );
+};
+
+// Quota check for files multer has already stored; removes them if over
+export const assertFilesWithinQuota = async (reportId, files = []) => {
+  try {
+    await assertCaseQuota(reportId, totalSize(files));
+  } catch (error) {
+    await discardStoredFiles(files);
+    throw error;
+  }
+};
+
+const removeParts = (upload) =>
+  Promise.all(
+    upload.parts.map((part) => getStorage().remove(part.key).catch(() => {}))
+  );
+
+/**
+ * Start an upload. reportId is set when the reporter is signed in to a case;
+ * otherwise the finished file waits to be attached by createReport.
+ * Resolves with { upload, token }; the token is only returned here.
+ */
+export const createUpload = async ({ reportId, fileName, fileType, size }) => {
+  const { maxFileSize } = uploadLimits();
+  const totalSize = Number(size);
+
+  if (!fileName || !fileType) {
+    throw new ErrorResponse("File name and file type are required.", 400);
+  }
+  // Refuse up front what could never be stripped of metadata at the end
+  if (!SANITIZABLE_TYPES.includes(fileType)) {
+    throw new ErrorResponse("Error: File type not allowed!", 415);
+  }
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new ErrorResponse("File size must be a positive number of bytes.", 400);
+  }
+  if (totalSize > maxFileSize) {
+    throw new ErrorResponse(
+      "File is too large; the maximum is {max} MB.",
+      413,
+      { max: toMB(maxFileSize) }
+    );
+  }
+
+  if (reportId) await assertCaseQuota(reportId, totalSize);
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const upload = await UploadSession.create({
+    report: reportId,
+    tokenHash: hashToken(token),
+    fileName,
+    fileType,
+    totalSize,
+    expiresAt: expiresAt(),
+  });
+
+  return { upload, token };
+};
+
+// Load an upload for a chunk/status request, or throw ErrorResponse 404
+export const authorizeUpload = async (id, token) => {
+  const upload = token
+    ? await UploadSession.findById(id).select("+tokenHash")
+    : null;
+
+  if (
+    !upload ||
+    upload.expiresAt < new Date() ||
+    !crypto.timingSafeEqual(
+      Buffer.from(upload.tokenHash),
+      Buffer.from(hashToken(token))
+    )
+  ) {
+    throw new ErrorResponse("Upload not found or expired.", 404);
+  }
+
+  return upload;
+};
+
+// Read the stored chunks straight into one buffer of the file's size
+const assembleParts = async (storage, upload) => {
+  const buffer = Buffer.allocUnsafe(upload.totalSize);
+  for (const part of upload.parts) {
+    let at = part.offset;
+    for await (const chunk of await storage.getStream(part.key)) {
+      at += chunk.copy(buffer, at);
+    }
+  }
+  return buffer;
+};
+
+// Add a finished file to its case, log custody and queue the malware scan
+const attachToReport = async (upload, evidence, actor) => {
+  const file = { ...evidence, _id: new mongoose.Types.ObjectId() };
+  const report = await Report.findByIdAndUpdate(
+    upload.report,
+    { $push: { evidenceFiles: file } },
+    { new: true }
+  ).select("caseID");
+
+  await recordCustody(report, [file], "upload", actor, "resumable upload");
+
+  await AuditLog.create({
+    action: "EVIDENCE_UPLOADED",
+    description: `Whistle-blower uploaded '${upload.fileName}' (${toMB(upload.totalSize)} MB) to case ${report.caseID}`,
+    targetReport: report._id,
+  });
+
+  queueEvidenceScan(report._id);
+};
+
+// Assemble the chunks, verify and sanitize the file, store it
+const completeUpload = async (claimed, actor) => {
+  const storage = getStorage();
+
+  try {
+    const file = { mimetype: claimed.fileType, originalname: claimed.fileName };
+    const { buffer, ...fields } = await processEvidence(
+      await assembleParts(storage, claimed),
+      file
+    );
+
+    const key = evidenceKey(claimed.fileName);
+    const { size } = await storage.put(key, buffer, {
+      contentType: claimed.fileType,
+    });
+    const [evidence] = toEvidenceFiles([
+      { ...file, ...fields, storageKey: key, storageDriver: storage.name, size },
+    ]);
+
+    await removeParts(claimed);
+
+    if (claimed.report) await attachToReport(claimed, evidence, actor);
+
+    return UploadSession.findByIdAndUpdate(
+      claimed._id,
+      {
+        status: claimed.report ? "attached" : "completed",
+        evidence,
+        parts: [],
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await removeParts(claimed);
+    await UploadSession.updateOne(
+      { _id: claimed._id },
+      {
+        status: "failed",
+        // Kept untranslated, to be answered in the reporter's language
+        error: error.messageKey || error.message,
+        errorParams: error.params,
+        parts: [],
+      }
+    );
+    throw error;
+  }
+};
+
+// Finished uploads are processed one at a time, outside the chunk request,
+// so only one file is held in memory
+let processing = Promise.resolve();
+
+const queueCompletion = (claimed, actor) => {
+  processing = processing.then(() =>
+    completeUpload(claimed, actor).catch((error) =>
+      logEvents(
+        `Upload ${claimed._id} failed: ${error.message}`,
+        "errLog.log"
+      )
+    )
+  );
+};
+
+/**
+ * Write one chunk at `offset`. The offset must equal the bytes received so
+ * far (409 otherwise, so the client can resume from the right place).
+ * After the final chunk the upload is "processing" until the background
+ * step marks it completed, attached or failed; `actor` ({ role, ipAddress })
+ * is logged in the file's custody record. Resolves with the updated upload.
+ */
+export const appendChunk = async (upload, offset, chunk, actor) => {
+  if (upload.status !== "uploading") {
+    throw new ErrorResponse("Upload is already {status}.", 409, {
+      status: upload.status,
+    });
+  }
+  if (!Number.isInteger(offset) || offset !== upload.receivedSize) {
+    throw new ErrorResponse(
+      "Upload-Offset must be {offset}; resume from there.",
+      409,
+      { offset: upload.receivedSize }
+    );
+  }
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new ErrorResponse(
+      "Chunk body is required (Content-Type: application/offset+octet-stream).",
+      400
+    );
+  }
+  if (offset + chunk.length > upload.totalSize) {
+    throw new ErrorResponse("Chunk runs past the declared file size.", 400);
+  }
+
+  const key = `uploads/${upload._id}/${offset}-${crypto.randomBytes(4).toString("hex")}`;
+  await getStorage().put(key, chunk);
+
+  // Only one request can move the offset forward; a racing duplicate loses
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: upload._id, status: "uploading", receivedSize: offset },
+    {
+      $inc: { receivedSize: chunk.length },
+      $push: { parts: { key, offset, size: chunk.length } },
+      expiresAt: expiresAt(),
+    },
+    { new: true }
+  );
+  if (!updated) {
+    await getStorage().remove(key);
+    throw new ErrorResponse("Offset changed by another request; check the upload status.", 409);
+  }
+
+  if (updated.receivedSize < updated.totalSize) return updated;
+
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: updated._id, status: "uploading" },
+    { status: "processing" },
+    { new: true }
+  );
+  if (!claimed) return UploadSession.findById(updated._id);
+
+  queueCompletion(claimed, actor);
+  return claimed;
+};
+
+// The completion queue lives in memory, so uploads that were "processing"
+// when the server stopped are queued again at startup; their chunks are only
+// removed once processing ends. Uploads come from the whistle-blower, whose
+// custody entries never carry an IP address.
+export const resumeUploadProcessing = async () => {
+  const stranded = await UploadSession.find({
+    status: "processing",
+    expiresAt: { $gt: new Date() },
+  });
+  for (const upload of stranded) {
+    queueCompletion(upload, { role: "reporter" });
+  }
+  return stranded.length;
+};
+
+// Cancel an unfinished upload and delete its chunks
+export const abortUpload = async (upload) => {
+  if (!["uploading", "failed"].includes(upload.status)) {
+    throw new ErrorResponse("Upload is already {status}.", 409, {
+      status: upload.status,
+    });
+  }
+  await removeParts(upload);
+  await UploadSession.deleteOne({ _id: upload._id });
+};
+
+const parseUploads = (uploads) => {
+  if (!uploads) return [];
+  // multipart/form-data sends the list as a JSON string
+  if (typeof uploads === "string") {
+    try {
+      uploads = JSON.parse(uploads);
+    } catch {
+      throw new ErrorResponse("uploads must be a JSON list of { id, token }.", 400);
+    }
+  }
+  if (!Array.isArray(uploads)) {
+    throw new ErrorResponse("uploads must be a list of { id, token }.", 400);
+  }
+  return uploads;
+};
+
+/**
+ * Claim finished uploads for a new report (submission flow).
+ * `uploads` is [{ id, token }] and `storedFiles` the files multer stored for
+ * the same request, which count towards the quota. Resolves with
+ * { ids, evidence }; claimed sessions are marked attached and must then be
+ * linked to the report (linkUploads) or released (releaseUploads).
+ */
+export const claimUploads = async (uploads, storedFiles = []) => {
+  const claimed = [];
+
+  for (const { id, token } of parseUploads(uploads)) {
+    const upload = await authorizeUpload(id, token);
+    if (upload.status !== "completed" || upload.report) {
+      throw new ErrorResponse(
+        "Upload '{fileName}' is not ready to attach ({status}).",
+        409,
+        { fileName: upload.fileName, status: upload.status }
+      );
+    }
+    claimed.push(upload);
+  }
+
+  await assertCaseQuota(
+    null,
+    totalSize(storedFiles) + totalSize(claimed.map((upload) => upload.evidence))
+  );
+
+  const evidence = [];
+  for (const upload of claimed) {
+    const won = await UploadSession.findOneAndUpdate(
+      { _id: upload._id, status: "completed" },
+      { status: "attached" }
+    );
+    if (!won) {
+      throw new ErrorResponse("Upload '{fileName}' was already used.", 409, {
+        fileName: upload.fileName,
+      });
+    }
+    evidence.push(upload.evidence);
+  }
+
+  return { ids: claimed.map((upload) => upload._id), evidence };
+};
+
+export const linkUploads = (ids, reportId) =>
+  UploadSession.updateMany({ _id: { $in: ids } }, { report: reportId });
+
+// Undo claimUploads when the report could not be created
+export const releaseUploads = (ids) =>
+  UploadSession.updateMany(
+    { _id: { $in: ids }, report: null },
+    { status: "completed" }
+  );
+
+// Periodically delete expired uploads and their stored chunks/files
+export const startUploadCleaner = (intervalMs = 15 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const expired = await UploadSession.find({
+        expiresAt: { $lt: new Date() },
+      }).limit(100);
+
+      for (const upload of expired) {
+        await removeParts(upload);
+        // A finished file nobody attached to a report is discarded too
+        if (upload.status === "completed" && upload.evidence?.storageKey) {
+          await getStorage().remove(upload.evidence.storageKey).catch(() => {});
+        }
+        await UploadSession.deleteOne({ _id: upload._id });
+      }
+    } catch (error) {
+      logEvents(`Upload cleanup failed: ${error.message}`, "errLog.log");
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
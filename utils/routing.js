@@ -0,0 +1,120 @@
+// utils/routing.js
+// Routing rules: pick the agency a new report is assigned to from its
+// category, wording, location/LGA and intake form answers.
+import RoutingRule from "../models/RoutingRule.js";
+import Agency from "../models/Agency.js";
+import { resolveLga } from "./geo.js";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word (or phrase) match, ignoring case
+const containsPhrase = (text, phrase) =>
+  Boolean(text) &&
+  new RegExp(`(^|\\W)${escapeRegex(phrase)}($|\\W)`, "i").test(text);
+
+const compare = (actual, operator, expected) => {
+  // Dates in formData compare with ISO strings in rules
+  const a = actual instanceof Date ? actual.getTime() : actual;
+  const b =
+    actual instanceof Date && typeof expected === "string"
+      ? new Date(expected).getTime()
+      : expected;
+
+  switch (operator) {
+    case "exists":
+      return (a !== undefined && a !== null) === (expected !== false);
+    case "ne":
+      return a !== b;
+    case "in":
+      return Array.isArray(expected) && expected.includes(actual);
+    case "gt":
+      return a > b;
+    case "gte":
+      return a >= b;
+    case "lt":
+      return a < b;
+    case "lte":
+      return a <= b;
+    default:
+      return a === b;
+  }
+};
+
+const sameId = (a, b) => String(a?._id ?? a) === String(b?._id ?? b);
+
+/**
+ * Whether a report matches a rule. `report` needs title, description,
+ * location, lga (or geoLocation), category and formData; plain objects and
+ * Report documents both work.
+ */
+export const matchesRule = (rule, report) => {
+  const {
+    categories = [],
+    keywords = [],
+    locationKeywords = [],
+    lgas = [],
+    fields = [],
+  } = rule.conditions || {};
+
+  if (
+    categories.length > 0 &&
+    !categories.some((category) => sameId(category, report.category))
+  ) {
+    return false;
+  }
+
+  if (
+    keywords.length > 0 &&
+    !keywords.some(
+      (keyword) =>
+        containsPhrase(report.title, keyword) ||
+        containsPhrase(report.description, keyword)
+    )
+  ) {
+    return false;
+  }
+
+  if (
+    locationKeywords.length > 0 &&
+    !locationKeywords.some((keyword) =>
+      containsPhrase(report.location, keyword)
+    )
+  ) {
+    return false;
+  }
+
+  if (lgas.length > 0) {
+    const lga = report.lga ?? resolveLga(report.geoLocation);
+    if (!lgas.some((name) => name.toLowerCase() === lga?.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return fields.every(({ field, operator, value }) =>
+    compare(report.formData?.[field], operator, value)
+  );
+};
+
+// Enabled rules in the order they are tried
+export const getRoutingRules = () =>
+  RoutingRule.find({ enabled: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .populate("agency", "name active");
+
+// First rule matching the report whose agency is still active
+export const findRoutingRule = (report, rules) =>
+  rules.find(
+    (rule) =>
+      rule.agency && rule.agency.active !== false && matchesRule(rule, report)
+  ) || null;
+
+/**
+ * Pick the agency for a new report. Resolves with { agency, rule }; rule is
+ * null when nothing matched and the report falls back to "unassigned".
+ */
+export const routeReport = async (report) => {
+  const rule = findRoutingRule(report, await getRoutingRules());
+  if (rule) return { agency: rule.agency, rule };
+
+  return { agency: await Agency.findOne({ name: "unassigned" }), rule: null };
+};
@@ -0,0 +1,64 @@
+// utils/scanners/clamav.js
+// ClamAV adapter speaking the clamd INSTREAM protocol over TCP
+// (CLAMAV_HOST / CLAMAV_PORT, default 127.0.0.1:3310) or a unix socket
+// (CLAMAV_SOCKET). clamd refuses streams over its StreamMaxLength (25 MB by
+// default); CLAMAV_MAX_STREAM_MB must match it, as uploads are capped there.
+import net from "net";
+import { once } from "events";
+
+const MB = 1024 * 1024;
+
+export const createClamavScanner = ({
+  host = process.env.CLAMAV_HOST || "127.0.0.1",
+  port = Number(process.env.CLAMAV_PORT) || 3310,
+  socketPath = process.env.CLAMAV_SOCKET,
+  timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 60 * 1000,
+  maxStreamMB = Number(process.env.CLAMAV_MAX_STREAM_MB) || 25,
+} = {}) => ({
+  name: "clamav",
+
+  // Largest file the scanner accepts, in bytes
+  maxSize: maxStreamMB * MB,
+
+  scan(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = socketPath
+        ? net.createConnection(socketPath)
+        : net.createConnection({ host, port });
+      let reply = "";
+
+      socket.setTimeout(timeoutMs, () =>
+        socket.destroy(new Error("ClamAV scan timed out"))
+      );
+      socket.on("error", reject);
+      socket.on("data", (data) => {
+        reply += data.toString();
+      });
+      socket.on("close", () => {
+        // "stream: OK" or "stream: <signature> FOUND"
+        const result = reply.replace(/\0/g, "").trim();
+        if (result.endsWith("OK")) return resolve({ clean: true });
+
+        const found = result.match(/^stream: (.+) FOUND$/);
+        if (found) return resolve({ clean: false, signature: found[1] });
+
+        reject(new Error(`Unexpected ClamAV reply: ${result || "(empty)"}`));
+      });
+
+      socket.on("connect", async () => {
+        try {
+          socket.write("zINSTREAM\0");
+          for await (const chunk of stream) {
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            if (!socket.write(chunk)) await once(socket, "drain");
+          }
+          socket.end(Buffer.alloc(4)); // zero-length chunk ends the stream
+        } catch (error) {
+          socket.destroy(error);
+        }
+      });
+    });
+  },
+});
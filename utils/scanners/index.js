@@ -0,0 +1,137 @@
+// utils/scanners/index.js
+// Malware scanning for evidence. New uploads are stored in quarantine
+// (scan.status "pending") and can't be downloaded until a scan clears them.
+// EVIDENCE_SCANNER selects the adapter: noop (default) or clamav. noop clears
+// every file, so it is refused in production.
+import Report from "../../models/Report.js";
+import AuditLog from "../../models/AuditLog.js";
+import { logEvents } from "../../middleware/logger.js";
+import { getStorage } from "../storage/index.js";
+import { createNoopScanner } from "./noop.js";
+import { createClamavScanner } from "./clamav.js";
+
+export const SCAN_STATUSES = ["pending", "clean", "infected", "failed"];
+
+// Scanner errors (e.g. clamd unreachable) are retried up to this many times
+const MAX_SCAN_ATTEMPTS = 5;
+
+const scanners = {
+  noop: () => createNoopScanner(),
+  clamav: () => createClamavScanner(),
+};
+
+let scanner = null;
+
+export const getScanner = () => {
+  if (!scanner) {
+    const name = process.env.EVIDENCE_SCANNER || "noop";
+    if (name === "noop" && process.env.NODE_ENV === "production") {
+      throw new Error(
+        "The noop evidence scanner clears every upload; set EVIDENCE_SCANNER=clamav in production"
+      );
+    }
+    if (!scanners[name]) throw new Error(`Unknown evidence scanner '${name}'`);
+    scanner = scanners[name]();
+  }
+  return scanner;
+};
+
+// Swap the scanner (e.g. in scripts or tests)
+export const setScanner = (next) => {
+  scanner = next;
+};
+
+const saveScan = (report, file, scan) =>
+  Report.updateOne(
+    { _id: report._id, "evidenceFiles._id": file._id },
+    { $set: { "evidenceFiles.$.scan": scan } }
+  );
+
+const scanFile = async (report, file) => {
+  const engine = getScanner();
+  const attempts = (file.scan.attempts || 0) + 1;
+
+  try {
+    const stream = await getStorage().getStream(file.storageKey);
+    const { clean, signature } = await engine.scan(stream);
+
+    await saveScan(report, file, {
+      status: clean ? "clean" : "infected",
+      scanner: engine.name,
+      signature,
+      attempts,
+      scannedAt: new Date(),
+    });
+
+    if (!clean) {
+      await AuditLog.create({
+        action: "EVIDENCE_INFECTED",
+        description: `Evidence '${file.fileName}' on case ${report.caseID} matched ${signature} and stays quarantined`,
+        targetReport: report._id,
+        targetAgency: report.agencyAssigned,
+      });
+    }
+  } catch (error) {
+    await saveScan(report, file, {
+      status: attempts >= MAX_SCAN_ATTEMPTS ? "failed" : "pending",
+      scanner: engine.name,
+      attempts,
+      lastError: error.message,
+    });
+    logEvents(
+      `Evidence scan of ${file.storageKey} failed: ${error.message}`,
+      "errLog.log"
+    );
+  }
+};
+
+// Put a file back in quarantine with a fresh set of attempts, e.g. after a
+// scan gave up while clamd was down
+export const resetEvidenceScan = (report, file) =>
+  saveScan(report, file, { status: "pending", attempts: 0 });
+
+// Scan every quarantined file on a report
+export const scanPendingEvidence = async (reportId) => {
+  const report = await Report.findById(reportId).select(
+    "caseID agencyAssigned evidenceFiles"
+  );
+  if (!report) return 0;
+
+  const pending = report.evidenceFiles.filter(
+    (file) => file.storageKey && file.scan?.status === "pending"
+  );
+  for (const file of pending) {
+    await scanFile(report, file);
+  }
+  return pending.length;
+};
+
+// Fire-and-forget scan after an upload; failures are logged, never thrown
+export const queueEvidenceScan = (reportId) => {
+  scanPendingEvidence(reportId).catch((error) =>
+    logEvents(`Evidence scan failed: ${error.message}`, "errLog.log")
+  );
+};
+
+// Periodically rescan files still in quarantine (e.g. after a restart or
+// while the scanner was unreachable)
+export const startEvidenceScanner = (intervalMs = 5 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const reports = await Report.find({
+        "evidenceFiles.scan.status": "pending",
+      })
+        .select("_id")
+        .limit(50);
+      for (const report of reports) {
+        await scanPendingEvidence(report._id);
+      }
+    } catch (error) {
+      logEvents(`Evidence scan sweep failed: ${error.message}`, "errLog.log");
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
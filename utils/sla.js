@@ -0,0 +1,102 @@
+// utils/sla.js
+import Category from "../models/Category.js";
+import Report from "../models/Report.js";
+import { getWorkflow } from "./workflow.js";
+
+const HOUR = 60 * 60 * 1000;
+
+const addHours = (date, hours) => new Date(date.getTime() + hours * HOUR);
+
+/**
+ * Set report.sla due dates from the current workflow state and category.
+ * - stateDueAt: time allowed in the current state (category override, else state slaHours)
+ * - resolutionDueAt: category resolutionHours counted from creation; cleared once the
+ *   report reaches a resolved or terminal state
+ * Called from the Report pre-save hook; does not save.
+ */
+export const applySlaDueDates = async (report) => {
+  const workflow = await getWorkflow();
+  const state = workflow.getState(report.status);
+  const category = report.category
+    ? await Category.findById(report.category._id || report.category)
+    : null;
+
+  if (report.isNew || report.isModified("status")) {
+    report.sla.stateEnteredAt = new Date();
+    report.sla.stateBreachedAt = undefined;
+  }
+
+  Object.assign(report.sla, dueDates(report, state, category));
+};
+
+// Due dates of a report in workflow `state` under `category`'s targets
+const dueDates = (report, state, category) => {
+  const createdAt = report.createdAt || new Date();
+  const enteredAt = report.sla?.stateEnteredAt || createdAt;
+
+  const stateHours =
+    category?.stateSlaHours?.get(report.status) ?? state?.slaHours;
+  const clockStopped = state?.terminal || state?.resolution === "resolved";
+
+  return {
+    stateDueAt:
+      stateHours != null && !state?.terminal
+        ? addHours(enteredAt, stateHours)
+        : undefined,
+    resolutionDueAt:
+      category?.resolutionHours != null && !clockStopped
+        ? addHours(createdAt, category.resolutionHours)
+        : undefined,
+  };
+};
+
+/**
+ * Recompute the due dates of a category's open reports after its targets
+ * change. A breach is cleared when its deadline moves into the future, so
+ * the sweeper logs it again if the new deadline is missed. Uses updateOne,
+ * so the other save hooks don't run. Resolves with the number updated.
+ */
+export const refreshCategoryDueDates = async (category) => {
+  const workflow = await getWorkflow();
+  const open = workflow.states.filter((s) => !s.terminal).map((s) => s.key);
+  const now = new Date();
+  let updated = 0;
+
+  const reports = Report.find({
+    category: category._id,
+    status: { $in: open },
+  })
+    .select("status createdAt sla")
+    .cursor();
+
+  for await (const report of reports) {
+    const next = dueDates(report, workflow.getState(report.status), category);
+    const $set = {};
+    const $unset = {};
+
+    for (const kind of ["state", "resolution"]) {
+      const dueAt = next[`${kind}DueAt`];
+      if (dueAt?.getTime() === report.sla?.[`${kind}DueAt`]?.getTime()) {
+        continue;
+      }
+      if (dueAt) $set[`sla.${kind}DueAt`] = dueAt;
+      else $unset[`sla.${kind}DueAt`] = "";
+      if (!dueAt || dueAt > now) $unset[`sla.${kind}BreachedAt`] = "";
+    }
+
+    if (Object.keys($set).length || Object.keys($unset).length) {
+      await Report.updateOne({ _id: report._id }, { $set, $unset });
+      updated += 1;
+    }
+  }
+
+  return updated;
+};
+
+// Mongo filter matching reports past any of their SLA due dates
+export const overdueFilter = (now = new Date()) => ({
+  $or: [
+    { "sla.stateDueAt": { $lt: now } },
+    { "sla.resolutionDueAt": { $lt: now } },
+  ],
+});
@@ -0,0 +1,61 @@
+// utils/slaSweeper.js
+import Report from "../models/Report.js";
+import AuditLog from "../models/AuditLog.js";
+import { logEvents } from "../middleware/logger.js";
+
+// Record newly breached deadlines of one kind ("state" or "resolution")
+const recordBreaches = async (kind, now) => {
+  const dueField = `sla.${kind}DueAt`;
+  const breachedField = `sla.${kind}BreachedAt`;
+
+  const reports = await Report.find({
+    [dueField]: { $lt: now },
+    [breachedField]: null,
+  }).select("caseID status agencyAssigned sla");
+
+  for (const report of reports) {
+    // updateOne skips the pre-save hooks, so due dates are left untouched
+    await Report.updateOne({ _id: report._id }, { [breachedField]: now });
+
+    const dueAt = report.sla[`${kind}DueAt`];
+    await AuditLog.create({
+      action: "SLA_BREACHED",
+      description:
+        kind === "state"
+          ? `Report ${report.caseID} exceeded its '${report.status}' target (due ${dueAt.toISOString()})`
+          : `Report ${report.caseID} exceeded its resolution target (due ${dueAt.toISOString()})`,
+      targetReport: report._id,
+      targetAgency: report.agencyAssigned,
+    });
+  }
+
+  return reports.length;
+};
+
+// Find reports past their due dates and log each breach once
+export const sweepSlaBreaches = async (now = new Date()) => {
+  const state = await recordBreaches("state", now);
+  const resolution = await recordBreaches("resolution", now);
+  return { state, resolution };
+};
+
+// Run the sweep periodically (SLA_SWEEP_INTERVAL_MINUTES, default 15)
+export const startSlaSweeper = (
+  minutes = Number(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 15
+) => {
+  const run = async () => {
+    try {
+      const { state, resolution } = await sweepSlaBreaches();
+      if (state || resolution) {
+        console.log(`⏰ SLA sweep: ${state + resolution} new breach(es)`);
+      }
+    } catch (error) {
+      logEvents(`SLA sweep failed: ${error.message}`, "errLog.log");
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  run();
+  return timer;
+};
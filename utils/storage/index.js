@@ -0,0 +1,105 @@
+// utils/storage/index.js
+// Evidence storage. STORAGE_DRIVER selects the backend: local (default),
+// s3 or minio. Every driver implements:
+//   put(key, body, { contentType }) → { key, size }   body: Buffer or stream
+//   getStream(key) → readable stream
+//   stat(key) → { size, lastModified }
+//   remove(key)
+//   getSignedUrl(key, { expiresIn, fileName }) → url, or null if unsupported
+import crypto from "crypto";
+import path from "path";
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+const drivers = {
+  local: () => createLocalDriver(),
+  s3: () => createS3Driver(),
+  minio: () => createS3Driver({ minio: true }),
+};
+
+let storage = null;
+
+// Driver is created lazily so .env is loaded first
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[name]) throw new Error(`Unknown storage driver '${name}'`);
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// Swap the driver (e.g. in scripts or tests)
+export const setStorage = (driver) => {
+  storage = driver;
+};
+
+// Random object key; the original name is kept on the report, not in the key
+export const evidenceKey = (originalName = "") =>
+  `evidence/${new Date().toISOString().slice(0, 7)}/${crypto
+    .randomUUID()}${path.extname(originalName).toLowerCase()}`;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Multer storage engine writing uploads through the configured driver.
+ * With `process`, the whole file is buffered and passed through it first
+ * (async (buffer, file) → { buffer, ...fields }); nothing is stored if it
+ * throws. Sets file.storageKey, file.storageDriver, file.size and any
+ * extra fields returned by `process`.
+ */
+export const evidenceStorage = ({ process } = {}) => ({
+  _handleFile(req, file, cb) {
+    const driver = getStorage();
+    const key = evidenceKey(file.originalname);
+
+    const store = async () => {
+      if (!process) {
+        const { size } = await driver.put(key, file.stream, {
+          contentType: file.mimetype,
+        });
+        return { size };
+      }
+
+      const { buffer, ...fields } = await process(
+        await readStream(file.stream),
+        file
+      );
+      const { size } = await driver.put(key, buffer, {
+        contentType: file.mimetype,
+      });
+      return { ...fields, size };
+    };
+
+    store()
+      .then((info) =>
+        cb(null, { storageKey: key, storageDriver: driver.name, ...info })
+      )
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage()
+      .remove(file.storageKey)
+      .then(() => cb(null))
+      .catch(cb);
+  },
+});
+
+// Map uploaded multer files to report evidenceFiles entries
+export const toEvidenceFiles = (files = []) =>
+  files.map((file) => ({
+    storageKey: file.storageKey,
+    storageDriver: file.storageDriver,
+    fileType: file.mimetype,
+    fileName: file.originalname,
+    size: file.size,
+    sanitization: file.sanitization,
+    sha256: file.sha256,
+    originalSha256: file.originalSha256,
+    scan: { status: "pending" }, // quarantined until scanned
+  }));
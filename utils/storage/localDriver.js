@@ -0,0 +1,60 @@
+// utils/storage/localDriver.js
+// Stores objects on the local filesystem under STORAGE_LOCAL_PATH
+// (default ./storage). Used in development and tests; nothing is public.
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const createLocalDriver = ({
+  root = process.env.STORAGE_LOCAL_PATH ||
+    path.join(__dirname, "..", "..", "storage"),
+} = {}) => {
+  // Keys never escape the storage root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, body) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+      const { size } = await fs.promises.stat(filePath);
+      return { key, size };
+    },
+
+    async getStream(key) {
+      const filePath = resolve(key);
+      await fs.promises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+
+    async stat(key) {
+      const { size, mtime } = await fs.promises.stat(resolve(key));
+      return { size, lastModified: mtime };
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    // Local files are only ever streamed through the API
+    async getSignedUrl() {
+      return null;
+    },
+  };
+};
@@ -0,0 +1,81 @@
+// utils/storage/s3Driver.js
+// AWS S3 and S3-compatible (MinIO) object storage. Objects are written
+// private; reads go through the API or short-lived presigned URLs.
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+/**
+ * S3: S3_BUCKET_NAME, S3_REGION (or AWS_DEFAULT_REGION) and the usual AWS
+ * credentials. MinIO: additionally S3_ENDPOINT, with path-style addressing.
+ */
+export const createS3Driver = ({ minio = false } = {}) => {
+  const bucket = process.env.S3_BUCKET_NAME || process.env.AWS_BUCKET_NAME;
+  if (!bucket) throw new Error("S3_BUCKET_NAME is not set");
+
+  const endpoint = process.env.S3_ENDPOINT;
+  if (minio && !endpoint) throw new Error("S3_ENDPOINT is not set");
+
+  const s3 = new S3Client({
+    region: process.env.S3_REGION || process.env.AWS_DEFAULT_REGION || "us-east-1",
+    ...(endpoint && { endpoint }),
+    forcePathStyle: minio || process.env.S3_FORCE_PATH_STYLE === "true",
+    ...(process.env.AWS_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    }),
+  });
+
+  return {
+    name: minio ? "minio" : "s3",
+
+    async put(key, body, { contentType } = {}) {
+      const upload = new Upload({
+        client: s3,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType },
+      });
+      await upload.done();
+      const { size } = await this.stat(key);
+      return { key, size };
+    },
+
+    async getStream(key) {
+      const { Body } = await s3.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Body;
+    },
+
+    async stat(key) {
+      const head = await s3.send(
+        new HeadObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return { size: head.ContentLength, lastModified: head.LastModified };
+    },
+
+    async remove(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getSignedUrl(key, { expiresIn = 300, fileName } = {}) {
+      return getSignedUrl(
+        s3,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ...(fileName && {
+            ResponseContentDisposition: `attachment; filename="${encodeURIComponent(fileName)}"`,
+          }),
+        }),
+        { expiresIn }
+      );
+    },
+  };
+};
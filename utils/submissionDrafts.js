@@ -0,0 +1,255 @@
+// utils/submissionDrafts.js
+// Two-stage report submission. A reporter first saves a draft (and can keep
+// editing it and attaching evidence), then submits it together with the
+// solution to a proof-of-work challenge. The work is cheap for one report
+// and expensive for a flood, without a third-party CAPTCHA seeing anyone.
+import crypto from "crypto";
+import ReportDraft from "../models/ReportDraft.js";
+import ErrorResponse from "./errorResponse.js";
+import { logEvents } from "../middleware/logger.js";
+import { getStorage } from "./storage/index.js";
+import { parsePublicKey } from "./e2ee.js";
+import { resolveIntakeForm } from "./intakeForms.js";
+import { parseGeoPoint } from "./geo.js";
+
+// SUBMISSION_POW_DIFFICULTY (leading zero bits, default 20 ≈ 1M hashes)
+// and DRAFT_EXPIRE_HOURS (default 24)
+const powDifficulty = () => Number(process.env.SUBMISSION_POW_DIFFICULTY) || 20;
+const draftExpiresAt = () =>
+  new Date(
+    Date.now() + (Number(process.env.DRAFT_EXPIRE_HOURS) || 24) * 60 * 60 * 1000
+  );
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const leadingZeroBits = (digest) => {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// True if sha256(`${challenge}:${nonce}`) has `difficulty` leading zero bits
+export const verifyProofOfWork = (challenge, difficulty, nonce) => {
+  if (nonce === undefined || nonce === null || String(nonce).length > 64) {
+    return false;
+  }
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${challenge}:${nonce}`)
+    .digest();
+  return leadingZeroBits(digest) >= difficulty;
+};
+
+const DRAFT_FIELDS = [
+  "reporterType",
+  "reporterName",
+  "reporterEmail",
+  "reporterPhone",
+  "title",
+  "description",
+  "location",
+];
+
+/**
+ * Copy editable fields from a request body onto a draft, checking what can
+ * be checked on a partial report. Throws ErrorResponse 400.
+ */
+export const applyDraftFields = (draft, body = {}) => {
+  DRAFT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) draft[field] = body[field];
+  });
+
+  if (
+    draft.reporterType &&
+    !["anonymous", "confidential"].includes(draft.reporterType)
+  ) {
+    throw new ErrorResponse(
+      "Invalid reporter type. Must be 'anonymous' or 'confidential'.",
+      400
+    );
+  }
+
+  // ✅ Anonymous → reject personal info
+  if (
+    draft.reporterType === "anonymous" &&
+    (draft.reporterName || draft.reporterEmail || draft.reporterPhone)
+  ) {
+    throw new ErrorResponse(
+      "Anonymous reports cannot include name, email, or phone information.",
+      400
+    );
+  }
+
+  // ✅ Optional coordinates; null removes them
+  if (body.geoLocation !== undefined) {
+    draft.geoLocation = body.geoLocation
+      ? parseGeoPoint(body.geoLocation)
+      : undefined;
+  }
+
+  // ✅ Optional end-to-end encrypted messaging (public key from the browser)
+  if (body.reporterPublicKey) {
+    draft.encryption = {
+      enabled: true,
+      reporterKey: parsePublicKey(
+        body.reporterPublicKey,
+        body.reporterKeyAlgorithm
+      ),
+    };
+  }
+};
+
+/**
+ * Set the category and intake form answers from a request body, checking the
+ * answers given so far against the category's form. Throws ErrorResponse 400.
+ */
+export const applyDraftForm = async (draft, body = {}) => {
+  if (body.category === undefined && body.formData === undefined) return;
+
+  if (body.category !== undefined) draft.category = body.category || undefined;
+  if (body.formData !== undefined) draft.formData = body.formData || undefined;
+
+  // Answers are kept as sent and typed on submission
+  await resolveIntakeForm(draft.category, draft.formData, { partial: true });
+};
+
+// Everything a report needs before it can be submitted. Throws ErrorResponse 400.
+export const assertDraftComplete = (draft) => {
+  if (!draft.title || !draft.description) {
+    throw new ErrorResponse("Title and description are required fields.", 400);
+  }
+  if (!draft.reporterType) {
+    throw new ErrorResponse(
+      "Invalid reporter type. Must be 'anonymous' or 'confidential'.",
+      400
+    );
+  }
+  // ✅ Confidential → must include name + email
+  if (
+    draft.reporterType === "confidential" &&
+    (!draft.reporterName || !draft.reporterEmail)
+  ) {
+    throw new ErrorResponse(
+      "Confidential reports must include reporter name and email address.",
+      400
+    );
+  }
+};
+
+// New draft with a fresh challenge. Resolves with { draft, token }.
+export const createDraft = async (body) => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const draft = new ReportDraft({
+    tokenHash: hashToken(token),
+    challenge: crypto.randomBytes(16).toString("hex"),
+    difficulty: powDifficulty(),
+    expiresAt: draftExpiresAt(),
+  });
+  applyDraftFields(draft, body);
+  await applyDraftForm(draft, body);
+  await draft.save();
+
+  return { draft, token };
+};
+
+// Load a draft for a request carrying its token, or throw ErrorResponse 404
+export const authorizeDraft = async (id, token) => {
+  const draft = token
+    ? await ReportDraft.findById(id).select("+tokenHash")
+    : null;
+
+  if (
+    !draft ||
+    draft.expiresAt < new Date() ||
+    !crypto.timingSafeEqual(
+      Buffer.from(draft.tokenHash),
+      Buffer.from(hashToken(token))
+    )
+  ) {
+    throw new ErrorResponse("Draft not found or expired.", 404);
+  }
+  if (draft.submittedAt) {
+    throw new ErrorResponse("This draft was already submitted.", 409);
+  }
+
+  return draft;
+};
+
+/**
+ * Check the proof-of-work and take the draft for submission, so the same
+ * solution can't be used twice. Resolves with { draft, category, formData }
+ * (the intake form answers checked and typed). Follow with finishDraft once
+ * the report exists, or releaseDraft if it could not be created.
+ * Throws ErrorResponse 400/404/409.
+ */
+export const claimDraft = async ({ draftId, draftToken, nonce }) => {
+  if (!draftId || !draftToken) {
+    throw new ErrorResponse(
+      "Reports are submitted from a draft: draftId and draftToken are required.",
+      400
+    );
+  }
+
+  const draft = await authorizeDraft(draftId, draftToken);
+  assertDraftComplete(draft);
+  const { category, formData } = await resolveIntakeForm(
+    draft.category,
+    draft.formData
+  );
+
+  if (!verifyProofOfWork(draft.challenge, draft.difficulty, nonce)) {
+    throw new ErrorResponse(
+      "Invalid proof-of-work solution for this draft.",
+      400
+    );
+  }
+
+  const claimed = await ReportDraft.findOneAndUpdate(
+    { _id: draft._id, submittedAt: null },
+    { submittedAt: new Date() }
+  );
+  if (!claimed) {
+    throw new ErrorResponse("This draft was already submitted.", 409);
+  }
+
+  return { draft, category, formData };
+};
+
+export const finishDraft = (draft) => ReportDraft.deleteOne({ _id: draft._id });
+
+export const releaseDraft = (draft) =>
+  ReportDraft.updateOne({ _id: draft._id }, { $unset: { submittedAt: 1 } });
+
+// Periodically delete expired drafts and the evidence stored for them
+export const startDraftCleaner = (intervalMs = 15 * 60 * 1000) => {
+  const run = async () => {
+    try {
+      const expired = await ReportDraft.find({
+        expiresAt: { $lt: new Date() },
+      }).limit(100);
+
+      for (const draft of expired) {
+        await Promise.all(
+          draft.evidenceFiles.map((file) =>
+            getStorage().remove(file.storageKey).catch(() => {})
+          )
+        );
+        await ReportDraft.deleteOne({ _id: draft._id });
+      }
+    } catch (error) {
+      logEvents(`Draft cleanup failed: ${error.message}`, "errLog.log");
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
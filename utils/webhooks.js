@@ -0,0 +1,170 @@
+// utils/webhooks.js
+// Signed outbound webhooks to agency case-management systems.
+import crypto from "crypto";
+import Agency from "../models/Agency.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { caseAgencyIds } from "./caseTasks.js";
+import { logEvents } from "../middleware/logger.js";
+
+export const WEBHOOK_EVENTS = ["report.assigned", "report.status_changed"];
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60 * 1000; // 1m, 2m, 4m, 8m, 16m between attempts
+const TIMEOUT_MS = 10 * 1000;
+const LEASE_MS = 5 * 60 * 1000; // keeps the retrier off in-flight deliveries
+
+const leaseUntil = () => new Date(Date.now() + LEASE_MS);
+
+// Generate a signing secret for a new subscription
+export const generateWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">.
+ * Receivers recompute the HMAC with their shared secret and compare.
+ */
+export const signPayload = (secret, body, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Case data shared with agencies; reporter identity is never included
+const buildPayload = (event, report) => ({
+  event,
+  occurredAt: new Date().toISOString(),
+  data: {
+    reportId: report._id,
+    caseID: report.caseID,
+    title: report.title,
+    status: report.status,
+    location: report.location,
+    category: report.category?._id || report.category,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+  },
+});
+
+// Attempt one delivery and record the outcome
+export const deliverWebhook = async (delivery) => {
+  const agency = await Agency.findById(delivery.agency);
+  const webhook = agency?.webhooks.id(delivery.webhookId);
+
+  delivery.attempts += 1;
+
+  if (!webhook || !webhook.active) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook subscription removed or inactive";
+    return delivery.save();
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Signature": signPayload(webhook.secret, body, timestamp),
+      },
+      body,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+
+    delivery.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with ${response.status}`);
+    }
+
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      logEvents(
+        `Webhook delivery ${delivery._id} to ${webhook.url} failed: ${error.message}`,
+        "errLog.log"
+      );
+    } else {
+      // Exponential backoff before the next attempt
+      const delay = BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+    }
+  }
+
+  return delivery.save();
+};
+
+// Queue and send a case event to every subscription of the agencies on
+// the case (lead and collaborators)
+export const queueAgencyWebhooks = async (event, report) => {
+  if (!WEBHOOK_EVENTS.includes(event)) return [];
+
+  const agencies = await Agency.find({ _id: { $in: caseAgencyIds(report) } });
+  const subscriptions = agencies.flatMap((agency) =>
+    agency.webhooks
+      .filter((w) => w.active && w.events.includes(event))
+      .map((w) => ({ agency, webhook: w }))
+  );
+  if (subscriptions.length === 0) return [];
+
+  const payload = buildPayload(event, report);
+  const deliveries = await WebhookDelivery.create(
+    subscriptions.map(({ agency, webhook }) => ({
+      agency: agency._id,
+      webhookId: webhook._id,
+      url: webhook.url,
+      event,
+      payload,
+      nextAttemptAt: leaseUntil(),
+    }))
+  );
+
+  await Promise.all(deliveries.map(deliverWebhook));
+  return deliveries;
+};
+
+// Re-send an earlier delivery as a new, separately logged delivery
+export const replayWebhookDelivery = async (original) => {
+  const delivery = await WebhookDelivery.create({
+    agency: original.agency,
+    webhookId: original.webhookId,
+    url: original.url,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+    nextAttemptAt: leaseUntil(),
+  });
+  return deliverWebhook(delivery);
+};
+
+// Periodically retry pending deliveries whose backoff has elapsed
+export const startWebhookRetrier = (intervalMs = 60 * 1000) => {
+  const run = async () => {
+    try {
+      // Claim one due delivery at a time so concurrent sweeps never overlap
+      for (let i = 0; i < 50; i++) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: new Date() } },
+          { nextAttemptAt: leaseUntil() },
+          { new: true }
+        );
+        if (!delivery) break;
+        await deliverWebhook(delivery);
+      }
+    } catch (error) {
+      logEvents(`Webhook retry sweep failed: ${error.message}`, "errLog.log");
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,82 @@
+// utils/workflow.js
+import Workflow from "../models/Workflow.js";
+import defaultWorkflow from "../config/defaultWorkflow.js";
+import ErrorResponse from "./errorResponse.js";
+import { unfinishedTasks } from "./caseTasks.js";
+
+// Load the active workflow, creating the default one if it is missing
+export const getWorkflow = async () => {
+  const workflow = await Workflow.findOne({ name: defaultWorkflow.name });
+  if (workflow) return workflow;
+
+  return Workflow.create(defaultWorkflow);
+};
+
+// Key of the state new reports start in
+export const getInitialStatus = async () => {
+  const workflow = await getWorkflow();
+  return workflow.getInitialState().key;
+};
+
+/**
+ * Move a report to a new state, enforcing the workflow transitions.
+ * Sets status and isResolved on the document; the caller saves it.
+ * Throws ErrorResponse (400/403) when the move is not allowed, and 409 when
+ * an agency tries to resolve or close a case whose sub-tasks are not done.
+ */
+export const transitionReport = async (report, status, { role, user } = {}) => {
+  const workflow = await getWorkflow();
+
+  const target = workflow.getState(status);
+  if (!target) {
+    const allowed = workflow.states.map((s) => s.key).join(", ");
+    throw new ErrorResponse(
+      `Invalid status. Allowed values: ${allowed}`,
+      400
+    );
+  }
+
+  if (report.status === status) {
+    throw new ErrorResponse(`Report is already '${status}'`, 400);
+  }
+
+  if (!workflow.canTransition(report.status, status)) {
+    const next = workflow
+      .getTransitionsFrom(report.status, role)
+      .map((t) => t.to);
+    throw new ErrorResponse(
+      `Cannot move report from '${report.status}' to '${status}'. Allowed: ${
+        next.join(", ") || "none"
+      }`,
+      400
+    );
+  }
+
+  if (!workflow.canTransition(report.status, status, role)) {
+    throw new ErrorResponse(
+      `Access denied: '${role}' role cannot move report from '${report.status}' to '${status}'`,
+      403
+    );
+  }
+
+  // Sub-task statuses roll up: only the admin can close over open work
+  const pending = unfinishedTasks(report);
+  if (
+    (target.resolution === "resolved" || target.terminal) &&
+    pending.length > 0 &&
+    role !== "admin"
+  ) {
+    throw new ErrorResponse(
+      `Cannot move report to '${status}': ${pending.length} sub-task(s) are not done yet.`,
+      409
+    );
+  }
+
+  if (target.resolution === "resolved") report.isResolved = true;
+  if (target.resolution === "open") report.isResolved = false;
+
+  report.status = status;
+  report.$locals.updatedBy = user?._id;
+
+  return target;
+};